@@ -0,0 +1,50 @@
+// Couleur de l'embed selon la gravité
+const COLORS = { info: 0x2e86de, warning: 0xf39c12, critical: 0xc0392b };
+
+/**
+ * Canal Discord : envoie chaque alerte en embed via un webhook Discord
+ * (API HTTP des webhooks, sans client discord.js)
+ *
+ * @param {Object} options - Options du canal (voir config/alerts.js)
+ * @param {string} options.url - URL du webhook Discord
+ * @param {string} [options.username] - Nom affiché de l'expéditeur
+ * @returns {Object} Canal exposant send()
+ */
+const createDiscordChannel = ({ url, username }) => ({
+  name: 'discord',
+
+  /**
+   * @param {Object} alert - Alerte mise en forme { event, title, message }
+   * @returns {Promise<void>}
+   * @throws {Error} Si Discord refuse le message
+   */
+  send: async ({ event, title, message }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        username,
+        embeds: [
+          {
+            title: title.slice(0, 256),
+            description: message.slice(0, 4096),
+            color: COLORS[event.severity],
+            fields: [
+              { name: 'Gravité', value: event.severity, inline: true },
+              { name: 'Événement', value: event.type, inline: true },
+              ...(event.source
+                ? [{ name: 'Source', value: event.source, inline: true }]
+                : []),
+            ],
+            timestamp: event.at,
+          },
+        ],
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook Discord en erreur (${response.status})`);
+    }
+  },
+});
+
+module.exports = createDiscordChannel;
@@ -0,0 +1,33 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Canal email : envoie chaque alerte par SMTP (nodemailer)
+ * Le transport est créé au premier envoi.
+ *
+ * @param {Object} options - Options du canal (voir config/alerts.js)
+ * @param {string} options.to - Destinataires, séparés par des virgules
+ * @param {string} options.from - Expéditeur
+ * @param {Object} options.smtp - Options du transport SMTP nodemailer
+ * @returns {Object} Canal exposant send()
+ */
+const createEmailChannel = ({ to, from, smtp }) => {
+  let transport;
+
+  return {
+    name: 'email',
+
+    /**
+     * @param {Object} alert - Alerte mise en forme { event, title, message }
+     * @returns {Promise<void>}
+     * @throws {Error} Si le serveur SMTP refuse le message
+     */
+    send: async ({ title, message }) => {
+      if (!transport) {
+        transport = nodemailer.createTransport(smtp);
+      }
+      await transport.sendMail({ from, to, subject: title, text: message });
+    },
+  };
+};
+
+module.exports = createEmailChannel;
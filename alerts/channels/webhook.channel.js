@@ -0,0 +1,37 @@
+/**
+ * Canal webhook générique : envoie chaque alerte en JSON à une URL
+ * Body : { type, severity, title, message, source, details, at }
+ *
+ * @param {Object} options - Options du canal (voir config/alerts.js)
+ * @param {string} options.url - URL appelée en POST
+ * @returns {Object} Canal exposant send()
+ */
+const createWebhookChannel = ({ url }) => ({
+  name: 'webhook',
+
+  /**
+   * @param {Object} alert - Alerte mise en forme { event, title, message }
+   * @returns {Promise<void>}
+   * @throws {Error} Si le destinataire répond en erreur
+   */
+  send: async ({ event, title, message }) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        type: event.type,
+        severity: event.severity,
+        title,
+        message,
+        source: event.source,
+        details: event.details,
+        at: event.at,
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Webhook d'alerte en erreur (${response.status})`);
+    }
+  },
+});
+
+module.exports = createWebhookChannel;
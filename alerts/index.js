@@ -0,0 +1,195 @@
+const logger = require('../config/logger');
+const alertsConfig = require('../config/alerts');
+const createMemoryRateLimitStore = require('../services/rate-limit/memory.store');
+const createDiscordChannel = require('./channels/discord.channel');
+const createWebhookChannel = require('./channels/webhook.channel');
+const createEmailChannel = require('./channels/email.channel');
+const { formatAlert } = require('./templates');
+
+// Gravités, de la moins à la plus grave
+const SEVERITIES = ['info', 'warning', 'critical'];
+
+/**
+ * Canaux actifs d'après la configuration : un canal sans destination
+ * (URL, destinataires, serveur SMTP) est ignoré
+ *
+ * @param {Object} config - Configuration (voir config/alerts.js)
+ * @returns {Array<Object>} Canaux { channel, minSeverity, dedupWindowMs, rateLimit, template }
+ */
+const buildChannels = (config) => {
+  const channels = [];
+  if (config.discord.url) {
+    channels.push({
+      ...config.discord,
+      channel: createDiscordChannel(config.discord),
+    });
+  }
+  if (config.webhook.url) {
+    channels.push({
+      ...config.webhook,
+      channel: createWebhookChannel(config.webhook),
+    });
+  }
+  if (config.email.to && config.email.smtp.host) {
+    channels.push({
+      ...config.email,
+      channel: createEmailChannel(config.email),
+    });
+  }
+  return channels;
+};
+
+/**
+ * Complète un événement d'alerte : gravité connue (warning par défaut),
+ * titre (type par défaut), horodatage et clé de déduplication
+ *
+ * @param {Object} event - Événement transmis à notify()
+ * @returns {Object} Événement normalisé
+ */
+const normalizeEvent = (event) => {
+  const title = event.title ?? event.type;
+  return {
+    ...event,
+    severity: SEVERITIES.includes(event.severity) ? event.severity : 'warning',
+    title,
+    message: event.message ?? '',
+    at: event.at ?? new Date().toISOString(),
+    dedupKey: event.dedupKey ?? `${event.type}:${title}`,
+  };
+};
+
+/**
+ * Crée un répartiteur d'alertes multi-canaux
+ * Pour chaque canal, une alerte passe successivement :
+ * - le filtre de gravité (minSeverity)
+ * - la déduplication (même dedupKey envoyée il y a moins de dedupWindowMs)
+ * - la limitation d'envoi (rateLimit, fenêtre glissante)
+ * - la mise en forme (template) puis l'envoi
+ * Un canal en erreur n'empêche pas l'envoi sur les autres.
+ *
+ * @param {Object} options - Options du répartiteur
+ * @param {Array<Object>} options.channels - Canaux (voir buildChannels)
+ * @param {Object} [options.rateLimitStore] - Compteurs d'envoi (voir services/rate-limit)
+ * @returns {Object} Répartiteur exposant notify()
+ */
+const createAlertDispatcher = ({
+  channels,
+  rateLimitStore = createMemoryRateLimitStore(),
+}) => {
+  // Dernier envoi de chaque alerte, par canal et dedupKey
+  const lastSent = new Map();
+
+  const dispatch = async (route, event) => {
+    const { channel } = route;
+    if (
+      SEVERITIES.indexOf(event.severity) < SEVERITIES.indexOf(route.minSeverity)
+    ) {
+      return { channel: channel.name, status: 'filtered' };
+    }
+
+    const dedupKey = `${channel.name}:${event.dedupKey}`;
+    const previous = lastSent.get(dedupKey);
+    if (previous !== undefined && Date.now() - previous < route.dedupWindowMs) {
+      return { channel: channel.name, status: 'duplicate' };
+    }
+
+    const { allowed } = await rateLimitStore.consume(
+      `alerts:${channel.name}`,
+      route.rateLimit
+    );
+    if (!allowed) {
+      logger.warn("Limite d'envoi d'alertes atteinte:", {
+        channel: channel.name,
+        type: event.type,
+      });
+      return { channel: channel.name, status: 'rate_limited' };
+    }
+
+    try {
+      await channel.send(formatAlert(route.template, event));
+      lastSent.set(dedupKey, Date.now());
+      return { channel: channel.name, status: 'sent' };
+    } catch (err) {
+      logger.error("Erreur d'envoi d'alerte:", {
+        channel: channel.name,
+        type: event.type,
+        error: err.message,
+      });
+      return { channel: channel.name, status: 'failed', error: err.message };
+    }
+  };
+
+  return {
+    /**
+     * Envoie une alerte sur tous les canaux concernés
+     * Ne lève jamais d'exception : l'appelant peut être un gestionnaire
+     * d'erreurs.
+     *
+     * @param {Object} event - Événement d'alerte
+     * @param {string} event.type - Type d'événement (monitor.down, job.failed...)
+     * @param {string} [event.severity] - info, warning (défaut) ou critical
+     * @param {string} [event.title] - Titre (type par défaut)
+     * @param {string} [event.message] - Description
+     * @param {string} [event.source] - Composant à l'origine de l'alerte
+     * @param {Object} [event.details] - Données complémentaires
+     * @param {string} [event.dedupKey] - Clé de déduplication (type et titre par défaut)
+     * @returns {Promise<Array<Object>>} Résultat par canal { channel, status, error? }
+     *   status : sent, filtered, duplicate, rate_limited ou failed
+     */
+    notify: async (event) => {
+      const normalized = normalizeEvent(event);
+      return Promise.all(
+        channels.map((route) =>
+          dispatch(route, normalized).catch((err) => {
+            logger.error("Erreur d'envoi d'alerte:", err);
+            return {
+              channel: route.channel.name,
+              status: 'failed',
+              error: err.message,
+            };
+          })
+        )
+      );
+    },
+  };
+};
+
+let current;
+
+/**
+ * Renvoie le répartiteur configuré, créé au premier appel
+ *
+ * @returns {Object} Répartiteur d'alertes
+ */
+const getAlertDispatcher = () => {
+  if (!current) {
+    current = createAlertDispatcher({ channels: buildChannels(alertsConfig) });
+  }
+  return current;
+};
+
+/**
+ * Remplace le répartiteur courant (tests)
+ *
+ * @param {Object} dispatcher - Répartiteur à utiliser
+ */
+const setAlertDispatcher = (dispatcher) => {
+  current = dispatcher;
+};
+
+/**
+ * Envoie une alerte via le répartiteur configuré (voir createAlertDispatcher)
+ *
+ * @param {Object} event - Événement d'alerte
+ * @returns {Promise<Array<Object>>} Résultat par canal
+ */
+const notify = (event) => getAlertDispatcher().notify(event);
+
+module.exports = {
+  SEVERITIES,
+  buildChannels,
+  createAlertDispatcher,
+  getAlertDispatcher,
+  setAlertDispatcher,
+  notify,
+};
@@ -0,0 +1,39 @@
+/**
+ * Lit un champ d'un événement par son chemin (details.target...)
+ *
+ * @param {Object} event - Événement d'alerte
+ * @param {string} path - Chemin du champ, segments séparés par des points
+ * @returns {*} Valeur du champ, undefined s'il n'existe pas
+ */
+const readPath = (event, path) =>
+  path.split('.').reduce((value, key) => value?.[key], event);
+
+/**
+ * Remplace les {{champ}} d'un gabarit par les champs de l'événement
+ * Un champ absent est remplacé par une chaîne vide, un objet par son JSON.
+ *
+ * @param {string} template - Gabarit (ex: "[{{severity}}] {{title}}")
+ * @param {Object} event - Événement d'alerte
+ * @returns {string} Texte rendu
+ */
+const renderTemplate = (template, event) =>
+  template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+    const value = readPath(event, path);
+    if (value === undefined || value === null) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+
+/**
+ * Met en forme une alerte pour un canal
+ *
+ * @param {Object} template - Gabarits du canal { title, message }
+ * @param {Object} event - Événement d'alerte normalisé
+ * @returns {Object} { event, title, message }
+ */
+const formatAlert = (template, event) => ({
+  event,
+  title: renderTemplate(template.title, event),
+  message: renderTemplate(template.message, event),
+});
+
+module.exports = { renderTemplate, formatAlert };
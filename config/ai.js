@@ -0,0 +1,29 @@
+require('dotenv').config();
+
+// Relances correctives : entier positif ou nul, 2 si la valeur est invalide
+const repairAttempts = Number.parseInt(process.env.AI_REPAIR_ATTEMPTS, 10);
+
+/**
+ * Configuration du fournisseur d'IA utilisé pour la modération
+ * Le fournisseur, le modèle et l'endpoint sont choisis par variables d'environnement :
+ * - AI_PROVIDER : openai (défaut), local (serveur compatible OpenAI) ou stub (réponses déterministes)
+ * - AI_MODEL : modèle utilisé pour les appels (défaut gpt-4o)
+ * - AI_BASE_URL : URL de base de l'API (obligatoire pour le fournisseur local)
+ * - AI_API_KEY : clé API (OPENAI_API_KEY utilisée par défaut)
+ * - AI_TIMEOUT_MS : délai maximal d'un appel au modèle
+ * - AI_REPAIR_ATTEMPTS : nombre de relances correctives si la réponse ne respecte pas le schéma
+ * - AI_STUB_REPLIES : réponses JSON par tâche pour le fournisseur stub
+ */
+module.exports = {
+  provider: process.env.AI_PROVIDER || 'openai',
+  model: process.env.AI_MODEL || 'gpt-4o',
+  baseURL: process.env.AI_BASE_URL || undefined,
+  apiKey: process.env.AI_API_KEY || process.env.OPENAI_API_KEY,
+  timeout: Number(process.env.AI_TIMEOUT_MS) || 60000,
+  repairAttempts: Number.isNaN(repairAttempts)
+    ? 2
+    : Math.max(0, repairAttempts),
+  replies: process.env.AI_STUB_REPLIES
+    ? JSON.parse(process.env.AI_STUB_REPLIES)
+    : undefined,
+};
@@ -0,0 +1,69 @@
+require('dotenv').config();
+
+/**
+ * Canaux d'alerte et règles d'envoi (voir alerts/index.js)
+ * Un canal n'est actif que si sa destination est renseignée.
+ *
+ * Pour chaque canal :
+ * - minSeverity : gravité minimale transmise (info, warning, critical)
+ * - dedupWindowMs : une alerte identique (même dedupKey) n'est renvoyée
+ *   qu'après ce délai
+ * - rateLimit : nombre maximal d'alertes envoyées par fenêtre glissante
+ * - template : gabarits { title, message } ; {{champ}} est remplacé par le
+ *   champ de l'événement (type, severity, title, message, source, details.x...)
+ *
+ * Variables d'environnement :
+ * - ALERT_DISCORD_WEBHOOK_URL, ALERT_DISCORD_MIN_SEVERITY
+ * - ALERT_WEBHOOK_URL, ALERT_WEBHOOK_MIN_SEVERITY
+ * - ALERT_EMAIL_TO (adresses séparées par des virgules), ALERT_EMAIL_FROM,
+ *   ALERT_EMAIL_MIN_SEVERITY, SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+ * - ALERT_DEDUP_WINDOW_MS, ALERT_RATE_LIMIT_MAX, ALERT_RATE_LIMIT_WINDOW_MS :
+ *   valeurs par défaut de tous les canaux
+ */
+const defaults = {
+  dedupWindowMs: Number(process.env.ALERT_DEDUP_WINDOW_MS ?? 10 * 60 * 1000),
+  rateLimit: {
+    limit: Number(process.env.ALERT_RATE_LIMIT_MAX) || 10,
+    windowMs: Number(process.env.ALERT_RATE_LIMIT_WINDOW_MS) || 60 * 60 * 1000,
+  },
+};
+
+module.exports = {
+  discord: {
+    ...defaults,
+    url: process.env.ALERT_DISCORD_WEBHOOK_URL,
+    username: 'SpotR-AI',
+    minSeverity: process.env.ALERT_DISCORD_MIN_SEVERITY || 'warning',
+    template: {
+      title: '{{title}}',
+      message: '{{message}}',
+    },
+  },
+  webhook: {
+    ...defaults,
+    url: process.env.ALERT_WEBHOOK_URL,
+    minSeverity: process.env.ALERT_WEBHOOK_MIN_SEVERITY || 'info',
+    template: {
+      title: '{{title}}',
+      message: '{{message}}',
+    },
+  },
+  email: {
+    ...defaults,
+    to: process.env.ALERT_EMAIL_TO,
+    from: process.env.ALERT_EMAIL_FROM || 'spotr-ai@localhost',
+    minSeverity: process.env.ALERT_EMAIL_MIN_SEVERITY || 'critical',
+    smtp: {
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    },
+    template: {
+      title: '[SpotR-AI] [{{severity}}] {{title}}',
+      message: '{{message}}\n\nSource : {{source}}\nÉvénement : {{type}}',
+    },
+  },
+};
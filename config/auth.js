@@ -0,0 +1,50 @@
+require('dotenv').config();
+
+/**
+ * Découpe une liste séparée par des virgules
+ *
+ * @param {string} [value] - Valeur de la variable d'environnement
+ * @returns {Array<string>|undefined} Valeurs, undefined si la liste est vide
+ */
+const list = (value) => {
+  const values = (value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+  return values.length > 0 ? values : undefined;
+};
+
+// Délai entre rechargements : entier positif ou nul, 30 s si la valeur est
+// vide ou invalide (à 0, chaque clé inconnue recharge le JWKS)
+const minRefreshInterval = Number.parseInt(process.env.JWT_JWKS_REFRESH_MS, 10);
+
+/**
+ * Vérification des tokens JWT des utilisateurs
+ * - JWT_ALGORITHMS : algorithmes acceptés, séparés par des virgules
+ *   (HS256 par défaut ; RS256 et ES256 vérifiés avec les clés du JWKS)
+ * - JWT_SECRET : secret partagé des tokens HS256
+ * - JWT_JWKS_URL / JWT_JWKS_FILE : jeu de clés publiques (JWKS) des tokens
+ *   RS256 / ES256, par URL ou fichier local
+ * - JWT_JWKS_CACHE_TTL_MS : durée de conservation des clés avant rechargement
+ * - JWT_JWKS_REFRESH_MS : délai minimal entre deux rechargements provoqués
+ *   par une clé inconnue (rotation des clés)
+ * - JWT_ISSUER / JWT_AUDIENCE : émetteurs et audiences acceptés (iss / aud),
+ *   séparés par des virgules ; non vérifiés si vides
+ * - JWT_CLOCK_TOLERANCE_S : tolérance de décalage d'horloge sur exp / nbf
+ */
+module.exports = {
+  algorithms: list(process.env.JWT_ALGORITHMS) || ['HS256'],
+  secret: process.env.JWT_SECRET,
+  jwks: {
+    url: process.env.JWT_JWKS_URL || undefined,
+    file: process.env.JWT_JWKS_FILE || undefined,
+    cacheTtl: Number(process.env.JWT_JWKS_CACHE_TTL_MS) || 60 * 60 * 1000,
+    minRefreshInterval: Number.isNaN(minRefreshInterval)
+      ? 30 * 1000
+      : Math.max(0, minRefreshInterval),
+    timeout: 5000,
+  },
+  issuer: list(process.env.JWT_ISSUER),
+  audience: list(process.env.JWT_AUDIENCE),
+  clockTolerance: Number(process.env.JWT_CLOCK_TOLERANCE_S ?? 30),
+};
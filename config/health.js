@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+// Durée du cache : entier positif ou nul, 10 s si la valeur est vide ou invalide
+const cacheTtl = Number.parseInt(process.env.HEALTH_CACHE_TTL_MS, 10);
+
+/**
+ * Vérifications de GET /api/health/ready
+ * - HEALTH_TIMEOUT_MS : délai maximal de chaque vérification
+ * - HEALTH_CACHE_TTL_MS : durée pendant laquelle le dernier résultat est
+ *   réutilisé, pour ne pas solliciter les dépendances à chaque sonde
+ */
+module.exports = {
+  timeout: Number(process.env.HEALTH_TIMEOUT_MS) || 3000,
+  cacheTtl: Number.isNaN(cacheTtl) ? 10 * 1000 : Math.max(0, cacheTtl),
+};
@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+/**
+ * Configuration de l'index des images déjà publiées
+ * - IMAGE_INDEX_STORE : stockage de l'index (file par défaut, ou memory)
+ * - IMAGE_INDEX_FILE : fichier de l'index pour le stockage file
+ * - IMAGE_HASH_MAX_DISTANCE : distance de Hamming maximale (sur 64 bits)
+ *   pour considérer deux images comme identiques
+ */
+module.exports = {
+  store: process.env.IMAGE_INDEX_STORE || 'file',
+  file: process.env.IMAGE_INDEX_FILE || './storage/image-index.json',
+  maxDistance: Number(process.env.IMAGE_HASH_MAX_DISTANCE ?? 5),
+};
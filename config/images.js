@@ -0,0 +1,11 @@
+require('dotenv').config();
+
+/**
+ * Configuration de la normalisation des images avant upload et analyse
+ * - IMAGE_MAX_DIMENSION : plus grand côté autorisé en pixels (les images plus grandes sont réduites)
+ * - IMAGE_JPEG_QUALITY : qualité des images réencodées en JPEG ou WebP
+ */
+module.exports = {
+  maxDimension: Number(process.env.IMAGE_MAX_DIMENSION) || 2048,
+  quality: Number(process.env.IMAGE_JPEG_QUALITY) || 85,
+};
@@ -0,0 +1,15 @@
+require('dotenv').config();
+
+/**
+ * Configuration des jobs de validation asynchrones
+ * - VALIDATION_JOB_STORE : stockage des jobs (memory par défaut)
+ * - VALIDATION_JOB_CONCURRENCY : nombre de jobs traités en parallèle
+ * - VALIDATION_JOB_MAX_QUEUE : nombre maximal de jobs en attente
+ * - VALIDATION_JOB_TTL_MS : durée de conservation d'un job terminé
+ */
+module.exports = {
+  store: process.env.VALIDATION_JOB_STORE || 'memory',
+  concurrency: Number(process.env.VALIDATION_JOB_CONCURRENCY) || 2,
+  maxQueue: Number(process.env.VALIDATION_JOB_MAX_QUEUE) || 100,
+  ttl: Number(process.env.VALIDATION_JOB_TTL_MS) || 60 * 60 * 1000,
+};
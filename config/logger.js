@@ -1,22 +1,54 @@
+const path = require('path');
 const winston = require('winston');
+require('winston-daily-rotate-file');
+const logsConfig = require('./logs');
+const { getRequestId, getServiceId } = require('../services/request-context');
+
+// Ajoute l'identifiant de la requête en cours et le microservice appelant
+// à chaque entrée de log
+const requestContextFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  const serviceId = getServiceId();
+  if (serviceId && !info.serviceId) {
+    info.serviceId = serviceId;
+  }
+  return info;
+});
+
+/**
+ * Transport d'un fichier de logs avec rotation quotidienne et par taille
+ * (voir config/logs.js)
+ *
+ * @param {string} name - Nom du fichier (warnings, errors, metrics)
+ * @param {string} [level] - Niveau minimal journalisé
+ * @returns {Object} Transport winston
+ */
+const rotatingFile = (name, level) =>
+  new winston.transports.DailyRotateFile({
+    filename: path.join(logsConfig.dir, `${name}-%DATE%.log`),
+    datePattern: logsConfig.datePattern,
+    maxSize: logsConfig.maxSize || null,
+    maxFiles: logsConfig.retention,
+    zippedArchive: logsConfig.gzip,
+    auditFile: path.join(logsConfig.dir, `.${name}-audit.json`),
+    level,
+  });
 
 const logger = winston.createLogger({
   level: 'info',
   format: winston.format.combine(
+    requestContextFormat(),
     winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
     winston.format.json()
   ),
   defaultMeta: { service: 'ai-service' },
   transports: [
-    new winston.transports.File({
-      filename: './storage/warnings.log',
-      level: 'warn',
-    }),
-    new winston.transports.File({
-      filename: './storage/errors.log',
-      level: 'error',
-    }),
-    new winston.transports.File({ filename: './storage/metrics.log' }),
+    rotatingFile('warnings', 'warn'),
+    rotatingFile('errors', 'error'),
+    rotatingFile('metrics'),
   ],
 });
 
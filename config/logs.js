@@ -0,0 +1,24 @@
+const path = require('path');
+require('dotenv').config();
+
+const dir = process.env.LOG_DIR || './storage';
+
+/**
+ * Rotation et rétention des fichiers de logs (warnings, errors, metrics)
+ * Chaque fichier est découpé par jour (<nom>-AAAA-MM-JJ.log) et, au-delà de
+ * la taille maximale, en segments numérotés (.log.1, .log.2...).
+ * - LOG_DIR : répertoire des fichiers de logs
+ * - LOG_MAX_SIZE : taille maximale d'un segment (ex. 20m, 1g ; vide = sans limite)
+ * - LOG_RETENTION : durée de conservation (ex. 14d) ou nombre de segments
+ * - LOG_GZIP : compression gzip des segments terminés (true par défaut)
+ * - AUDIT_LOG_FILE : journal d'audit des accès refusés (<LOG_DIR>/audit.log
+ *   par défaut), conservé sans rotation
+ */
+module.exports = {
+  dir,
+  datePattern: 'YYYY-MM-DD',
+  maxSize: process.env.LOG_MAX_SIZE ?? '20m',
+  retention: process.env.LOG_RETENTION || '14d',
+  gzip: process.env.LOG_GZIP !== 'false',
+  auditFile: process.env.AUDIT_LOG_FILE || path.join(dir, 'audit.log'),
+};
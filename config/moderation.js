@@ -0,0 +1,16 @@
+const path = require('path');
+require('dotenv').config();
+
+/**
+ * Politique de modération appliquée aux verdicts de validatePost et validateData
+ * - MODERATION_POLICY_FILE : fichier JSON de la politique
+ *   (policies/moderation.json par défaut, voir schemas/moderation-policy.schema.js)
+ *
+ * Le fichier est validé au démarrage et rechargé par POST /api/policy/reload
+ * ou le signal SIGHUP.
+ */
+module.exports = {
+  policyFile:
+    process.env.MODERATION_POLICY_FILE ||
+    path.join(__dirname, '..', 'policies', 'moderation.json'),
+};
@@ -0,0 +1,19 @@
+require('dotenv').config();
+
+/**
+ * Moniteur de disponibilité des dépendances (BDD, fournisseur d'IA, Cloudinary)
+ * - MONITOR_ENABLED : démarre le moniteur avec l'application (true par défaut)
+ * - MONITOR_SCHEDULE : expression cron des sondes (toutes les minutes par défaut)
+ * - MONITOR_TIMEOUT_MS : délai maximal d'une sonde
+ * - MONITOR_FAILURE_THRESHOLD : échecs consécutifs avant de passer une cible à down
+ * - MONITOR_RECOVERY_THRESHOLD : succès consécutifs avant de repasser une cible à up
+ * - MONITOR_HISTORY_SIZE : nombre de transitions conservées
+ */
+module.exports = {
+  enabled: process.env.MONITOR_ENABLED !== 'false',
+  schedule: process.env.MONITOR_SCHEDULE || '* * * * *',
+  timeout: Number(process.env.MONITOR_TIMEOUT_MS) || 5000,
+  failureThreshold: Number(process.env.MONITOR_FAILURE_THRESHOLD) || 3,
+  recoveryThreshold: Number(process.env.MONITOR_RECOVERY_THRESHOLD) || 2,
+  historySize: Number(process.env.MONITOR_HISTORY_SIZE) || 100,
+};
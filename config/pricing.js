@@ -0,0 +1,19 @@
+require('dotenv').config();
+
+/**
+ * Tarifs des modèles, en unité de devise par million de tokens
+ * - MODEL_PRICES : tarifs JSON remplaçant ceux par défaut,
+ *   ex. {"gpt-4o":{"prompt":2.5,"completion":10}}
+ * - PRICING_CURRENCY : devise des tarifs (USD par défaut)
+ *
+ * Un modèle daté (gpt-4o-2024-08-06) utilise le tarif de son préfixe le plus long.
+ */
+module.exports = {
+  currency: process.env.PRICING_CURRENCY || 'USD',
+  models: process.env.MODEL_PRICES
+    ? JSON.parse(process.env.MODEL_PRICES)
+    : {
+        'gpt-4o': { prompt: 2.5, completion: 10 },
+        'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+      },
+};
@@ -0,0 +1,36 @@
+require('dotenv').config();
+
+/**
+ * Lit une limite de quota (0 désactive la limite)
+ *
+ * @param {string} [value] - Valeur de la variable d'environnement
+ * @param {number} fallback - Limite par défaut
+ * @returns {number} Limite
+ */
+const quotaLimit = (value, fallback) =>
+  value === undefined || value === '' ? fallback : Number(value);
+
+/**
+ * Quotas de consommation du modèle par utilisateur, par jour et par mois
+ * (périodes calendaires UTC), comptés en validations, images et tokens
+ * - QUOTA_STORE : stockage des compteurs et des quotas personnalisés (memory par défaut)
+ * - QUOTA_DAILY_VALIDATIONS / QUOTA_DAILY_IMAGES / QUOTA_DAILY_TOKENS
+ * - QUOTA_MONTHLY_VALIDATIONS / QUOTA_MONTHLY_IMAGES / QUOTA_MONTHLY_TOKENS
+ *
+ * Une limite à 0 désactive le quota correspondant.
+ */
+module.exports = {
+  store: process.env.QUOTA_STORE || 'memory',
+  limits: {
+    daily: {
+      validations: quotaLimit(process.env.QUOTA_DAILY_VALIDATIONS, 50),
+      images: quotaLimit(process.env.QUOTA_DAILY_IMAGES, 200),
+      tokens: quotaLimit(process.env.QUOTA_DAILY_TOKENS, 500000),
+    },
+    monthly: {
+      validations: quotaLimit(process.env.QUOTA_MONTHLY_VALIDATIONS, 500),
+      images: quotaLimit(process.env.QUOTA_MONTHLY_IMAGES, 2000),
+      tokens: quotaLimit(process.env.QUOTA_MONTHLY_TOKENS, 5000000),
+    },
+  },
+};
@@ -0,0 +1,35 @@
+require('dotenv').config();
+
+/**
+ * Convertit la valeur de TRUST_PROXY pour le réglage "trust proxy" d'Express
+ * true/false, un nombre de proxies ou une liste d'adresses / sous-réseaux
+ *
+ * @param {string} [value] - Valeur de la variable d'environnement
+ * @returns {boolean|number|string} Valeur attendue par Express
+ */
+const parseTrustProxy = (value) => {
+  if (!value || value === 'false') return false;
+  if (value === 'true') return true;
+  return /^\d+$/.test(value) ? Number(value) : value;
+};
+
+/**
+ * Limitation du nombre d'appels aux routes de validation (fenêtre glissante)
+ * - RATE_LIMIT_STORE : stockage des compteurs (memory par défaut)
+ * - RATE_LIMIT_POST_MAX / RATE_LIMIT_POST_WINDOW_MS : validatePost, par utilisateur
+ * - RATE_LIMIT_DATA_MAX / RATE_LIMIT_DATA_WINDOW_MS : validateData, par service appelant
+ * - TRUST_PROXY : proxies de confiance pour déterminer l'IP du client
+ *   (X-Forwarded-For), voir le réglage "trust proxy" d'Express
+ */
+module.exports = {
+  store: process.env.RATE_LIMIT_STORE || 'memory',
+  trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
+  validatePost: {
+    limit: Number(process.env.RATE_LIMIT_POST_MAX) || 20,
+    windowMs: Number(process.env.RATE_LIMIT_POST_WINDOW_MS) || 60 * 60 * 1000,
+  },
+  validateData: {
+    limit: Number(process.env.RATE_LIMIT_DATA_MAX) || 60,
+    windowMs: Number(process.env.RATE_LIMIT_DATA_WINDOW_MS) || 60 * 1000,
+  },
+};
@@ -0,0 +1,19 @@
+require('dotenv').config();
+
+/**
+ * Authentification des microservices SpotR appelant validateData
+ * Chaque requête est signée HMAC-SHA256 avec le secret du service appelant
+ * (voir services/service-auth/index.js).
+ * - SERVICE_CREDENTIALS : services autorisés, en JSON
+ *   { "<serviceId>": { "secret": "...", "scopes": ["validate:data"] } }
+ * - SERVICE_AUTH_MAX_SKEW_S : écart maximal entre X-Timestamp et l'horloge
+ *   du service ; les nonces sont conservés deux fois cette durée
+ * - SERVICE_AUTH_NONCE_STORE : stockage des nonces déjà utilisés (memory par défaut)
+ */
+module.exports = {
+  credentials: process.env.SERVICE_CREDENTIALS
+    ? JSON.parse(process.env.SERVICE_CREDENTIALS)
+    : {},
+  maxSkew: Number(process.env.SERVICE_AUTH_MAX_SKEW_S) || 5 * 60,
+  nonceStore: process.env.SERVICE_AUTH_NONCE_STORE || 'memory',
+};
@@ -0,0 +1,23 @@
+require('dotenv').config();
+
+/**
+ * Contraintes appliquées aux fichiers uploadés
+ * - UPLOAD_DIR : dossier des fichiers temporaires
+ * - UPLOAD_MAX_FILES : nombre maximal de fichiers par requête
+ * - UPLOAD_MAX_FILE_SIZE : taille maximale d'un fichier en octets
+ * - UPLOAD_MAX_TOTAL_SIZE : taille cumulée maximale des fichiers en octets
+ * - UPLOAD_ALLOWED_TYPES : types MIME acceptés, séparés par des virgules ;
+ *   le contenu réel de chaque fichier (magic bytes) doit aussi correspondre
+ */
+module.exports = {
+  dest: process.env.UPLOAD_DIR || 'uploads/',
+  maxFiles: Number(process.env.UPLOAD_MAX_FILES) || 10,
+  maxFileSize: Number(process.env.UPLOAD_MAX_FILE_SIZE) || 15 * 1024 * 1024,
+  maxTotalSize: Number(process.env.UPLOAD_MAX_TOTAL_SIZE) || 60 * 1024 * 1024,
+  allowedTypes: (
+    process.env.UPLOAD_ALLOWED_TYPES ||
+    'image/jpeg,image/png,image/webp,image/heic,image/heif'
+  )
+    .split(',')
+    .map((type) => type.trim()),
+};
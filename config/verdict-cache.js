@@ -0,0 +1,14 @@
+require('dotenv').config();
+
+// Durée de validité : entier positif ou nul, 24 h si la valeur est invalide
+const ttl = Number.parseInt(process.env.VERDICT_CACHE_TTL_MS, 10);
+
+/**
+ * Cache des verdicts de validateData
+ * - VERDICT_CACHE_TTL_MS : durée de validité d'un verdict (0 désactive le cache)
+ * - VERDICT_CACHE_MAX_ENTRIES : nombre maximal de verdicts conservés
+ */
+module.exports = {
+  ttl: Number.isNaN(ttl) ? 24 * 60 * 60 * 1000 : Math.max(0, ttl),
+  maxEntries: Number(process.env.VERDICT_CACHE_MAX_ENTRIES) || 10000,
+};
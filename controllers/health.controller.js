@@ -0,0 +1,33 @@
+const { getReadinessProbe } = require('../services/health');
+
+/**
+ * Vivacité (liveness) : le processus répond
+ * N'interroge aucune dépendance, pour qu'une panne externe ne provoque pas
+ * le redémarrage du service par l'orchestrateur.
+ *
+ * @param {Object} req - Objet request Express
+ * @param {Object} res - Objet response Express
+ * @returns {void} Renvoie { status, uptime }
+ */
+exports.live = (req, res) => {
+  res.status(200).json({
+    status: 'alive',
+    uptime: Math.round(process.uptime()),
+  });
+};
+
+/**
+ * Disponibilité (readiness) : le service peut traiter des validations
+ * Vérifie la configuration, les dossiers de stockage et d'upload, le
+ * fournisseur d'IA, Cloudinary et le microservice BDD (voir services/health.js).
+ *
+ * @param {Object} req - Objet request Express
+ * @param {Object} res - Objet response Express
+ * @returns {Promise<void>} 200 si toutes les vérifications réussissent, 503 sinon
+ */
+exports.ready = async (req, res) => {
+  const { ready, ...result } = await getReadinessProbe()();
+  res
+    .status(ready ? 200 : 503)
+    .json({ status: ready ? 'ready' : 'not_ready', ...result });
+};
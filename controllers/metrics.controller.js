@@ -1,96 +1,143 @@
-const fs = require('fs').promises;
-const path = require('path');
+const logsConfig = require('../config/logs');
+const { parseLogQuery, queryLogs } = require('../services/log-reader');
+const {
+  parseSummaryQuery,
+  summarizeLogs,
+} = require('../services/metrics-summary');
+const { parseUsageQuery, summarizeUsage } = require('../services/usage');
+const InvalidQueryError = require('../errors/invalid-query.error');
 
 /**
- * Lit et parse un fichier de log au format NDJSON (Newline Delimited JSON)
- * Chaque ligne du fichier doit être un objet JSON valide
- * 
- * @param {string} filePath - Chemin vers le fichier de log à lire
- * @returns {Promise<Array>} Tableau des objets JSON parsés depuis le fichier
- * @throws {Error} Si le fichier ne peut pas être lu ou si le JSON est invalide
+ * Lit une page d'un log au format NDJSON (Newline Delimited JSON), à travers
+ * le fichier courant et ses segments archivés (compressés ou non), en
+ * appliquant les filtres passés en paramètres de requête
+ *
+ * @param {string} name - Nom du log (metrics, errors, warnings)
+ * @param {Object} query - Paramètres de requête (voir services/log-reader.js)
+ * @returns {Promise<Object>} { items, count, skipped, nextCursor }
+ * @throws {InvalidQueryError} Si un paramètre de requête est invalide
+ * @throws {Error} Si le fichier ne peut pas être lu
  */
-const readLogFile = async (filePath) => {
+const readLogFile = async (name, query) => {
+  // Validation des paramètres avant toute lecture
+  const filters = parseLogQuery(query);
+
   try {
-    // Lecture asynchrone du fichier en UTF-8
-    const data = await fs.readFile(filePath, 'utf8');
-    
-    return data
-      .split('\n')                    // Découpe par lignes
-      .filter((line) => line.trim() !== '') // Supprime les lignes vides
-      .map((line) => JSON.parse(line));      // Parse chaque ligne comme JSON
+    return await queryLogs(logsConfig.dir, name, filters);
   } catch (err) {
     throw new Error(`Erreur lors de la lecture du fichier : ${err.message}`);
   }
 };
 
-// Répertoire de stockage des fichiers de logs
-const storageDirectory = './storage';
+/**
+ * Crée le handler d'un endpoint de consultation d'un log
+ *
+ * @param {string} name - Nom du log dans le répertoire de stockage
+ * @returns {Function} Handler Express
+ */
+const sendLogFile = (name) => async (req, res) => {
+  try {
+    // Lecture en flux des segments, filtrée et paginée
+    const page = await readLogFile(name, req.query);
+
+    res.status(200).json(page);
+  } catch (err) {
+    if (err instanceof InvalidQueryError) {
+      return res
+        .status(400)
+        .json({ message: err.message, code: err.code, param: err.param });
+    }
+    // Gestion d'erreur si le fichier n'existe pas ou est illisible
+    res.status(500).json({ message: err.message });
+  }
+};
+
+/**
+ * Crée le handler d'un endpoint d'agrégation des événements de télémétrie
+ * de metrics.log
+ *
+ * @param {Function} parseQuery - Valide req.query, lève InvalidQueryError
+ * @param {Function} aggregate - (dir, name, options) => Promise<Object>
+ * @returns {Function} Handler Express
+ */
+const sendAggregate = (parseQuery, aggregate) => async (req, res) => {
+  let options;
+  try {
+    options = parseQuery(req.query);
+  } catch (err) {
+    return res
+      .status(400)
+      .json({ message: err.message, code: err.code, param: err.param });
+  }
+
+  try {
+    const result = await aggregate(logsConfig.dir, 'metrics', options);
+    res.status(200).json(result);
+  } catch (err) {
+    res.status(500).json({
+      message: `Erreur lors de la lecture du fichier : ${err.message}`,
+    });
+  }
+};
 
+/**
+ * Les logs sont découpés par jour et par taille (voir config/logs.js) ;
+ * tous les endpoints acceptent les paramètres de requête level, from, to, q,
+ * service, limit et cursor, et renvoient { items, count, skipped, nextCursor }.
+ * skipped compte les lignes corrompues ignorées ; nextCursor (ou null) permet
+ * de lire la page suivante.
+ */
 module.exports = {
   /**
    * Récupère les métriques depuis le fichier metrics.log
-   * Endpoint GET pour obtenir toutes les métriques de performance/utilisation
-   * 
+   * Endpoint GET pour obtenir les métriques de performance/utilisation
+   *
    * @param {Object} req - Objet request Express
    * @param {Object} res - Objet response Express
    * @returns {Promise<void>} Renvoie un JSON avec les métriques ou une erreur
    */
-  getMetrics: async (req, res) => {
-    try {
-      // Lecture du fichier de métriques
-      const logs = await readLogFile(
-        path.join(storageDirectory, 'metrics.log')
-      );
-      
-      // Retour des métriques en JSON
-      res.status(200).json(logs);
-    } catch (err) {
-      // Gestion d'erreur si le fichier n'existe pas ou est illisible
-      res.status(500).json({ message: err.message });
-    }
-  },
+  getMetrics: sendLogFile('metrics'),
 
   /**
    * Récupère les erreurs depuis le fichier errors.log
-   * Endpoint GET pour obtenir tous les logs d'erreurs de l'application
-   * 
+   * Endpoint GET pour obtenir les logs d'erreurs de l'application
+   *
    * @param {Object} req - Objet request Express
    * @param {Object} res - Objet response Express
    * @returns {Promise<void>} Renvoie un JSON avec les erreurs ou une erreur
    */
-  getErrors: async (req, res) => {
-    try {
-      // Lecture du fichier d'erreurs
-      const logs = await readLogFile(path.join(storageDirectory, 'errors.log'));
-      
-      // Retour des erreurs en JSON
-      res.status(200).json(logs);
-    } catch (err) {
-      // Gestion d'erreur si le fichier n'existe pas ou est illisible
-      res.status(500).json({ message: err.message });
-    }
-  },
+  getErrors: sendLogFile('errors'),
 
   /**
    * Récupère les avertissements depuis le fichier warnings.log
-   * Endpoint GET pour obtenir tous les logs de warnings/avertissements
-   * 
+   * Endpoint GET pour obtenir les logs de warnings/avertissements
+   *
    * @param {Object} req - Objet request Express
    * @param {Object} res - Objet response Express
    * @returns {Promise<void>} Renvoie un JSON avec les warnings ou une erreur
    */
-  getWarnings: async (req, res) => {
-    try {
-      // Lecture du fichier de warnings
-      const logs = await readLogFile(
-        path.join(storageDirectory, 'warnings.log')
-      );
-      
-      // Retour des warnings en JSON
-      res.status(200).json(logs);
-    } catch (err) {
-      // Gestion d'erreur si le fichier n'existe pas ou est illisible
-      res.status(500).json({ message: err.message });
-    }
-  },
-};
\ No newline at end of file
+  getWarnings: sendLogFile('warnings'),
+
+  /**
+   * Agrège les événements de télémétrie de metrics.log par intervalle de temps
+   * Endpoint GET pour obtenir le nombre de requêtes par endpoint, les taux
+   * d'acceptation et de refus, la distribution des scores et les latences
+   * (p50/p95/p99) du modèle, de Cloudinary et de la BDD
+   *
+   * @param {Object} req - Objet request Express (query : from, to, bucket)
+   * @param {Object} res - Objet response Express
+   * @returns {Promise<void>} Renvoie un JSON avec les statistiques ou une erreur
+   */
+  getSummary: sendAggregate(parseSummaryQuery, summarizeLogs),
+
+  /**
+   * Agrège les tokens consommés par le modèle et leur coût (config/pricing.js)
+   * Endpoint GET pour suivre le coût de la modération par jour, par
+   * utilisateur ou par endpoint
+   *
+   * @param {Object} req - Objet request Express (query : from, to, groupBy)
+   * @param {Object} res - Objet response Express
+   * @returns {Promise<void>} Renvoie un JSON avec les totaux ou une erreur
+   */
+  getUsage: sendAggregate(parseUsageQuery, summarizeUsage),
+};
@@ -0,0 +1,56 @@
+const logger = require('../config/logger');
+const { getPolicy, reloadPolicy } = require('../services/moderation-policy');
+const { audit } = require('../services/audit');
+const InvalidPolicyError = require('../errors/invalid-policy.error');
+const getUserId = require('../utils/user-id');
+
+/**
+ * Renvoie la politique de modération appliquée, avec son identifiant
+ * de version (id)
+ */
+exports.getPolicy = (req, res) => {
+  try {
+    return res.status(200).json({ success: true, policy: getPolicy() });
+  } catch (err) {
+    logger.error('Erreur dans getPolicy:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: err.message,
+    });
+  }
+};
+
+/**
+ * Recharge le fichier de politique de modération
+ * Un fichier invalide est refusé et la politique courante reste appliquée.
+ */
+exports.reloadPolicy = async (req, res) => {
+  let previous;
+  try {
+    previous = getPolicy().id;
+    const policy = await reloadPolicy();
+    audit('policy.reloaded', {
+      userId: getUserId(req.user),
+      previous,
+      current: policy.id,
+    });
+    return res.status(200).json({ success: true, previous, policy });
+  } catch (err) {
+    if (err instanceof InvalidPolicyError) {
+      return res.status(400).json({
+        success: false,
+        error: err.message,
+        code: err.code,
+        details: err.errors,
+        current: previous,
+      });
+    }
+    logger.error('Erreur dans reloadPolicy:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: err.message,
+    });
+  }
+};
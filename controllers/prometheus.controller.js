@@ -0,0 +1,21 @@
+const logger = require('../config/logger');
+const { getPrometheusRegistry } = require('../services/prometheus');
+
+/**
+ * Expose les métriques au format texte Prometheus
+ * Endpoint GET /metrics destiné au scraping, distinct des routes JSON /api/metrics
+ *
+ * @param {Object} req - Objet request Express
+ * @param {Object} res - Objet response Express
+ * @returns {Promise<void>} Renvoie les métriques ou une erreur
+ */
+exports.getMetrics = async (req, res) => {
+  try {
+    const registry = getPrometheusRegistry();
+    res.set('Content-Type', registry.contentType);
+    res.status(200).send(await registry.metrics());
+  } catch (err) {
+    logger.error('Erreur dans getMetrics (Prometheus):', err);
+    res.status(500).json({ message: err.message });
+  }
+};
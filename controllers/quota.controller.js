@@ -0,0 +1,64 @@
+const Ajv = require('ajv');
+const logger = require('../config/logger');
+const { getQuotaStatus, setUserQuota } = require('../services/quota');
+const quotaUpdateSchema = require('../schemas/quota-update.schema');
+const getUserId = require('../utils/user-id');
+
+const validateQuotaUpdate = new Ajv({ allErrors: true }).compile(
+  quotaUpdateSchema
+);
+
+/**
+ * Consulte les quotas d'un utilisateur et sa consommation
+ * Renvoie les quotas applicables (limits), les quotas personnalisés
+ * (overrides) et la consommation des périodes en cours (usage)
+ */
+exports.getQuota = async (req, res) => {
+  try {
+    const status = await getQuotaStatus(req.params.userId);
+    return res.status(200).json({ success: true, ...status });
+  } catch (err) {
+    logger.error('Erreur dans getQuota:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: err.message,
+    });
+  }
+};
+
+/**
+ * Modifie les quotas personnalisés d'un utilisateur
+ * Body : { daily, monthly }, chacun { validations, images, tokens } ;
+ * une valeur null rétablit le quota par défaut
+ */
+exports.updateQuota = async (req, res) => {
+  if (!validateQuotaUpdate(req.body)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Quotas invalides.',
+      code: 'INVALID_QUOTA',
+      details: validateQuotaUpdate.errors.map(
+        (error) => `${error.instancePath || '/'} ${error.message}`
+      ),
+    });
+  }
+
+  try {
+    await setUserQuota(req.params.userId, req.body);
+    logger.info('Quotas modifiés:', {
+      userId: req.params.userId,
+      changes: req.body,
+      adminId: getUserId(req.user),
+    });
+    const status = await getQuotaStatus(req.params.userId);
+    return res.status(200).json({ success: true, ...status });
+  } catch (err) {
+    logger.error('Erreur dans updateQuota:', err);
+    return res.status(500).json({
+      success: false,
+      error: 'Erreur serveur',
+      message: err.message,
+    });
+  }
+};
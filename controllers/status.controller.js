@@ -0,0 +1,14 @@
+const { getMonitor } = require('../cron/monitor');
+
+/**
+ * État de disponibilité des dépendances surveillées par le moniteur
+ * (voir cron/monitor.js) et historique des transitions, du plus récent au
+ * plus ancien
+ *
+ * @param {Object} req - Objet request Express
+ * @param {Object} res - Objet response Express
+ * @returns {void} Renvoie { status, targets, history }
+ */
+exports.getStatus = (req, res) => {
+  res.status(200).json(getMonitor().getStatus());
+};
@@ -0,0 +1,297 @@
+const EventEmitter = require('events');
+const https = require('https');
+const cron = require('node-cron');
+const logger = require('../config/logger');
+const monitorConfig = require('../config/monitor');
+const cloudinary = require('../config/cloudinary');
+const { getProvider } = require('../providers');
+const { notify } = require('../alerts');
+const withTimeout = require('../utils/with-timeout');
+
+/**
+ * Agent HTTPS dont les connexions sont fermées au délai
+ * L'option timeout du SDK Cloudinary n'interrompt pas la requête : sans cet
+ * agent, une API lente garderait la connexion ouverte d'un passage à l'autre.
+ *
+ * @param {number} timeout - Délai en millisecondes
+ * @returns {https.Agent} Agent à passer à l'appel Cloudinary (option agent)
+ */
+const abortingAgent = (timeout) => {
+  const agent = new https.Agent();
+  const createConnection = agent.createConnection.bind(agent);
+  agent.createConnection = (options, callback) =>
+    createConnection(
+      { ...options, signal: AbortSignal.timeout(timeout) },
+      callback
+    );
+  return agent;
+};
+
+/**
+ * Cibles surveillées par défaut
+ * - bdd : le microservice BDD répond (toute réponse HTTP hors 5xx)
+ * - provider : le fournisseur d'IA configuré répond (ping, sans tokens)
+ * - cloudinary : l'API Cloudinary répond (api.ping)
+ *
+ * @param {Object} [options] - Options des sondes
+ * @param {number} [options.timeout] - Délai après lequel la requête de chaque
+ *   sonde est interrompue (voir config/monitor.js)
+ * @returns {Array<Object>} Cibles { name, probe }
+ */
+const defaultTargets = ({ timeout = monitorConfig.timeout } = {}) => [
+  {
+    name: 'bdd',
+    probe: async () => {
+      // Requête interrompue au délai : pas de socket ouvert à chaque passage
+      const response = await fetch(process.env.SERVICE_BDD_URL, {
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (response.status >= 500) {
+        throw new Error(`Microservice BDD en erreur (${response.status})`);
+      }
+    },
+  },
+  { name: 'provider', probe: () => getProvider().ping({ timeout }) },
+  {
+    name: 'cloudinary',
+    probe: () =>
+      cloudinary.api.ping({ timeout, agent: abortingAgent(timeout) }),
+  },
+];
+
+/**
+ * Crée un moniteur de disponibilité
+ * Chaque cible est sondée à chaque passage ; son état (up/down) ne change
+ * qu'après plusieurs résultats consécutifs contraires (amortissement des
+ * oscillations), sauf au premier passage où il est établi directement.
+ * Chaque changement d'état est horodaté dans l'historique et émis
+ * (événement transition).
+ *
+ * @param {Object} options - Options du moniteur (voir config/monitor.js)
+ * @param {Array<Object>} options.targets - Cibles { name, probe }
+ * @param {number} [options.timeout] - Délai maximal d'une sonde
+ * @param {number} [options.failureThreshold] - Échecs consécutifs avant down
+ * @param {number} [options.recoveryThreshold] - Succès consécutifs avant up
+ * @param {number} [options.historySize] - Nombre de transitions conservées
+ * @returns {Object} Moniteur exposant check(), getStatus(), start(), stop() et on()
+ */
+const createMonitor = ({
+  targets,
+  timeout = 5000,
+  failureThreshold = 3,
+  recoveryThreshold = 2,
+  historySize = 100,
+}) => {
+  const emitter = new EventEmitter();
+  const history = [];
+  const states = new Map(
+    targets.map(({ name }) => [
+      name,
+      {
+        name,
+        status: 'unknown',
+        since: null,
+        lastCheckedAt: null,
+        lastSuccessAt: null,
+        lastError: null,
+        latencyMs: null,
+        consecutiveFailures: 0,
+        consecutiveSuccesses: 0,
+      },
+    ])
+  );
+  let task;
+  let running = null;
+
+  const transition = (state, status, at) => {
+    const entry = {
+      target: state.name,
+      from: state.status,
+      to: status,
+      at,
+      error: status === 'down' ? state.lastError : null,
+    };
+    state.status = status;
+    state.since = at;
+
+    history.push(entry);
+    if (history.length > historySize) history.shift();
+
+    if (status === 'down') {
+      logger.warn('Cible indisponible:', entry);
+    } else {
+      logger.info('Cible disponible:', entry);
+    }
+    emitter.emit('transition', entry);
+  };
+
+  const probeTarget = async ({ name, probe }) => {
+    const state = states.get(name);
+    const start = Date.now();
+    let ok = true;
+    try {
+      await withTimeout(probe, timeout);
+    } catch (err) {
+      ok = false;
+      state.lastError = err.message;
+    }
+
+    const at = new Date().toISOString();
+    state.lastCheckedAt = at;
+    state.latencyMs = Date.now() - start;
+    if (ok) {
+      state.lastSuccessAt = at;
+      state.consecutiveSuccesses += 1;
+      state.consecutiveFailures = 0;
+    } else {
+      state.consecutiveFailures += 1;
+      state.consecutiveSuccesses = 0;
+    }
+
+    if (state.status === 'unknown') {
+      transition(state, ok ? 'up' : 'down', at);
+    } else if (
+      state.status === 'up' &&
+      state.consecutiveFailures >= failureThreshold
+    ) {
+      transition(state, 'down', at);
+    } else if (
+      state.status === 'down' &&
+      state.consecutiveSuccesses >= recoveryThreshold
+    ) {
+      transition(state, 'up', at);
+    }
+  };
+
+  /**
+   * Sonde toutes les cibles en parallèle
+   * Un passage encore en cours n'est pas relancé.
+   *
+   * @returns {Promise<void>}
+   */
+  const check = () => {
+    if (!running) {
+      running = Promise.all(targets.map(probeTarget)).finally(() => {
+        running = null;
+      });
+    }
+    return running;
+  };
+
+  return {
+    check,
+
+    /**
+     * État courant des cibles et historique des transitions
+     * status vaut up si toutes les cibles sont up, down si toutes sont down,
+     * degraded sinon (unknown avant le premier passage).
+     *
+     * @returns {Object} { status, targets, history }
+     */
+    getStatus: () => {
+      const list = [...states.values()].map((state) => ({ ...state }));
+      const statuses = new Set(list.map((state) => state.status));
+      const status = statuses.size === 1 ? list[0].status : 'degraded';
+      return { status, targets: list, history: [...history].reverse() };
+    },
+
+    /**
+     * Planifie les sondes et lance un premier passage immédiat
+     *
+     * @param {string} schedule - Expression cron (voir node-cron)
+     */
+    start: (schedule) => {
+      if (task) return;
+      task = cron.schedule(schedule, () => {
+        check().catch((err) => logger.error('Erreur du moniteur:', err));
+      });
+      check().catch((err) => logger.error('Erreur du moniteur:', err));
+    },
+
+    stop: () => {
+      task?.stop();
+      task = undefined;
+    },
+
+    /**
+     * Abonne une fonction aux transitions ({ target, from, to, at, error })
+     *
+     * @param {string} event - transition
+     * @param {Function} listener - Reçoit la transition
+     */
+    on: (event, listener) => emitter.on(event, listener),
+  };
+};
+
+/**
+ * Alerte correspondant à une transition d'une cible
+ * Le premier état up établi au démarrage n'est pas signalé.
+ *
+ * @param {Object} transition - Transition { target, from, to, at, error }
+ * @returns {Object|null} Événement d'alerte (voir alerts/index.js), null si rien à signaler
+ */
+const transitionAlert = ({ target, from, to, at, error }) => {
+  if (from === 'unknown' && to === 'up') return null;
+  const down = to === 'down';
+  return {
+    type: `monitor.${to}`,
+    severity: down ? 'critical' : 'info',
+    title: down ? `${target} indisponible` : `${target} de nouveau disponible`,
+    message: down
+      ? `La cible ${target} ne répond plus : ${error}`
+      : `La cible ${target} répond à nouveau.`,
+    source: 'monitor',
+    details: { target, from, to },
+    at,
+    dedupKey: `monitor:${target}:${to}`,
+  };
+};
+
+let current;
+
+/**
+ * Renvoie le moniteur configuré, créé au premier appel
+ *
+ * @returns {Object} Moniteur (voir createMonitor)
+ */
+const getMonitor = () => {
+  if (!current) {
+    current = createMonitor({ ...monitorConfig, targets: defaultTargets() });
+  }
+  return current;
+};
+
+/**
+ * Remplace le moniteur courant (tests)
+ *
+ * @param {Object} monitor - Moniteur à utiliser
+ */
+const setMonitor = (monitor) => {
+  current = monitor;
+};
+
+/**
+ * Démarre le moniteur configuré, sauf si MONITOR_ENABLED=false
+ * Chaque transition est signalée sur les canaux d'alerte.
+ *
+ * @returns {Object|undefined} Moniteur démarré
+ */
+const startMonitor = () => {
+  if (!monitorConfig.enabled) return undefined;
+  const monitor = getMonitor();
+  monitor.on('transition', (transition) => {
+    const alert = transitionAlert(transition);
+    if (alert) notify(alert);
+  });
+  monitor.start(monitorConfig.schedule);
+  return monitor;
+};
+
+module.exports = {
+  createMonitor,
+  defaultTargets,
+  transitionAlert,
+  getMonitor,
+  setMonitor,
+  startMonitor,
+};
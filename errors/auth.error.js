@@ -0,0 +1,20 @@
+/**
+ * Erreur levée lorsqu'un token JWT est refusé
+ * Le code distingue la cause (TOKEN_MISSING, TOKEN_MALFORMED, TOKEN_EXPIRED,
+ * TOKEN_INVALID_AUDIENCE...) ; status est le statut HTTP à renvoyer.
+ */
+class AuthError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {string} code - Code de l'erreur
+   * @param {number} [status] - Statut HTTP (401 par défaut)
+   */
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+module.exports = AuthError;
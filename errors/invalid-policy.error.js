@@ -0,0 +1,18 @@
+/**
+ * Erreur levée lorsque le fichier de politique de modération est illisible
+ * ou ne respecte pas schemas/moderation-policy.schema.js
+ */
+class InvalidPolicyError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {Array<string>} [errors] - Erreurs de validation du fichier
+   */
+  constructor(message, errors = []) {
+    super(message);
+    this.name = 'InvalidPolicyError';
+    this.code = 'INVALID_POLICY';
+    this.errors = errors;
+  }
+}
+
+module.exports = InvalidPolicyError;
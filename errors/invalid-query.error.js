@@ -0,0 +1,18 @@
+/**
+ * Erreur levée lorsqu'un paramètre de requête est invalide
+ * (date mal formée, limite hors bornes, curseur illisible...)
+ */
+class InvalidQueryError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {string} [param] - Nom du paramètre en cause
+   */
+  constructor(message, param) {
+    super(message);
+    this.name = 'InvalidQueryError';
+    this.code = 'INVALID_QUERY';
+    this.param = param;
+  }
+}
+
+module.exports = InvalidQueryError;
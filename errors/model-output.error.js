@@ -0,0 +1,23 @@
+/**
+ * Erreur levée lorsque la réponse du modèle ne respecte pas le schéma attendu,
+ * y compris après les tentatives de correction
+ */
+class ModelOutputError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {Object} [details] - Détails de l'échec
+   * @param {Array<string>} [details.errors] - Erreurs de validation de la dernière réponse
+   * @param {string} [details.raw] - Dernière réponse brute du modèle
+   * @param {number} [details.attempts] - Nombre d'appels effectués au modèle
+   */
+  constructor(message, { errors = [], raw, attempts } = {}) {
+    super(message);
+    this.name = 'ModelOutputError';
+    this.code = 'MODEL_OUTPUT_INVALID';
+    this.errors = errors;
+    this.raw = raw;
+    this.attempts = attempts;
+  }
+}
+
+module.exports = ModelOutputError;
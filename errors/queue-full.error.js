@@ -0,0 +1,15 @@
+/**
+ * Erreur levée lorsqu'une file de jobs a atteint sa capacité maximale
+ */
+class QueueFullError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.code = 'QUEUE_FULL';
+  }
+}
+
+module.exports = QueueFullError;
@@ -0,0 +1,17 @@
+/**
+ * Erreur levée lorsqu'un fichier uploadé n'est pas une image d'un format pris en charge
+ */
+class UnsupportedImageError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {string} [file] - Nom du fichier concerné (originalname)
+   */
+  constructor(message, file) {
+    super(message);
+    this.name = 'UnsupportedImageError';
+    this.code = 'UNSUPPORTED_IMAGE';
+    this.file = file;
+  }
+}
+
+module.exports = UnsupportedImageError;
@@ -0,0 +1,24 @@
+/**
+ * Erreur levée lorsqu'un upload ne respecte pas les contraintes configurées
+ * (nombre, taille ou type des fichiers)
+ */
+class UploadError extends Error {
+  /**
+   * @param {string} message - Message d'erreur
+   * @param {Object} details - Détails de l'erreur
+   * @param {number} details.status - Statut HTTP à renvoyer (400 ou 413)
+   * @param {string} details.code - Code d'erreur stable pour les clients
+   * @param {string} [details.file] - Nom du fichier en cause (originalname)
+   * @param {number} [details.limit] - Limite dépassée
+   */
+  constructor(message, { status, code, file, limit }) {
+    super(message);
+    this.name = 'UploadError';
+    this.status = status;
+    this.code = code;
+    this.file = file;
+    this.limit = limit;
+  }
+}
+
+module.exports = UploadError;
@@ -2,12 +2,23 @@ const express = require('express');
 const cors = require('cors');
 const router = require('./routes/index');
 const logger = require('./config/logger.js');
+const rateLimitConfig = require('./config/rate-limit');
+const requestLogger = require('./middlewares/request-logger');
+const requestId = require('./middlewares/request-id');
+const prometheusController = require('./controllers/prometheus.controller');
+const { getPrometheusRegistry } = require('./services/prometheus');
+const { startQuotaAccounting } = require('./services/quota');
+const { startMonitor } = require('./cron/monitor');
+const { reloadPolicy } = require('./services/moderation-policy');
 require('dotenv').config();
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
 
 const app = express();
 
+// Proxies de confiance : req.ip est alors l'IP du client (X-Forwarded-For)
+app.set('trust proxy', rateLimitConfig.trustProxy);
+
 const swaggerDefinition = {
   openapi: '3.0.0',
   info: {
@@ -28,16 +39,59 @@ app.use('/docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
 const init = async () => {
   try {
-    app.use(express.json());
+    // Politique de modération : un fichier invalide empêche le démarrage
+    await reloadPolicy();
+    // Rechargement à chaud ; un fichier invalide conserve la politique courante
+    process.on('SIGHUP', () => {
+      reloadPolicy().catch(() => {});
+    });
+
+    // Identifiant de corrélation (X-Request-Id) pour les logs et appels sortants
+    app.use(requestId);
+    // Body brut conservé pour la vérification des signatures de service
+    app.use(
+      express.json({
+        verify: (req, res, buf) => {
+          req.rawBody = buf;
+        },
+      })
+    );
     app.use(
       cors({
         origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
         methods: ['GET', 'POST', 'PUT', 'DELETE'],
-        allowedHeaders: ['Content-Type', 'Authorization'],
+        allowedHeaders: [
+          'Content-Type',
+          'Authorization',
+          'X-Request-Id',
+          'X-Service-Id',
+          'X-Timestamp',
+          'X-Nonce',
+          'X-Signature',
+        ],
+        exposedHeaders: [
+          'X-Request-Id',
+          'Retry-After',
+          'RateLimit-Limit',
+          'RateLimit-Remaining',
+          'RateLimit-Reset',
+        ],
       })
     );
 
-    app.use('/api', router);
+    // Événement http (endpoint, statut, durée) pour chaque requête de l'API
+    app.use('/api', requestLogger, router);
+
+    // Métriques au format Prometheus, à côté des routes JSON /api/metrics
+    // Le registre est créé dès le démarrage pour compter tous les événements
+    getPrometheusRegistry();
+    app.get('/metrics', prometheusController.getMetrics);
+
+    // Décompte de la consommation des utilisateurs pour leurs quotas
+    startQuotaAccounting();
+
+    // Sondes planifiées de la BDD, du fournisseur d'IA et de Cloudinary
+    startMonitor();
 
     app.listen(process.env.port, () => {
       console.log(`Listening on port: ${process.env.port}`);
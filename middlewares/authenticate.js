@@ -0,0 +1,46 @@
+const logger = require('../config/logger');
+const AuthError = require('../errors/auth.error');
+const { verifyToken } = require('../services/auth');
+
+/**
+ * Vérifie le token JWT (Authorization: Bearer), place son payload dans
+ * req.user puis applique les politiques d'accès dans l'ordre
+ * (voir services/auth/policies.js)
+ * Un refus renvoie { success: false, code, error } avec le statut de l'AuthError.
+ *
+ * @param {...Function} policies - Politiques (user, req) => void, levant une AuthError
+ * @returns {Function} Middleware Express
+ */
+const authenticate =
+  (...policies) =>
+  async (req, res, next) => {
+    const authHeader = req.headers.authorization;
+    const token = authHeader?.startsWith('Bearer ')
+      ? authHeader.split(' ')[1]
+      : undefined;
+
+    try {
+      req.user = await verifyToken(token);
+      for (const policy of policies) {
+        await policy(req.user, req);
+      }
+    } catch (err) {
+      if (!(err instanceof AuthError)) {
+        logger.error("Erreur d'authentification:", err);
+        return res.status(500).json({
+          success: false,
+          code: 'AUTH_ERROR',
+          error: "Erreur lors de l'authentification.",
+        });
+      }
+      return res.status(err.status).json({
+        success: false,
+        code: err.code,
+        error: err.message,
+      });
+    }
+
+    next();
+  };
+
+module.exports = authenticate;
@@ -0,0 +1,61 @@
+const logger = require('../config/logger');
+const { reserveQuota } = require('../services/quota');
+const { cleanupFiles } = require('../services/post-validation');
+const getUserId = require('../utils/user-id');
+
+const PERIOD_LABELS = { daily: 'journalier', monthly: 'mensuel' };
+const METRIC_LABELS = {
+  validations: 'de validations',
+  images: "d'images",
+  tokens: 'de tokens',
+};
+
+/**
+ * Middleware d'application des quotas de l'utilisateur (voir config/quota.js)
+ * Placé après uploadImages : la requête réserve une validation et le nombre
+ * d'images reçues (req.quotaReservation, à libérer si la validation
+ * n'aboutit pas, voir releaseQuota). Au-delà d'un quota, répond 429 avec
+ * Retry-After et la date de réinitialisation (resetAt) ; les fichiers reçus
+ * sont supprimés. Si le stockage est indisponible, la requête est laissée
+ * passer sans réservation.
+ *
+ * @param {Object} req - Objet request Express
+ * @param {Object} res - Objet response Express
+ * @param {Function} next - Middleware suivant
+ */
+const enforceQuota = async (req, res, next) => {
+  const userId = getUserId(req.user);
+  if (!userId) return next();
+
+  let exceeded;
+  try {
+    const result = await reserveQuota(userId, {
+      validations: 1,
+      images: req.files?.length ?? 0,
+    });
+    exceeded = result.exceeded;
+    req.quotaReservation = result.reservation;
+  } catch (err) {
+    logger.error('Erreur du stockage des quotas:', err);
+    return next();
+  }
+  if (!exceeded) return next();
+
+  cleanupFiles(req.files);
+  const retryAfter = Math.max(
+    0,
+    Math.ceil((Date.parse(exceeded.resetAt) - Date.now()) / 1000)
+  );
+  logger.warn('Quota atteint:', { userId, ...exceeded });
+  res.set('Retry-After', String(retryAfter));
+  return res.status(429).json({
+    success: false,
+    error: `Quota ${PERIOD_LABELS[exceeded.period]} ${METRIC_LABELS[exceeded.metric]} atteint (${exceeded.limit}), réinitialisé le ${exceeded.resetAt}.`,
+    code: 'QUOTA_EXCEEDED',
+    quota: exceeded,
+    resetAt: exceeded.resetAt,
+    retryAfter,
+  });
+};
+
+module.exports = enforceQuota;
@@ -0,0 +1,85 @@
+const logger = require('../config/logger');
+const { getRateLimitStore } = require('../services/rate-limit');
+const getUserId = require('../utils/user-id');
+
+/**
+ * Clé de limitation par utilisateur authentifié (req.user décodé par
+ * emailVerified), avec repli sur l'adresse IP
+ *
+ * @param {Object} req - Objet request Express
+ * @returns {string} Clé de limitation
+ */
+const byUser = (req) => {
+  const userId = getUserId(req.user);
+  return userId ? `user:${userId}` : `ip:${req.ip}`;
+};
+
+/**
+ * Clé de limitation par adresse IP du client (voir TRUST_PROXY)
+ *
+ * @param {Object} req - Objet request Express
+ * @returns {string} Clé de limitation
+ */
+const byIp = (req) => `ip:${req.ip}`;
+
+/**
+ * Clé de limitation par microservice authentifié (req.service placé par
+ * requireService), avec repli sur l'adresse IP
+ *
+ * @param {Object} req - Objet request Express
+ * @returns {string} Clé de limitation
+ */
+const byService = (req) =>
+  req.service ? `service:${req.service.id}` : byIp(req);
+
+/**
+ * Middleware de limitation du nombre de requêtes sur une fenêtre glissante
+ * Renseigne les headers RateLimit-Limit, RateLimit-Remaining et RateLimit-Reset
+ * (secondes avant qu'une requête soit à nouveau possible) ; au-delà de la
+ * limite, répond 429 avec Retry-After. Si le stockage est indisponible, la
+ * requête est laissée passer.
+ *
+ * @param {Object} options - Options de limitation
+ * @param {string} options.name - Nom de la règle, préfixe des clés (validatePost...)
+ * @param {number} options.limit - Nombre maximal de requêtes dans la fenêtre
+ * @param {number} options.windowMs - Durée de la fenêtre en millisecondes
+ * @param {Function} [options.key] - Calcule la clé de la requête (byUser, byIp, byService...)
+ * @returns {Function} Middleware Express
+ */
+const rateLimit = ({ name, limit, windowMs, key = byIp }) => {
+  return async (req, res, next) => {
+    let result;
+    try {
+      result = await getRateLimitStore().consume(`${name}:${key(req)}`, {
+        limit,
+        windowMs,
+      });
+    } catch (err) {
+      logger.error('Erreur du stockage de limitation:', err);
+      return next();
+    }
+
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((result.resetAt - Date.now()) / 1000)
+    );
+    res.set({
+      'RateLimit-Limit': String(limit),
+      'RateLimit-Remaining': String(result.remaining),
+      'RateLimit-Reset': String(resetSeconds),
+    });
+
+    if (result.allowed) return next();
+
+    logger.warn('Limite de requêtes atteinte:', { rule: name, key: key(req) });
+    res.set('Retry-After', String(resetSeconds));
+    return res.status(429).json({
+      success: false,
+      error: `Trop de requêtes, réessayez dans ${resetSeconds} secondes.`,
+      code: 'RATE_LIMITED',
+      retryAfter: resetSeconds,
+    });
+  };
+};
+
+module.exports = { rateLimit, byUser, byIp, byService };
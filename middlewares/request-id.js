@@ -0,0 +1,31 @@
+const crypto = require('crypto');
+const { runWithRequestId } = require('../services/request-context');
+
+const HEADER = 'X-Request-Id';
+
+// Identifiant fourni par l'appelant : accepté s'il reste court et sans espace
+const VALID_REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Attribue un identifiant de corrélation à chaque requête
+ * Reprend l'en-tête X-Request-Id de l'appelant (gateway, frontend) s'il est
+ * valide, en génère un sinon. L'identifiant est renvoyé dans la réponse et
+ * rattaché à tous les logs émis pendant le traitement de la requête.
+ *
+ * @param {Object} req - Objet request Express
+ * @param {Object} res - Objet response Express
+ * @param {Function} next - Middleware suivant
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(HEADER);
+  const id =
+    incoming && VALID_REQUEST_ID.test(incoming)
+      ? incoming
+      : crypto.randomUUID();
+
+  req.id = id;
+  res.set(HEADER, id);
+  runWithRequestId(id, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,33 @@
+const { EVENTS, recordEvent } = require('../services/telemetry');
+
+/**
+ * Émet un événement http pour chaque requête terminée
+ * L'endpoint est le chemin de la route Express (/api/validate/jobs/:id...)
+ * afin de regrouper les requêtes d'une même route. Sans route correspondante
+ * (404, refus avant le routage...), l'endpoint vaut unmatched pour borner le
+ * nombre de séries Prometheus, et le chemin brut n'est conservé que dans path.
+ *
+ * @param {Object} req - Objet request Express
+ * @param {Object} res - Objet response Express
+ * @param {Function} next - Middleware suivant
+ */
+const requestLogger = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    recordEvent(EVENTS.HTTP, {
+      method: req.method,
+      ...(req.route
+        ? {
+            endpoint: `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}`,
+          }
+        : { endpoint: 'unmatched', path: req.originalUrl.split('?')[0] }),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+    });
+  });
+
+  next();
+};
+
+module.exports = requestLogger;
@@ -0,0 +1,51 @@
+const { audit } = require('../services/audit');
+const getUserId = require('../utils/user-id');
+
+/**
+ * Rôles portés par le payload JWT : role, roles et scopes OAuth
+ * (scope, chaîne séparée par des espaces, ou scp)
+ *
+ * @param {Object} [user] - Payload décodé placé dans req.user par authenticate
+ * @returns {Array<string>} Rôles et scopes de l'utilisateur
+ */
+const getRoles = (user) => {
+  const { role, roles, scope, scp } = user ?? {};
+  const scopes = typeof scope === 'string' ? scope.split(' ') : scp;
+  return [
+    role,
+    ...(Array.isArray(roles) ? roles : []),
+    ...(Array.isArray(scopes) ? scopes : []),
+  ].filter((value) => typeof value === 'string' && value !== '');
+};
+
+/**
+ * Réserve une route aux utilisateurs portant l'un des rôles indiqués
+ * Placé après authenticate (ou emailVerified). Chaque refus est consigné
+ * dans le journal d'audit (voir services/audit.js).
+ *
+ * @param {...string} allowed - Rôles autorisés (admin, ops...)
+ * @returns {Function} Middleware Express
+ */
+const requireRole =
+  (...allowed) =>
+  (req, res, next) => {
+    const roles = getRoles(req.user);
+    if (roles.some((role) => allowed.includes(role))) {
+      return next();
+    }
+
+    audit('access.denied', {
+      userId: getUserId(req.user),
+      roles,
+      required: allowed,
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(403).json({
+      success: false,
+      error: `Accès réservé aux rôles : ${allowed.join(', ')}.`,
+    });
+  };
+
+module.exports = { getRoles, requireRole };
@@ -0,0 +1,66 @@
+const logger = require('../config/logger');
+const AuthError = require('../errors/auth.error');
+const { audit } = require('../services/audit');
+const { setServiceId } = require('../services/request-context');
+const { verifyServiceRequest } = require('../services/service-auth');
+
+/**
+ * Réserve une route aux microservices SpotR disposant d'un scope
+ * La requête doit être signée (voir services/service-auth/index.js) ; le
+ * service appelant est placé dans req.service et ajouté au contexte de la
+ * requête (logs, événements usage). Un scope manquant est consigné dans le
+ * journal d'audit.
+ *
+ * @param {string} scope - Scope requis (validate:data...)
+ * @returns {Function} Middleware Express
+ */
+const requireService = (scope) => async (req, res, next) => {
+  try {
+    req.service = await verifyServiceRequest({
+      get: (name) => req.get(name),
+      method: req.method,
+      path: req.originalUrl,
+      rawBody: req.rawBody,
+    });
+  } catch (err) {
+    if (!(err instanceof AuthError)) {
+      logger.error("Erreur d'authentification du service:", err);
+      return res.status(500).json({
+        success: false,
+        code: 'AUTH_ERROR',
+        error: "Erreur lors de l'authentification.",
+      });
+    }
+    logger.warn('Requête de service refusée:', {
+      code: err.code,
+      serviceId: req.get('X-Service-Id'),
+      ip: req.ip,
+    });
+    return res.status(err.status).json({
+      success: false,
+      code: err.code,
+      error: err.message,
+    });
+  }
+
+  if (!req.service.scopes.includes(scope)) {
+    audit('access.denied', {
+      serviceId: req.service.id,
+      scopes: req.service.scopes,
+      required: [scope],
+      method: req.method,
+      path: req.originalUrl,
+      ip: req.ip,
+    });
+    return res.status(403).json({
+      success: false,
+      code: 'SCOPE_FORBIDDEN',
+      error: `Scope requis : ${scope}.`,
+    });
+  }
+
+  setServiceId(req.service.id);
+  next();
+};
+
+module.exports = requireService;
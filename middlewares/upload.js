@@ -0,0 +1,192 @@
+const fs = require('fs').promises;
+const multer = require('multer');
+const logger = require('../config/logger');
+const uploadConfig = require('../config/upload');
+const UploadError = require('../errors/upload.error');
+const { MIME_TYPES, sniffImageFormat } = require('../services/image-format');
+
+// Types MIME équivalents à un format détecté par magic bytes
+const FORMAT_MIME_TYPES = {
+  ...Object.fromEntries(
+    Object.entries(MIME_TYPES).map(([format, mime]) => [format, [mime]])
+  ),
+  heic: ['image/heic', 'image/heif'],
+};
+
+/**
+ * Supprime les fichiers temporaires d'un upload refusé
+ *
+ * @param {Array} [files] - Fichiers écrits par multer
+ */
+const removeFiles = async (files = []) => {
+  await Promise.all(
+    files.map((file) =>
+      fs.unlink(file.path).catch((err) => {
+        if (err.code !== 'ENOENT') {
+          logger.warn('Erreur suppression fichier:', err);
+        }
+      })
+    )
+  );
+};
+
+/**
+ * Lit les premiers octets d'un fichier pour en détecter le format réel
+ *
+ * @param {string} filePath - Chemin du fichier
+ * @returns {Promise<Buffer>} 64 premiers octets (box ftyp des HEIC comprise)
+ */
+const readHeader = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64), 0, 64, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * Convertit une erreur multer en UploadError nommant le fichier en cause
+ *
+ * @param {Error} err - Erreur levée pendant l'upload
+ * @param {Object} req - Objet request Express
+ * @param {Object} options - Contraintes d'upload
+ * @returns {Error} UploadError, ou l'erreur d'origine si elle n'est pas liée aux contraintes
+ */
+const toUploadError = (err, req, options) => {
+  if (!(err instanceof multer.MulterError)) return err;
+
+  switch (err.code) {
+    case 'LIMIT_FILE_SIZE':
+      return new UploadError(
+        `Le fichier "${req.uploadingFile}" dépasse la taille maximale autorisée.`,
+        {
+          status: 413,
+          code: 'FILE_TOO_LARGE',
+          file: req.uploadingFile,
+          limit: options.maxFileSize,
+        }
+      );
+    case 'LIMIT_FILE_COUNT':
+      return new UploadError(
+        `Trop de fichiers : ${options.maxFiles} au maximum.`,
+        { status: 413, code: 'TOO_MANY_FILES', limit: options.maxFiles }
+      );
+    case 'LIMIT_UNEXPECTED_FILE':
+      return new UploadError(`Champ de fichier inattendu : "${err.field}".`, {
+        status: 400,
+        code: 'UNEXPECTED_FIELD',
+      });
+    default:
+      return new UploadError(err.message, {
+        status: 400,
+        code: err.code,
+      });
+  }
+};
+
+/**
+ * Vérifie les contraintes qui ne peuvent être contrôlées qu'une fois les
+ * fichiers écrits : taille cumulée et contenu réel (magic bytes)
+ *
+ * @param {Array} files - Fichiers écrits par multer
+ * @param {Object} options - Contraintes d'upload
+ * @throws {UploadError} Si une contrainte n'est pas respectée
+ */
+const checkUploadedFiles = async (files, options) => {
+  const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+  if (totalSize > options.maxTotalSize) {
+    throw new UploadError(
+      'La taille totale des fichiers dépasse la limite autorisée.',
+      {
+        status: 413,
+        code: 'TOTAL_SIZE_EXCEEDED',
+        limit: options.maxTotalSize,
+      }
+    );
+  }
+
+  for (const file of files) {
+    const format = sniffImageFormat(await readHeader(file.path));
+    const allowed = (FORMAT_MIME_TYPES[format] || []).some((mime) =>
+      options.allowedTypes.includes(mime)
+    );
+    if (!allowed) {
+      throw new UploadError(
+        `Le contenu du fichier "${file.originalname}" ne correspond pas à un type autorisé.`,
+        { status: 400, code: 'INVALID_FILE_CONTENT', file: file.originalname }
+      );
+    }
+  }
+};
+
+/**
+ * Middleware d'upload d'images avec contraintes configurables
+ * (nombre de fichiers, taille par fichier, taille cumulée, types MIME et
+ * magic bytes). Toute violation renvoie une réponse 400/413 structurée
+ * nommant le fichier en cause, et les fichiers temporaires sont supprimés.
+ *
+ * @param {string} field - Nom du champ multipart contenant les fichiers
+ * @param {Object} [options] - Contraintes (voir config/upload.js)
+ * @returns {Function} Middleware Express
+ */
+const uploadImages = (field, options = uploadConfig) => {
+  const upload = multer({
+    dest: options.dest,
+    limits: { files: options.maxFiles, fileSize: options.maxFileSize },
+    fileFilter: (req, file, cb) => {
+      // Multipart est lu séquentiellement : le dernier fichier annoncé est
+      // celui qui dépasse la taille maximale si la limite est atteinte
+      req.uploadingFile = file.originalname;
+
+      if (!options.allowedTypes.includes(file.mimetype)) {
+        return cb(
+          new UploadError(
+            `Le type du fichier "${file.originalname}" (${file.mimetype}) n'est pas autorisé.`,
+            {
+              status: 400,
+              code: 'UNSUPPORTED_FILE_TYPE',
+              file: file.originalname,
+            }
+          )
+        );
+      }
+      cb(null, true);
+    },
+  }).array(field);
+
+  return (req, res, next) => {
+    upload(req, res, async (err) => {
+      let error = err && toUploadError(err, req, options);
+
+      if (!error && req.files) {
+        error = await checkUploadedFiles(req.files, options).catch((e) => e);
+      }
+
+      if (!error) return next();
+
+      await removeFiles(req.files);
+
+      if (!(error instanceof UploadError)) {
+        logger.error("Erreur lors de l'upload:", error);
+        return res.status(500).json({
+          success: false,
+          error: 'Erreur serveur',
+          message: error.message,
+        });
+      }
+
+      logger.warn('Upload refusé:', { code: error.code, file: error.file });
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.file && { file: error.file }),
+        ...(error.limit && { limit: error.limit }),
+      });
+    });
+  };
+};
+
+module.exports = uploadImages;
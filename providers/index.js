@@ -0,0 +1,59 @@
+const aiConfig = require('../config/ai');
+const createOpenAIProvider = require('./openai.provider');
+const createLocalProvider = require('./local.provider');
+const createStubProvider = require('./stub.provider');
+
+// Fabriques disponibles, indexées par la valeur de AI_PROVIDER
+const factories = {
+  openai: createOpenAIProvider,
+  local: createLocalProvider,
+  // Aucun modèle appelé : le stub garde son nom (sans tarif) plutôt que
+  // AI_MODEL, pour que ses appels ne soient pas comptés comme une dépense
+  stub: ({ replies }) => createStubProvider({ replies }),
+};
+
+let current;
+
+/**
+ * Crée un fournisseur d'IA à partir d'une configuration
+ * Tous les fournisseurs exposent la même interface :
+ * complete({ messages, maxTokens, temperature, model, task, schema }) => { content, model, usage }
+ * schema est le schéma JSON attendu pour la réponse, lorsqu'il y en a un.
+ * ping({ timeout }) vérifie la disponibilité du fournisseur sans consommer de
+ * tokens, la requête étant interrompue au délai (moniteur de disponibilité,
+ * voir cron/monitor.js).
+ *
+ * @param {Object} config - Configuration (voir config/ai.js)
+ * @returns {Object} Fournisseur d'IA
+ * @throws {Error} Si le fournisseur demandé est inconnu
+ */
+const createProvider = (config) => {
+  const factory = factories[config.provider];
+  if (!factory) {
+    throw new Error(`Fournisseur d'IA inconnu : ${config.provider}`);
+  }
+  return factory(config);
+};
+
+/**
+ * Renvoie le fournisseur configuré, créé au premier appel
+ *
+ * @returns {Object} Fournisseur d'IA
+ */
+const getProvider = () => {
+  if (!current) {
+    current = createProvider(aiConfig);
+  }
+  return current;
+};
+
+/**
+ * Remplace le fournisseur courant (tests, bascule à chaud)
+ *
+ * @param {Object} provider - Fournisseur à utiliser
+ */
+const setProvider = (provider) => {
+  current = provider;
+};
+
+module.exports = { createProvider, getProvider, setProvider };
@@ -0,0 +1,88 @@
+/**
+ * Fournisseur pour tout serveur HTTP compatible avec l'API OpenAI
+ * (Ollama, vLLM, LM Studio, llama.cpp...)
+ * Appelle directement l'endpoint /chat/completions via fetch.
+ *
+ * @param {Object} options - Options du fournisseur
+ * @param {string} options.model - Modèle servi par le serveur local
+ * @param {string} options.baseURL - URL de base de l'API (ex: http://localhost:11434/v1)
+ * @param {string} [options.apiKey] - Clé API éventuelle, envoyée en Bearer
+ * @param {number} [options.timeout] - Délai maximal d'un appel en millisecondes
+ * @returns {Object} Fournisseur exposant complete() et ping()
+ */
+const createLocalProvider = ({ model, baseURL, apiKey, timeout }) => {
+  if (!baseURL) {
+    throw new Error('AI_BASE_URL est requis pour le fournisseur local');
+  }
+
+  const base = baseURL.replace(/\/+$/, '');
+  const endpoint = `${base}/chat/completions`;
+  const authorization = apiKey && { Authorization: `Bearer ${apiKey}` };
+
+  return {
+    name: 'local',
+    model,
+
+    /**
+     * Envoie une conversation au serveur local et renvoie sa réponse textuelle
+     *
+     * @param {Object} request - Requête de complétion (voir openai.provider.js)
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    complete: async ({ messages, maxTokens, temperature, model: override }) => {
+      const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...authorization,
+        },
+        body: JSON.stringify({
+          model: override || model,
+          messages,
+          max_tokens: maxTokens,
+          temperature,
+        }),
+        signal: timeout ? AbortSignal.timeout(timeout) : undefined,
+      });
+
+      if (!response.ok) {
+        const details = await response.text().catch(() => '');
+        throw new Error(
+          `Fournisseur local en erreur (${response.status}) : ${details}`
+        );
+      }
+
+      const data = await response.json();
+
+      return {
+        content: data.choices?.[0]?.message?.content ?? '',
+        model: data.model || override || model,
+        usage: {
+          promptTokens: data.usage?.prompt_tokens || 0,
+          completionTokens: data.usage?.completion_tokens || 0,
+        },
+      };
+    },
+
+    /**
+     * Vérifie que le serveur répond (liste des modèles, /models)
+     *
+     * @param {Object} [options] - Options de l'appel
+     * @param {number} [options.timeout] - Délai de la requête (délai du
+     *   fournisseur par défaut)
+     * @returns {Promise<void>}
+     * @throws {Error} Si le serveur est injoignable ou répond en erreur
+     */
+    ping: async ({ timeout: pingTimeout = timeout } = {}) => {
+      const response = await fetch(`${base}/models`, {
+        headers: { ...authorization },
+        signal: pingTimeout ? AbortSignal.timeout(pingTimeout) : undefined,
+      });
+      if (!response.ok) {
+        throw new Error(`Fournisseur local en erreur (${response.status})`);
+      }
+    },
+  };
+};
+
+module.exports = createLocalProvider;
@@ -0,0 +1,76 @@
+const { OpenAI } = require('openai');
+
+/**
+ * Fournisseur OpenAI officiel (SDK openai)
+ * Le client est créé au premier appel pour ne pas exiger de clé API
+ * lorsque le service démarre avec un autre fournisseur.
+ *
+ * @param {Object} options - Options du fournisseur
+ * @param {string} options.model - Modèle par défaut (ex: gpt-4o)
+ * @param {string} [options.apiKey] - Clé API OpenAI
+ * @param {string} [options.baseURL] - URL de base alternative de l'API
+ * @param {number} [options.timeout] - Délai maximal d'un appel en millisecondes
+ * @returns {Object} Fournisseur exposant complete() et ping()
+ */
+const createOpenAIProvider = ({ model, apiKey, baseURL, timeout }) => {
+  let client;
+
+  const getClient = () => {
+    if (!client) {
+      client = new OpenAI({ apiKey, baseURL, timeout });
+    }
+    return client;
+  };
+
+  return {
+    name: 'openai',
+    model,
+
+    /**
+     * Envoie une conversation au modèle et renvoie sa réponse textuelle
+     *
+     * @param {Object} request - Requête de complétion
+     * @param {Array} request.messages - Messages au format chat OpenAI
+     * @param {number} [request.maxTokens] - Nombre maximal de tokens générés
+     * @param {number} [request.temperature] - Température d'échantillonnage
+     * @param {string} [request.model] - Modèle à utiliser pour cet appel
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    complete: async ({ messages, maxTokens, temperature, model: override }) => {
+      const response = await getClient().chat.completions.create({
+        model: override || model,
+        messages,
+        max_tokens: maxTokens,
+        temperature,
+      });
+
+      return {
+        content: response.choices[0].message.content,
+        model: response.model || override || model,
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0,
+        },
+      };
+    },
+
+    /**
+     * Vérifie que l'API est joignable et le modèle disponible,
+     * sans consommer de tokens
+     *
+     * @param {Object} [options] - Options de l'appel
+     * @param {number} [options.timeout] - Délai de la requête, sans nouvel
+     *   essai (le délai du client s'applique sinon, avec ses nouveaux essais)
+     * @returns {Promise<void>}
+     * @throws {Error} Si l'API ne répond pas ou ne connaît pas le modèle
+     */
+    ping: async ({ timeout: pingTimeout } = {}) => {
+      await getClient().models.retrieve(
+        model,
+        pingTimeout ? { timeout: pingTimeout, maxRetries: 0 } : undefined
+      );
+    },
+  };
+};
+
+module.exports = createOpenAIProvider;
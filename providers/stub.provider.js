@@ -0,0 +1,104 @@
+/**
+ * Réponses par défaut du stub, par tâche de validation
+ * Elles correspondent au format attendu par chaque handler de validate.controller.js
+ */
+const defaultReplies = {
+  // Un verdict conforme par image, d'après les noms imposés par le schéma
+  post: ({ schema }) => ({
+    success: true,
+    acceptabilityScore: 100,
+    info: 'Réponse simulée (stub)',
+    images: (schema?.properties.images.items.properties.name.enum || []).map(
+      (name) => ({
+        name,
+        matches: true,
+        duplicateOf: null,
+        inappropriate: false,
+        offTopic: false,
+        reason: 'Réponse simulée (stub)',
+      })
+    ),
+    issues: [],
+  }),
+  data: { flagged: [] },
+};
+
+/**
+ * Estime grossièrement le nombre de tokens d'un texte (≈ 4 caractères par token)
+ *
+ * @param {string} text - Texte à mesurer
+ * @returns {number} Nombre de tokens estimé
+ */
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Extrait le texte d'un message chat (contenu string ou tableau de parties)
+ *
+ * @param {Object} message - Message au format chat OpenAI
+ * @returns {string} Texte concaténé du message
+ */
+const messageText = (message) =>
+  typeof message.content === 'string'
+    ? message.content
+    : message.content
+        .filter((part) => part.type === 'text')
+        .map((part) => part.text)
+        .join('\n');
+
+/**
+ * Fournisseur déterministe exécuté en mémoire, sans aucun appel réseau
+ * Utilisé en CI et en staging pour faire tourner tout le flux de validation.
+ * Chaque réponse peut être un objet (sérialisé en JSON), une chaîne brute
+ * ou une fonction recevant la requête et renvoyant l'un des deux.
+ *
+ * @param {Object} options - Options du fournisseur
+ * @param {string} [options.model] - Nom de modèle renvoyé dans les réponses
+ * @param {Object} [options.replies] - Réponses par tâche, fusionnées avec les réponses par défaut
+ * @returns {Object} Fournisseur exposant complete() et ping()
+ */
+const createStubProvider = ({ model = 'stub', replies = {} } = {}) => {
+  const table = { ...defaultReplies, ...replies };
+
+  return {
+    name: 'stub',
+    model,
+
+    /**
+     * Renvoie la réponse configurée pour la tâche de la requête
+     *
+     * @param {Object} request - Requête de complétion (voir openai.provider.js)
+     * @param {string} [request.task] - Tâche de validation (post, data...)
+     * @returns {Promise<Object>} { content, model, usage }
+     */
+    complete: async (request) => {
+      let reply = table[request.task];
+      if (typeof reply === 'function') {
+        reply = await reply(request);
+      }
+      if (reply === undefined) {
+        throw new Error(`Aucune réponse stub pour la tâche "${request.task}"`);
+      }
+
+      const content = typeof reply === 'string' ? reply : JSON.stringify(reply);
+      const prompt = request.messages.map(messageText).join('\n');
+
+      return {
+        content,
+        model: request.model || model,
+        usage: {
+          promptTokens: estimateTokens(prompt),
+          completionTokens: estimateTokens(content),
+        },
+      };
+    },
+
+    /**
+     * Toujours disponible : aucun appel réseau
+     *
+     * @returns {Promise<void>}
+     */
+    ping: async () => {},
+  };
+};
+
+module.exports = createStubProvider;
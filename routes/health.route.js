@@ -0,0 +1,37 @@
+const express = require('express');
+const healthController = require('../controllers/health.controller');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Health
+ *     description: Sondes de l'orchestrateur
+ * /api/health/live:
+ *   get:
+ *     tags:
+ *       - Health
+ *     summary: Vivacité du processus (sans vérifier les dépendances)
+ *     responses:
+ *       200:
+ *         description: Le service répond ({ status, uptime })
+ */
+router.get('/live', healthController.live);
+
+/**
+ * @swagger
+ * /api/health/ready:
+ *   get:
+ *     tags:
+ *       - Health
+ *     summary: Disponibilité du service et état de chaque dépendance
+ *     description: Vérifie la configuration requise, l'écriture dans ./storage et uploads/, et la joignabilité du fournisseur d'IA, de Cloudinary et du microservice BDD. Le résultat est mis en cache quelques secondes (cached).
+ *     responses:
+ *       200:
+ *         description: Service prêt ; checks détaille chaque vérification (status, latencyMs)
+ *       503:
+ *         description: Service non prêt ; checks indique les vérifications en échec (status down, error)
+ */
+router.get('/ready', healthController.ready);
+
+module.exports = router;
@@ -1,21 +1,95 @@
 const express = require('express');
 const metricsController = require('../controllers/metrics.controller');
+const emailVerified = require('../middlewares/email-verified');
+const { requireRole } = require('../middlewares/require-role');
 const router = express.Router();
 
+// Les logs peuvent contenir du contenu utilisateur : réservés à l'exploitation
+router.use(emailVerified, requireRole('admin', 'ops'));
+
 /**
  * @swagger
  * tags:
  *   - name: Metrics
- *     description: Routes pour consulter les métriques et rapports
-
+ *     description: Routes pour consulter les métriques et rapports (rôles admin et ops)
+ * components:
+ *   parameters:
+ *     LogLevel:
+ *       in: query
+ *       name: level
+ *       schema:
+ *         type: string
+ *       description: Niveaux retenus, séparés par des virgules (ex. warn,error)
+ *     LogFrom:
+ *       in: query
+ *       name: from
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Début de l'intervalle de temps
+ *     LogTo:
+ *       in: query
+ *       name: to
+ *       schema:
+ *         type: string
+ *         format: date-time
+ *       description: Fin de l'intervalle de temps
+ *     LogSearch:
+ *       in: query
+ *       name: q
+ *       schema:
+ *         type: string
+ *       description: Texte recherché dans le message (insensible à la casse)
+ *     LogService:
+ *       in: query
+ *       name: service
+ *       schema:
+ *         type: string
+ *       description: Service émetteur
+ *     LogRequestId:
+ *       in: query
+ *       name: requestId
+ *       schema:
+ *         type: string
+ *       description: Identifiant de corrélation (en-tête X-Request-Id de la réponse)
+ *     LogLimit:
+ *       in: query
+ *       name: limit
+ *       schema:
+ *         type: integer
+ *         default: 100
+ *         maximum: 1000
+ *       description: Nombre maximal d'entrées par page
+ *     LogCursor:
+ *       in: query
+ *       name: cursor
+ *       schema:
+ *         type: string
+ *       description: Curseur de la page suivante (nextCursor)
+ *
  * /api/metrics:
  *   get:
  *     tags:
  *       - Metrics
  *     summary: Obtenir les métriques générales
+ *     parameters:
+ *       - $ref: '#/components/parameters/LogLevel'
+ *       - $ref: '#/components/parameters/LogFrom'
+ *       - $ref: '#/components/parameters/LogTo'
+ *       - $ref: '#/components/parameters/LogSearch'
+ *       - $ref: '#/components/parameters/LogService'
+ *       - $ref: '#/components/parameters/LogRequestId'
+ *       - $ref: '#/components/parameters/LogLimit'
+ *       - $ref: '#/components/parameters/LogCursor'
  *     responses:
  *       200:
- *         description: Liste des métriques récupérées
+ *         description: Liste des métriques récupérées ({ items, count, skipped, nextCursor })
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       401:
+ *         description: Token manquant ou invalide
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
  */
 router.get('/', metricsController.getMetrics);
 
@@ -26,9 +100,24 @@ router.get('/', metricsController.getMetrics);
  *     tags:
  *       - Metrics
  *     summary: Obtenir la liste des erreurs
+ *     parameters:
+ *       - $ref: '#/components/parameters/LogLevel'
+ *       - $ref: '#/components/parameters/LogFrom'
+ *       - $ref: '#/components/parameters/LogTo'
+ *       - $ref: '#/components/parameters/LogSearch'
+ *       - $ref: '#/components/parameters/LogService'
+ *       - $ref: '#/components/parameters/LogRequestId'
+ *       - $ref: '#/components/parameters/LogLimit'
+ *       - $ref: '#/components/parameters/LogCursor'
  *     responses:
  *       200:
- *         description: Liste des erreurs récupérées
+ *         description: Liste des erreurs récupérées ({ items, count, skipped, nextCursor })
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       401:
+ *         description: Token manquant ou invalide
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
  */
 router.get('/errors', metricsController.getErrors);
 
@@ -39,10 +128,89 @@ router.get('/errors', metricsController.getErrors);
  *     tags:
  *       - Metrics
  *     summary: Obtenir la liste des avertissements
+ *     parameters:
+ *       - $ref: '#/components/parameters/LogLevel'
+ *       - $ref: '#/components/parameters/LogFrom'
+ *       - $ref: '#/components/parameters/LogTo'
+ *       - $ref: '#/components/parameters/LogSearch'
+ *       - $ref: '#/components/parameters/LogService'
+ *       - $ref: '#/components/parameters/LogRequestId'
+ *       - $ref: '#/components/parameters/LogLimit'
+ *       - $ref: '#/components/parameters/LogCursor'
  *     responses:
  *       200:
- *         description: Liste des avertissements récupérés
+ *         description: Liste des avertissements récupérés ({ items, count, skipped, nextCursor })
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       401:
+ *         description: Token manquant ou invalide
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
  */
 router.get('/warnings', metricsController.getWarnings);
 
+/**
+ * @swagger
+ * /api/metrics/summary:
+ *   get:
+ *     tags:
+ *       - Metrics
+ *     summary: Statistiques agrégées par intervalle de temps
+ *     description: Requêtes par endpoint, taux d'acceptation et de refus, distribution des acceptabilityScore et latences p50/p95/p99 du modèle, de Cloudinary et de la BDD
+ *     parameters:
+ *       - $ref: '#/components/parameters/LogFrom'
+ *       - $ref: '#/components/parameters/LogTo'
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           default: 1h
+ *         description: Durée de chaque intervalle (5m, 1h, 1d ou millisecondes)
+ *     responses:
+ *       200:
+ *         description: Statistiques globales (total) et par intervalle (buckets)
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       401:
+ *         description: Token manquant ou invalide
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
+ */
+router.get('/summary', metricsController.getSummary);
+
+/**
+ * @swagger
+ * /api/metrics/usage:
+ *   get:
+ *     tags:
+ *       - Metrics
+ *     summary: Tokens consommés et coût de la modération
+ *     description: Tokens de prompt et de complétion de chaque appel au modèle, et leur coût d'après la table des tarifs, regroupés par jour, utilisateur, endpoint ou microservice appelant
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Début de l'intervalle de temps (30 derniers jours par défaut)
+ *       - $ref: '#/components/parameters/LogTo'
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [day, user, endpoint, service]
+ *           default: day
+ *         description: Regroupement des totaux
+ *     responses:
+ *       200:
+ *         description: Totaux globaux (total) et par groupe (groups), avec la devise des coûts (currency)
+ *       400:
+ *         description: Paramètre de requête invalide
+ *       401:
+ *         description: Token manquant ou invalide
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
+ */
+router.get('/usage', metricsController.getUsage);
+
 module.exports = router;
@@ -0,0 +1,41 @@
+const express = require('express');
+const policyController = require('../controllers/policy.controller');
+const emailVerified = require('../middlewares/email-verified');
+const { requireRole } = require('../middlewares/require-role');
+const router = express.Router();
+
+router.use(emailVerified, requireRole('admin', 'ops'));
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Policy
+ *     description: Politique de modération appliquée par validatePost et validateData (rôles admin et ops)
+ * /api/policy:
+ *   get:
+ *     tags:
+ *       - Policy
+ *     summary: Politique de modération courante
+ *     responses:
+ *       200:
+ *         description: Politique appliquée (catégories, actions block/flag/allow, gravités minimales, seuil d'acceptabilité) et son identifiant de version (id), enregistré avec chaque décision
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
+ * /api/policy/reload:
+ *   post:
+ *     tags:
+ *       - Policy
+ *     summary: Recharge le fichier de politique de modération
+ *     description: Équivalent au signal SIGHUP. Un fichier invalide est refusé et la politique courante reste appliquée.
+ *     responses:
+ *       200:
+ *         description: Politique rechargée, avec l'identifiant de la précédente (previous)
+ *       400:
+ *         description: Fichier invalide (code INVALID_POLICY, erreurs dans details)
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
+ */
+router.get('/', policyController.getPolicy);
+router.post('/reload', policyController.reloadPolicy);
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require('express');
+const quotaController = require('../controllers/quota.controller');
+const emailVerified = require('../middlewares/email-verified');
+const { requireRole } = require('../middlewares/require-role');
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Quotas
+ *     description: Quotas de consommation du modèle par utilisateur (rôles admin et ops)
+ * /api/quotas/{userId}:
+ *   get:
+ *     tags:
+ *       - Quotas
+ *     summary: Quotas et consommation d'un utilisateur
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Quotas applicables (limits), quotas personnalisés (overrides) et consommation journalière et mensuelle (usage, avec resetAt)
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
+ *   put:
+ *     tags:
+ *       - Quotas
+ *     summary: Modifie les quotas personnalisés d'un utilisateur
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               daily:
+ *                 $ref: '#/components/schemas/QuotaLimits'
+ *               monthly:
+ *                 $ref: '#/components/schemas/QuotaLimits'
+ *     responses:
+ *       200:
+ *         description: Quotas mis à jour, au format de GET
+ *       400:
+ *         description: Quotas invalides (code INVALID_QUOTA)
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
+ * components:
+ *   schemas:
+ *     QuotaLimits:
+ *       type: object
+ *       description: Entier positif (0 désactive le quota) ou null pour rétablir le quota par défaut
+ *       properties:
+ *         validations:
+ *           type: integer
+ *           nullable: true
+ *         images:
+ *           type: integer
+ *           nullable: true
+ *         tokens:
+ *           type: integer
+ *           nullable: true
+ */
+router.use(emailVerified, requireRole('admin', 'ops'));
+
+router.get('/:userId', quotaController.getQuota);
+router.put('/:userId', quotaController.updateQuota);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+const express = require('express');
+const statusController = require('../controllers/status.controller');
+const emailVerified = require('../middlewares/email-verified');
+const { requireRole } = require('../middlewares/require-role');
+const router = express.Router();
+
+// Les erreurs des sondes peuvent révéler des adresses internes : réservé à l'exploitation
+router.use(emailVerified, requireRole('admin', 'ops'));
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Status
+ *     description: Disponibilité des dépendances (BDD, fournisseur d'IA, Cloudinary), rôles admin et ops
+ * /api/status:
+ *   get:
+ *     tags:
+ *       - Status
+ *     summary: État courant des dépendances et historique des transitions
+ *     responses:
+ *       200:
+ *         description: status global (up, degraded, down ou unknown), état de chaque cible (targets) et transitions horodatées (history, de la plus récente à la plus ancienne)
+ *       401:
+ *         description: Token manquant ou invalide
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
+ */
+router.get('/', statusController.getStatus);
+
+module.exports = router;
@@ -1,10 +1,13 @@
 const express = require('express');
 const validateController = require('../controllers/validate.controller');
-const multer = require('multer');
 const router = express.Router();
 const emailVerified = require('../middlewares/email-verified');
-
-const upload = multer({ dest: 'uploads/' });
+const { requireRole } = require('../middlewares/require-role');
+const uploadImages = require('../middlewares/upload');
+const enforceQuota = require('../middlewares/quota');
+const requireService = require('../middlewares/service-auth');
+const { rateLimit, byUser, byService } = require('../middlewares/rate-limit');
+const rateLimitConfig = require('../config/rate-limit');
 
 /**
  * @swagger
@@ -13,6 +16,12 @@ const upload = multer({ dest: 'uploads/' });
  *     tags:
  *       - Validate
  *     summary: Valide un post avec fichiers image
+ *     parameters:
+ *       - in: query
+ *         name: async
+ *         schema:
+ *           type: boolean
+ *         description: Traite la validation en arrière-plan et renvoie un job (202)
  *     consumes:
  *       - multipart/form-data
  *     requestBody:
@@ -28,25 +37,91 @@ const upload = multer({ dest: 'uploads/' });
  *                   type: string
  *                   format: binary
  *     responses:
- *       200:
- *         description: Validation réussie
+ *       201:
+ *         description: Validation réussie et post créé, avec le verdict de chaque image (images, indexé par nom de fichier) et les problèmes signalés par la politique de modération (issues, action flag)
+ *       202:
+ *         description: Validation acceptée, suivie via /api/validate/jobs/{id}
  *       400:
- *         description: Erreur de validation
+ *         description: Post refusé (score sous le seuil de la politique de modération ou problème d'action block, détaillé dans issues), avec le verdict de chaque image (images, indexé par nom de fichier), tentative d'injection de prompt (code PROMPT_INJECTION, fields), ou fichier refusé (type ou contenu non autorisé, champ inattendu ; code et file indiquent la cause)
+ *       413:
+ *         description: Fichier trop volumineux, trop de fichiers ou taille totale dépassée (code, file et limit indiquent la cause)
+ *       429:
+ *         description: Limite de requêtes par utilisateur atteinte (voir les headers Retry-After et RateLimit-*), ou quota journalier ou mensuel atteint (code QUOTA_EXCEEDED, quota et resetAt)
+ *       503:
+ *         description: File de validation pleine
  */
 router.post(
   '/validatePost',
   emailVerified,
-  upload.array('image'),
+  rateLimit({
+    name: 'validatePost',
+    ...rateLimitConfig.validatePost,
+    key: byUser,
+  }),
+  uploadImages('image'),
+  enforceQuota,
   validateController.validatePost
 );
 
+/**
+ * @swagger
+ * /api/validate/jobs/{id}:
+ *   get:
+ *     tags:
+ *       - Validate
+ *     summary: Suivi d'une validation de post asynchrone
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Étape, verdict final et post créé
+ *       404:
+ *         description: Job introuvable
+ */
+router.get('/jobs/:id', emailVerified, validateController.getJob);
+
 /**
  * @swagger
  * /api/validateData:
  *   post:
  *     tags:
  *       - Validate
- *     summary: Valide des données JSON
+ *     summary: Valide des données JSON (microservices SpotR, requête signée)
+ *     description: Réservé aux microservices disposant du scope validate:data. X-Signature est la signature HMAC-SHA256 (hexadécimal), avec le secret du service, de X-Timestamp, X-Nonce, la méthode, le chemin et le body brut, séparés par des retours à la ligne. Un nonce ne peut être utilisé qu'une fois.
+ *     parameters:
+ *       - in: header
+ *         name: X-Service-Id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Identifiant du service appelant
+ *       - in: header
+ *         name: X-Timestamp
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Horodatage Unix en secondes (écart maximal SERVICE_AUTH_MAX_SKEW_S)
+ *       - in: header
+ *         name: X-Nonce
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Valeur aléatoire à usage unique (16 à 128 caractères A-Z, a-z, 0-9, _ ou -)
+ *       - in: header
+ *         name: X-Signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Signature HMAC-SHA256 de la requête
+ *       - in: header
+ *         name: Accept-Language
+ *         schema:
+ *           type: string
+ *         description: Langue de l'utilisateur pour les explications (fr par défaut)
  *     requestBody:
  *       required: true
  *       content:
@@ -63,10 +138,72 @@ router.post(
  *               - field2
  *     responses:
  *       200:
- *         description: Données validées avec succès
+ *         description: Données validées avec succès, ou refusées (contenu inapproprié, tentative d'injection de prompt avec code PROMPT_INJECTION). La politique de modération décide : un champ d'action block refuse le contenu, un champ d'action flag est signalé sans refus ; flagged détaille les champs retenus. Le header X-Cache indique si le verdict provient du cache (HIT) ou du modèle (MISS)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 flagged:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       path:
+ *                         type: string
+ *                         description: Chemin JSON du champ retenu (bio, profil.bio, tags[1]...)
+ *                       category:
+ *                         type: string
+ *                         description: Catégorie de la politique de modération (insult, sexual, hate, spam, personal_data, off_topic...)
+ *                       severity:
+ *                         type: string
+ *                         enum: [low, medium, high]
+ *                       action:
+ *                         type: string
+ *                         enum: [block, flag]
+ *                       explanation:
+ *                         type: string
+ *                         description: Explication courte dans la langue de l'utilisateur
  *       400:
  *         description: Erreur de validation
+ *       401:
+ *         description: Requête de service refusée (code SERVICE_AUTH_MISSING, SERVICE_UNKNOWN, SIGNATURE_EXPIRED, SIGNATURE_INVALID ou NONCE_REPLAYED)
+ *       403:
+ *         description: Scope validate:data manquant (code SCOPE_FORBIDDEN)
+ *       429:
+ *         description: Limite de requêtes par service appelant atteinte (voir les headers Retry-After et RateLimit-*)
  */
-router.post('/validateData', validateController.validateData);
+router.post(
+  '/validateData',
+  requireService('validate:data'),
+  rateLimit({
+    name: 'validateData',
+    ...rateLimitConfig.validateData,
+    key: byService,
+  }),
+  validateController.validateData
+);
+
+/**
+ * @swagger
+ * /api/validate/cache:
+ *   delete:
+ *     tags:
+ *       - Validate
+ *     summary: Vide le cache des verdicts de validateData (changement de politique, rôles admin et ops)
+ *     responses:
+ *       200:
+ *         description: Cache vidé, avec le nombre de verdicts supprimés (cleared)
+ *       403:
+ *         description: Accès réservé aux rôles admin et ops
+ */
+router.delete(
+  '/cache',
+  emailVerified,
+  requireRole('admin', 'ops'),
+  validateController.clearVerdictCache
+);
 
 module.exports = router;
@@ -0,0 +1,37 @@
+// Gravités d'un champ signalé, de la moins à la plus grave
+const SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Construit le schéma JSON de la réponse attendue du modèle pour validateData
+ * Chaque problème est signalé dans flagged par le chemin JSON du champ, qui
+ * doit exister dans le body validé, et par une catégorie de la politique de
+ * modération : le schéma est donc propre à chaque requête. Le modèle ne
+ * rend pas de décision, la politique s'en charge (voir applyPolicy).
+ *
+ * @param {Array<string>} paths - Chemins des valeurs du body (voir utils/json-paths.js)
+ * @param {Array<string>} categories - Catégories de la politique de modération
+ * @returns {Object} Schéma JSON du verdict
+ */
+const buildDataVerdictSchema = (paths, categories) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['flagged'],
+  properties: {
+    flagged: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['path', 'category', 'severity', 'explanation'],
+        properties: {
+          path: paths.length > 0 ? { enum: paths } : { type: 'string' },
+          category: { enum: categories },
+          severity: { enum: SEVERITIES },
+          explanation: { type: 'string', minLength: 1, maxLength: 300 },
+        },
+      },
+    },
+  },
+});
+
+module.exports = buildDataVerdictSchema;
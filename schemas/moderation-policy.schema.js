@@ -0,0 +1,37 @@
+// Gravités d'un problème signalé par le modèle, de la moins à la plus grave
+const SEVERITIES = ['low', 'medium', 'high'];
+
+/**
+ * Schéma JSON du fichier de politique de modération (voir config/moderation.js)
+ * - version : version de la politique, enregistrée avec chaque décision
+ * - acceptabilityThreshold : indice d'acceptabilité minimal d'une annonce
+ * - guidance : consignes générales transmises au modèle
+ * - categories : par catégorie, action (block refuse le contenu, flag
+ *   l'accepte en le signalant, allow l'ignore) appliquée à partir de la
+ *   gravité minSeverity, et description transmise au modèle
+ */
+module.exports = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['version', 'acceptabilityThreshold', 'categories'],
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    acceptabilityThreshold: { type: 'integer', minimum: 0, maximum: 100 },
+    guidance: { type: 'string' },
+    categories: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: '^[a-z][a-z0-9_]*$' },
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['action', 'description'],
+        properties: {
+          action: { enum: ['block', 'flag', 'allow'] },
+          minSeverity: { enum: SEVERITIES, default: 'low' },
+          description: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+  },
+};
@@ -0,0 +1,95 @@
+// Gravités d'un problème relevé, de la moins à la plus grave
+const SEVERITIES = ['low', 'medium', 'high'];
+
+// Champs du formulaire d'annonce auxquels un problème peut se rapporter
+const POST_FIELDS = ['brand', 'model', 'description', 'tags'];
+
+/**
+ * Construit le schéma JSON de la réponse attendue du modèle pour validatePost
+ * Le verdict doit être cohérent avec le score : success vaut true si et
+ * seulement si acceptabilityScore atteint le seuil de la politique de
+ * modération, et un refus doit lister ses erreurs.
+ * Le modèle doit rendre exactement un verdict par image uploadée, identifiée
+ * par son nom, et rattacher chaque problème relevé (issues) à un champ ou
+ * une image : le schéma est donc propre à chaque requête.
+ *
+ * @param {Array<string>} imageNames - Noms des images uploadées (uniques)
+ * @param {Object} policy - Politique de modération
+ * @param {number} policy.threshold - Indice d'acceptabilité minimal
+ * @param {Array<string>} policy.categories - Catégories de problèmes
+ * @returns {Object} Schéma JSON du verdict
+ */
+const buildPostVerdictSchema = (imageNames, { threshold, categories }) => ({
+  type: 'object',
+  additionalProperties: false,
+  required: ['success', 'acceptabilityScore', 'images', 'issues'],
+  properties: {
+    success: { type: 'boolean' },
+    acceptabilityScore: { type: 'integer', minimum: 0, maximum: 100 },
+    info: { type: 'string' },
+    errors: { type: 'array', items: { type: 'string' } },
+    images: {
+      type: 'array',
+      minItems: imageNames.length,
+      maxItems: imageNames.length,
+      // Chaque image doit avoir son verdict : avec autant d'entrées que
+      // d'images, cela interdit aussi les doublons de nom
+      allOf: imageNames.map((name) => ({
+        contains: {
+          type: 'object',
+          required: ['name'],
+          properties: { name: { const: name } },
+        },
+      })),
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: [
+          'name',
+          'matches',
+          'duplicateOf',
+          'inappropriate',
+          'offTopic',
+          'reason',
+        ],
+        properties: {
+          name: { enum: imageNames },
+          matches: { type: 'boolean' },
+          duplicateOf: { enum: [...imageNames, null] },
+          inappropriate: { type: 'boolean' },
+          offTopic: { type: 'boolean' },
+          reason: { type: 'string' },
+        },
+      },
+    },
+    issues: {
+      type: 'array',
+      items: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['field', 'category', 'severity', 'explanation'],
+        properties: {
+          field: { enum: [...POST_FIELDS, ...imageNames] },
+          category: { enum: categories },
+          severity: { enum: SEVERITIES },
+          explanation: { type: 'string', minLength: 1, maxLength: 300 },
+        },
+      },
+    },
+  },
+  if: { properties: { success: { const: true } } },
+  then: {
+    properties: {
+      acceptabilityScore: { type: 'integer', minimum: threshold },
+    },
+  },
+  else: {
+    required: ['errors'],
+    properties: {
+      acceptabilityScore: { type: 'integer', maximum: threshold - 1 },
+      errors: { type: 'array', minItems: 1 },
+    },
+  },
+});
+
+module.exports = buildPostVerdictSchema;
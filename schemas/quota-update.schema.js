@@ -0,0 +1,27 @@
+// Nouveau quota : entier positif (0 désactive le quota), null rétablit le quota par défaut
+const limit = {
+  anyOf: [{ type: 'integer', minimum: 0 }, { type: 'null' }],
+};
+
+const period = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    validations: limit,
+    images: limit,
+    tokens: limit,
+  },
+};
+
+/**
+ * Schéma JSON du body de PUT /api/quotas/:userId
+ */
+module.exports = {
+  type: 'object',
+  additionalProperties: false,
+  minProperties: 1,
+  properties: {
+    daily: period,
+    monthly: period,
+  },
+};
@@ -0,0 +1,41 @@
+const winston = require('winston');
+const logsConfig = require('../config/logs');
+const { getRequestId } = require('./request-context');
+
+let auditLogger;
+
+/**
+ * Journal d'audit (voir config/logs.js), créé au premier événement
+ * Séparé des logs applicatifs : une ligne JSON par événement, sans rotation.
+ *
+ * @returns {Object} Logger winston
+ */
+const getAuditLogger = () => {
+  if (!auditLogger) {
+    auditLogger = winston.createLogger({
+      level: 'info',
+      format: winston.format.combine(
+        winston.format.timestamp(),
+        winston.format.json()
+      ),
+      defaultMeta: { service: 'ai-service' },
+      transports: [
+        new winston.transports.File({ filename: logsConfig.auditFile }),
+      ],
+    });
+  }
+  return auditLogger;
+};
+
+/**
+ * Écrit un événement dans le journal d'audit
+ * L'identifiant de la requête en cours est ajouté automatiquement.
+ *
+ * @param {string} event - Type d'événement (access.denied...)
+ * @param {Object} data - Données de l'événement
+ */
+const audit = (event, data) => {
+  getAuditLogger().info('audit', { event, requestId: getRequestId(), ...data });
+};
+
+module.exports = { audit };
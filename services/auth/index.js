@@ -0,0 +1,151 @@
+const jwt = require('jsonwebtoken');
+const logger = require('../../config/logger');
+const authConfig = require('../../config/auth');
+const AuthError = require('../../errors/auth.error');
+const createKeyStore = require('./jwks');
+
+/**
+ * Traduit une erreur de jsonwebtoken en AuthError avec un code distinct
+ *
+ * @param {Error} err - Erreur levée par jwt.verify
+ * @returns {AuthError} Erreur à renvoyer au client
+ */
+const toAuthError = (err) => {
+  if (err instanceof jwt.TokenExpiredError) {
+    return new AuthError('Token expiré.', 'TOKEN_EXPIRED');
+  }
+  if (err instanceof jwt.NotBeforeError) {
+    return new AuthError('Token pas encore valide.', 'TOKEN_NOT_ACTIVE');
+  }
+  const message = err.message ?? '';
+  if (message.startsWith('jwt audience invalid')) {
+    return new AuthError(
+      'Audience du token invalide.',
+      'TOKEN_INVALID_AUDIENCE'
+    );
+  }
+  if (message.startsWith('jwt issuer invalid')) {
+    return new AuthError('Émetteur du token invalide.', 'TOKEN_INVALID_ISSUER');
+  }
+  if (message === 'invalid signature') {
+    return new AuthError(
+      'Signature du token invalide.',
+      'TOKEN_INVALID_SIGNATURE'
+    );
+  }
+  if (message === 'invalid algorithm') {
+    return new AuthError(
+      'Algorithme du token non autorisé.',
+      'TOKEN_INVALID_ALGORITHM'
+    );
+  }
+  if (message === 'jwt malformed' || message === 'invalid token') {
+    return new AuthError('Token mal formé.', 'TOKEN_MALFORMED');
+  }
+  return new AuthError('Token invalide.', 'TOKEN_INVALID');
+};
+
+/**
+ * Erreur de configuration : journalisée, sans détail pour le client
+ *
+ * @param {string} reason - Cause, pour les logs
+ * @returns {AuthError} AUTH_MISCONFIGURED (500)
+ */
+const misconfigured = (reason) => {
+  logger.error("Erreur de configuration de l'authentification:", { reason });
+  return new AuthError(
+    'Authentification indisponible.',
+    'AUTH_MISCONFIGURED',
+    500
+  );
+};
+
+/**
+ * Crée une fonction de vérification des tokens JWT
+ * L'algorithme annoncé par le token doit figurer dans la liste autorisée ;
+ * les tokens HS* sont vérifiés avec le secret partagé, les autres (RS256,
+ * ES256) avec la clé du JWKS désignée par leur kid.
+ *
+ * @param {Object} options - Options de vérification (voir config/auth.js)
+ * @param {Array<string>} options.algorithms - Algorithmes autorisés
+ * @param {string} [options.secret] - Secret partagé (HS256)
+ * @param {Object} [options.jwks] - Source du JWKS { url, file, cacheTtl... }
+ * @param {Array<string>} [options.issuer] - Émetteurs acceptés
+ * @param {Array<string>} [options.audience] - Audiences acceptées
+ * @param {number} [options.clockTolerance] - Tolérance d'horloge en secondes
+ * @returns {Function} Vérification (token) => Promise<payload>, lève une AuthError
+ */
+const createTokenVerifier = ({
+  algorithms,
+  secret,
+  jwks,
+  issuer,
+  audience,
+  clockTolerance = 0,
+}) => {
+  const keyStore = jwks?.file || jwks?.url ? createKeyStore(jwks) : undefined;
+
+  const resolveKey = async ({ alg, kid }) => {
+    if (!algorithms.includes(alg)) {
+      throw new AuthError(
+        'Algorithme du token non autorisé.',
+        'TOKEN_INVALID_ALGORITHM'
+      );
+    }
+    if (alg.startsWith('HS')) {
+      if (!secret) throw misconfigured('JWT_SECRET non renseigné');
+      return secret;
+    }
+    if (!keyStore) {
+      throw misconfigured('JWT_JWKS_URL ou JWT_JWKS_FILE non renseigné');
+    }
+    return keyStore.getKey(kid);
+  };
+
+  return async (token) => {
+    if (!token) {
+      throw new AuthError('Token manquant ou invalide.', 'TOKEN_MISSING');
+    }
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || typeof decoded.payload !== 'object') {
+      throw new AuthError('Token mal formé.', 'TOKEN_MALFORMED');
+    }
+
+    const key = await resolveKey(decoded.header);
+    try {
+      return jwt.verify(token, key, {
+        algorithms,
+        issuer,
+        audience,
+        clockTolerance,
+      });
+    } catch (err) {
+      throw toAuthError(err);
+    }
+  };
+};
+
+let current;
+
+/**
+ * Vérifie un token JWT avec la configuration courante (voir createTokenVerifier)
+ *
+ * @param {string} [token] - Token JWT
+ * @returns {Promise<Object>} Payload du token
+ * @throws {AuthError} Si le token est refusé
+ */
+const verifyToken = (token) => {
+  if (!current) current = createTokenVerifier(authConfig);
+  return current(token);
+};
+
+/**
+ * Remplace la vérification courante (tests, changement de configuration)
+ *
+ * @param {Function} [verifier] - Vérification à utiliser (recréée depuis la configuration si absente)
+ */
+const setTokenVerifier = (verifier) => {
+  current = verifier;
+};
+
+module.exports = { createTokenVerifier, verifyToken, setTokenVerifier };
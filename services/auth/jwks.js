@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const logger = require('../../config/logger');
+const AuthError = require('../../errors/auth.error');
+
+/**
+ * Convertit un JWKS en clés publiques indexées par kid
+ * Les clés réservées au chiffrement (use: enc) et les clés illisibles sont ignorées.
+ *
+ * @param {Object} jwks - Jeu de clés { keys: [...] }
+ * @returns {Map<string, KeyObject>} Clés publiques
+ */
+const parseKeys = (jwks) => {
+  if (!Array.isArray(jwks?.keys)) {
+    throw new Error('JWKS invalide : tableau keys attendu');
+  }
+  const keys = new Map();
+  jwks.keys.forEach((jwk, index) => {
+    if (jwk.use && jwk.use !== 'sig') return;
+    try {
+      keys.set(
+        jwk.kid ?? String(index),
+        crypto.createPublicKey({ key: jwk, format: 'jwk' })
+      );
+    } catch (err) {
+      logger.warn('Clé JWKS ignorée:', { kid: jwk.kid, error: err.message });
+    }
+  });
+  return keys;
+};
+
+/**
+ * Crée un magasin de clés publiques chargé depuis un JWKS (fichier ou URL)
+ * Les clés sont rechargées après cacheTtl, ou dès qu'un token présente un
+ * kid inconnu (rotation des clés), au plus une fois par minRefreshInterval.
+ * Si un rechargement échoue, les clés déjà chargées restent utilisées.
+ *
+ * @param {Object} options - Options du magasin (voir config/auth.js)
+ * @param {string} [options.url] - URL du JWKS
+ * @param {string} [options.file] - Fichier JWKS local (prioritaire sur l'URL)
+ * @param {number} [options.cacheTtl] - Durée de conservation des clés
+ * @param {number} [options.minRefreshInterval] - Délai minimal entre deux rechargements
+ * @param {number} [options.timeout] - Délai maximal de téléchargement du JWKS
+ * @returns {Object} Magasin exposant getKey()
+ */
+const createKeyStore = ({
+  url,
+  file,
+  cacheTtl = 60 * 60 * 1000,
+  minRefreshInterval = 30 * 1000,
+  timeout = 5000,
+}) => {
+  let keys = new Map();
+  let checkedAt = 0;
+  let loading;
+
+  const fetchKeys = async () => {
+    if (file) {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    }
+    const response = await fetch(url, { signal: AbortSignal.timeout(timeout) });
+    if (!response.ok) {
+      throw new Error(`JWKS indisponible (${response.status})`);
+    }
+    return response.json();
+  };
+
+  const refresh = () => {
+    if (!loading) {
+      checkedAt = Date.now();
+      loading = fetchKeys()
+        .then((jwks) => {
+          keys = parseKeys(jwks);
+        })
+        .catch((err) => {
+          logger.error('Erreur de chargement du JWKS:', {
+            source: file ?? url,
+            error: err.message,
+          });
+          if (keys.size === 0) {
+            throw new AuthError(
+              'Clés de vérification indisponibles.',
+              'AUTH_UNAVAILABLE',
+              503
+            );
+          }
+        })
+        .finally(() => {
+          loading = undefined;
+        });
+    }
+    return loading;
+  };
+
+  // Sans kid, la clé n'est choisie que si le JWKS n'en contient qu'une
+  const find = (kid) =>
+    kid !== undefined
+      ? keys.get(kid)
+      : keys.size === 1
+        ? keys.values().next().value
+        : undefined;
+
+  return {
+    /**
+     * Clé publique correspondant au kid d'un token
+     *
+     * @param {string} [kid] - Identifiant de clé (en-tête du token)
+     * @returns {Promise<KeyObject>} Clé publique
+     * @throws {AuthError} TOKEN_UNKNOWN_KEY si aucune clé ne correspond
+     */
+    getKey: async (kid) => {
+      if (Date.now() - checkedAt >= cacheTtl) {
+        await refresh();
+      }
+      let key = find(kid);
+      if (!key && Date.now() - checkedAt >= minRefreshInterval) {
+        await refresh();
+        key = find(kid);
+      }
+      if (!key) {
+        throw new AuthError(
+          'Clé de signature du token inconnue.',
+          'TOKEN_UNKNOWN_KEY'
+        );
+      }
+      return key;
+    },
+  };
+};
+
+module.exports = createKeyStore;
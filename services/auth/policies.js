@@ -0,0 +1,25 @@
+const AuthError = require('../../errors/auth.error');
+
+/**
+ * Politiques d'accès appliquées après la vérification du token
+ * (voir middlewares/authenticate.js). Une politique reçoit le payload du
+ * token et la requête, et lève une AuthError si l'accès est refusé.
+ */
+
+/**
+ * L'utilisateur a validé son adresse email (claim isEmailVerified)
+ *
+ * @param {Object} user - Payload du token
+ * @throws {AuthError} EMAIL_NOT_VERIFIED (403)
+ */
+const requireEmailVerified = (user) => {
+  if (!user.isEmailVerified) {
+    throw new AuthError(
+      'Vous devez valider votre email pour accéder à cette fonctionnalité.',
+      'EMAIL_NOT_VERIFIED',
+      403
+    );
+  }
+};
+
+module.exports = { requireEmailVerified };
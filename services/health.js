@@ -0,0 +1,186 @@
+const fs = require('fs');
+const aiConfig = require('../config/ai');
+const authConfig = require('../config/auth');
+const serviceAuthConfig = require('../config/service-auth');
+const healthConfig = require('../config/health');
+const logsConfig = require('../config/logs');
+const uploadConfig = require('../config/upload');
+const { defaultTargets } = require('../cron/monitor');
+const withTimeout = require('../utils/with-timeout');
+
+// Variables d'environnement sans lesquelles le service ne peut pas valider de post
+const REQUIRED_ENV = [
+  'SERVICE_BDD_URL',
+  'CLOUDINARY_NAME',
+  'CLOUDINARY_API',
+  'CLOUDINARY_SECRET',
+];
+
+/**
+ * Vérifie que la configuration requise est renseignée
+ * (variables communes, clés de vérification des tokens selon les algorithmes
+ * autorisés, services appelants et variables du fournisseur d'IA choisi)
+ *
+ * @returns {Object} { provider }
+ * @throws {Error} Listant les variables manquantes
+ */
+const checkConfig = () => {
+  const missing = REQUIRED_ENV.filter((name) => !process.env[name]);
+  const { algorithms, secret, jwks } = authConfig;
+  if (algorithms.some((alg) => alg.startsWith('HS')) && !secret) {
+    missing.push('JWT_SECRET');
+  }
+  if (
+    algorithms.some((alg) => !alg.startsWith('HS')) &&
+    !jwks.url &&
+    !jwks.file
+  ) {
+    missing.push('JWT_JWKS_URL (ou JWT_JWKS_FILE)');
+  }
+  if (Object.keys(serviceAuthConfig.credentials).length === 0) {
+    missing.push('SERVICE_CREDENTIALS');
+  }
+  if (aiConfig.provider === 'openai' && !aiConfig.apiKey) {
+    missing.push('AI_API_KEY (ou OPENAI_API_KEY)');
+  }
+  if (aiConfig.provider === 'local' && !aiConfig.baseURL) {
+    missing.push('AI_BASE_URL');
+  }
+  if (missing.length > 0) {
+    throw new Error(`Configuration manquante : ${missing.join(', ')}`);
+  }
+  return { provider: aiConfig.provider };
+};
+
+/**
+ * Vérifie qu'un dossier existe et est accessible en écriture
+ *
+ * @param {string} dir - Dossier à vérifier
+ * @returns {Function} Vérification asynchrone renvoyant { path }
+ */
+const checkWritable = (dir) => async () => {
+  await fs.promises.access(dir, fs.constants.W_OK);
+  return { path: dir };
+};
+
+/**
+ * Vérifications par défaut de la disponibilité du service :
+ * configuration, dossiers de stockage (logs) et d'upload, puis dépendances
+ * externes sondées comme par le moniteur (voir cron/monitor.js)
+ *
+ * @returns {Object} Vérifications indexées par nom
+ */
+const defaultChecks = () => ({
+  config: checkConfig,
+  storage: checkWritable(logsConfig.dir),
+  uploads: checkWritable(uploadConfig.dest),
+  ...Object.fromEntries(
+    defaultTargets({ timeout: healthConfig.timeout }).map(({ name, probe }) => [
+      name,
+      async () => {
+        await probe();
+        return {};
+      },
+    ])
+  ),
+});
+
+/**
+ * Exécute une vérification avec un délai maximal
+ *
+ * @param {Function} check - Vérification (lève une erreur en cas d'échec)
+ * @param {number} timeout - Délai maximal en millisecondes
+ * @returns {Promise<Object>} { status: up|down, latencyMs, error?, ...détails }
+ */
+const runCheck = async (check, timeout) => {
+  const start = Date.now();
+  try {
+    const details = await withTimeout(check, timeout);
+    return { status: 'up', latencyMs: Date.now() - start, ...details };
+  } catch (err) {
+    return {
+      status: 'down',
+      latencyMs: Date.now() - start,
+      error: err.message,
+    };
+  }
+};
+
+/**
+ * Crée la sonde de disponibilité (readiness) du service
+ * Toutes les vérifications s'exécutent en parallèle ; le résultat est
+ * réutilisé pendant cacheTtl et partagé entre les appels simultanés.
+ *
+ * @param {Object} options - Options de la sonde (voir config/health.js)
+ * @param {Object} options.checks - Vérifications indexées par nom
+ * @param {number} [options.timeout] - Délai maximal de chaque vérification
+ * @param {number} [options.cacheTtl] - Durée de réutilisation du résultat
+ * @returns {Function} Sonde renvoyant { ready, checkedAt, cached, checks }
+ */
+const createReadinessProbe = ({ checks, timeout = 3000, cacheTtl = 0 }) => {
+  let last;
+  let pending;
+
+  const run = async () => {
+    const names = Object.keys(checks);
+    const results = await Promise.all(
+      names.map((name) => runCheck(checks[name], timeout))
+    );
+    return {
+      ready: results.every((result) => result.status === 'up'),
+      checkedAt: new Date().toISOString(),
+      checks: Object.fromEntries(names.map((name, i) => [name, results[i]])),
+    };
+  };
+
+  return async () => {
+    if (last && Date.now() - last.at < cacheTtl) {
+      return { ...last.result, cached: true };
+    }
+    if (!pending) {
+      pending = run()
+        .then((result) => {
+          last = { result, at: Date.now() };
+          return result;
+        })
+        .finally(() => {
+          pending = undefined;
+        });
+    }
+    return { ...(await pending), cached: false };
+  };
+};
+
+let current;
+
+/**
+ * Renvoie la sonde de disponibilité configurée, créée au premier appel
+ *
+ * @returns {Function} Sonde (voir createReadinessProbe)
+ */
+const getReadinessProbe = () => {
+  if (!current) {
+    current = createReadinessProbe({
+      ...healthConfig,
+      checks: defaultChecks(),
+    });
+  }
+  return current;
+};
+
+/**
+ * Remplace la sonde de disponibilité courante (tests)
+ *
+ * @param {Function} probe - Sonde à utiliser
+ */
+const setReadinessProbe = (probe) => {
+  current = probe;
+};
+
+module.exports = {
+  checkConfig,
+  defaultChecks,
+  createReadinessProbe,
+  getReadinessProbe,
+  setReadinessProbe,
+};
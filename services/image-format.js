@@ -0,0 +1,67 @@
+// Marques ISO-BMFF (box ftyp) des fichiers HEIC produits par les smartphones
+// Les marques génériques HEIF (mif1, msf1) sont aussi celles des AVIF : seule
+// une marque HEVC identifie une image que heic-convert sait décoder.
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+
+/**
+ * Marques d'une box ftyp : marque principale puis marques compatibles
+ * (limitées aux octets disponibles)
+ *
+ * @param {Buffer} buffer - Début du fichier
+ * @returns {Array<string>} Marques, vide si le fichier n'est pas ISO-BMFF
+ */
+const ftypBrands = (buffer) => {
+  if (buffer.toString('ascii', 4, 8) !== 'ftyp') return [];
+  const end = Math.min(buffer.readUInt32BE(0), buffer.length);
+  const brands = [buffer.toString('ascii', 8, 12)];
+  // Octets 12 à 16 : version mineure, puis une marque tous les 4 octets
+  for (let offset = 16; offset + 4 <= end; offset += 4) {
+    brands.push(buffer.toString('ascii', offset, offset + 4));
+  }
+  return brands;
+};
+
+/**
+ * Types MIME des formats d'image reconnus
+ */
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  heic: 'image/heic',
+};
+
+/**
+ * Détermine le format réel d'une image à partir de ses premiers octets
+ * (magic bytes), indépendamment de son extension ou du type MIME déclaré
+ *
+ * @param {Buffer} buffer - Début du fichier (64 octets suffisent, box ftyp
+ *   comprise)
+ * @returns {string|null} jpeg, png, webp, heic ou null si le format est inconnu
+ */
+const sniffImageFormat = (buffer) => {
+  if (!buffer || buffer.length < 12) return null;
+
+  if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'jpeg';
+  }
+  if (
+    buffer
+      .subarray(0, 8)
+      .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+  ) {
+    return 'png';
+  }
+  if (
+    buffer.toString('ascii', 0, 4) === 'RIFF' &&
+    buffer.toString('ascii', 8, 12) === 'WEBP'
+  ) {
+    return 'webp';
+  }
+  if (ftypBrands(buffer).some((brand) => HEIC_BRANDS.includes(brand))) {
+    return 'heic';
+  }
+  return null;
+};
+
+module.exports = { MIME_TYPES, sniffImageFormat };
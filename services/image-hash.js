@@ -0,0 +1,33 @@
+const sharp = require('sharp');
+
+/**
+ * Calcule l'empreinte perceptuelle (dHash 64 bits) d'une image
+ * L'image est orientée selon l'EXIF, passée en niveaux de gris et réduite
+ * à 9x8 pixels ; chaque bit indique si un pixel est plus clair que son voisin
+ * de droite. Deux images visuellement proches (recompression, redimensionnement,
+ * légère retouche) ont des empreintes à faible distance de Hamming.
+ *
+ * @param {string|Buffer} input - Chemin du fichier ou contenu de l'image
+ * @returns {Promise<string>} Empreinte sur 16 caractères hexadécimaux
+ */
+const computeImageHash = async (input) => {
+  const pixels = await sharp(input)
+    .rotate()
+    .grayscale()
+    .resize(9, 8, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  let hash = 0n;
+  for (let row = 0; row < 8; row++) {
+    for (let col = 0; col < 8; col++) {
+      const left = pixels[row * 9 + col];
+      const right = pixels[row * 9 + col + 1];
+      hash = (hash << 1n) | (left > right ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, '0');
+};
+
+module.exports = { computeImageHash };
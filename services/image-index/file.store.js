@@ -0,0 +1,78 @@
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('../../config/logger');
+const { searchNear } = require('./memory.store');
+
+/**
+ * Index des images publiées persisté dans un fichier JSON local
+ * Le fichier est chargé au premier accès (de nouveau après un échec de
+ * lecture ; un contenu JSON invalide est mis de côté et l'index repart
+ * vide) puis réécrit de façon atomique
+ * (fichier temporaire + renommage) à chaque ajout. Les écritures sont
+ * sérialisées pour ne jamais perdre d'entrée entre deux requêtes concurrentes.
+ *
+ * @param {Object} options - Options du stockage
+ * @param {string} options.file - Chemin du fichier de l'index
+ * @returns {Object} Index exposant findNear() et add()
+ */
+const createFileImageIndex = ({ file }) => {
+  let loading;
+  let writing = Promise.resolve();
+
+  const load = () => {
+    if (!loading) {
+      loading = fs
+        .readFile(file, 'utf8')
+        .then(async (data) => {
+          try {
+            return JSON.parse(data);
+          } catch (err) {
+            // Fichier corrompu : le relire n'y changerait rien, on le
+            // conserve pour analyse et les validations continuent
+            const backup = `${file}.${Date.now()}.corrupt`;
+            await fs.rename(file, backup);
+            logger.error(
+              `Index des images corrompu (${file}), déplacé vers ${backup} : ${err.message}`
+            );
+            return [];
+          }
+        })
+        .catch((err) => {
+          if (err.code === 'ENOENT') return [];
+          // Échec transitoire (EACCES, EMFILE, écriture concurrente...) :
+          // le prochain accès relit le fichier
+          loading = undefined;
+          throw new Error(
+            `Index des images illisible (${file}) : ${err.message}`
+          );
+        });
+    }
+    return loading;
+  };
+
+  const persist = async (entries) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(entries));
+    await fs.rename(tmp, file);
+  };
+
+  return {
+    findNear: async (hash, maxDistance) =>
+      searchNear(await load(), hash, maxDistance),
+
+    add: (newEntries) => {
+      writing = writing
+        .catch(() => {})
+        .then(async () => {
+          const entries = await load();
+          const addedAt = new Date().toISOString();
+          entries.push(...newEntries.map((entry) => ({ ...entry, addedAt })));
+          await persist(entries);
+        });
+      return writing;
+    },
+  };
+};
+
+module.exports = createFileImageIndex;
@@ -0,0 +1,51 @@
+const imageIndexConfig = require('../../config/image-index');
+const { createMemoryImageIndex } = require('./memory.store');
+const createFileImageIndex = require('./file.store');
+
+// Stockages disponibles, indexés par la valeur de IMAGE_INDEX_STORE
+const stores = {
+  memory: createMemoryImageIndex,
+  file: createFileImageIndex,
+};
+
+let current;
+
+/**
+ * Crée un index d'images à partir d'une configuration
+ * Tous les stockages exposent la même interface asynchrone :
+ * findNear(hash, maxDistance) et add(entries)
+ *
+ * @param {Object} config - Configuration (voir config/image-index.js)
+ * @returns {Object} Index d'images
+ * @throws {Error} Si le stockage demandé est inconnu
+ */
+const createImageIndex = (config) => {
+  const factory = stores[config.store];
+  if (!factory) {
+    throw new Error(`Stockage d'index d'images inconnu : ${config.store}`);
+  }
+  return factory(config);
+};
+
+/**
+ * Renvoie l'index d'images configuré, créé au premier appel
+ *
+ * @returns {Object} Index d'images
+ */
+const getImageIndex = () => {
+  if (!current) {
+    current = createImageIndex(imageIndexConfig);
+  }
+  return current;
+};
+
+/**
+ * Remplace l'index d'images courant (tests, stockage externe)
+ *
+ * @param {Object} index - Index à utiliser
+ */
+const setImageIndex = (index) => {
+  current = index;
+};
+
+module.exports = { createImageIndex, getImageIndex, setImageIndex };
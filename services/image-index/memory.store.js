@@ -0,0 +1,46 @@
+const hammingDistance = require('../../utils/hamming-distance');
+
+/**
+ * Recherche les entrées proches d'une empreinte, de la plus proche à la plus éloignée
+ *
+ * @param {Array} entries - Entrées de l'index
+ * @param {string} hash - Empreinte recherchée
+ * @param {number} maxDistance - Distance de Hamming maximale
+ * @returns {Array} Entrées trouvées, avec leur distance
+ */
+const searchNear = (entries, hash, maxDistance) =>
+  entries
+    .map((entry) => ({ ...entry, distance: hammingDistance(entry.hash, hash) }))
+    .filter((entry) => entry.distance <= maxDistance)
+    .sort((a, b) => a.distance - b.distance);
+
+/**
+ * Index des images publiées conservé en mémoire (tests, staging)
+ * Toutes les méthodes sont asynchrones pour rester interchangeables avec
+ * les autres stockages.
+ *
+ * @returns {Object} Index exposant findNear() et add()
+ */
+const createMemoryImageIndex = () => {
+  const entries = [];
+
+  return {
+    /**
+     * @param {string} hash - Empreinte recherchée
+     * @param {number} maxDistance - Distance de Hamming maximale
+     * @returns {Promise<Array>} Entrées { hash, postId, userId, url, addedAt, distance }
+     */
+    findNear: async (hash, maxDistance) =>
+      searchNear(entries, hash, maxDistance),
+
+    /**
+     * @param {Array} newEntries - Entrées { hash, postId, userId, url } à indexer
+     */
+    add: async (newEntries) => {
+      const addedAt = new Date().toISOString();
+      entries.push(...newEntries.map((entry) => ({ ...entry, addedAt })));
+    },
+  };
+};
+
+module.exports = { createMemoryImageIndex, searchNear };
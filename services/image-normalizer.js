@@ -0,0 +1,66 @@
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const imagesConfig = require('../config/images');
+const { MIME_TYPES, sniffImageFormat } = require('./image-format');
+const UnsupportedImageError = require('../errors/unsupported-image.error');
+
+// Formats acceptés tels quels par le modèle ; les autres sont convertis en JPEG
+const OUTPUT_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Normalise une image uploadée avant l'upload Cloudinary et l'analyse :
+ * - détection du format réel (JPEG, PNG, WebP, HEIC) par magic bytes
+ * - conversion des formats non pris en charge par le modèle (HEIC) en JPEG
+ * - application de l'orientation EXIF
+ * - réduction au plus grand côté configuré (IMAGE_MAX_DIMENSION)
+ * L'image normalisée est écrite à côté du fichier temporaire d'origine.
+ *
+ * @param {Object} file - Fichier uploadé via multer ({ path, originalname })
+ * @returns {Promise<Object>} { path, format, mimeType, width, height, buffer }
+ * @throws {UnsupportedImageError} Si le fichier n'est pas une image reconnue
+ */
+const normalizeImage = async (file) => {
+  let input = await fs.readFile(file.path);
+  const format = sniffImageFormat(input);
+
+  if (!format) {
+    throw new UnsupportedImageError(
+      `Format d'image non supporté : "${file.originalname}"`,
+      file.originalname
+    );
+  }
+
+  // HEIC : libvips n'embarque pas de décodeur HEVC, conversion préalable en JPEG
+  if (format === 'heic') {
+    input = Buffer.from(
+      await heicConvert({ buffer: input, format: 'JPEG', quality: 1 })
+    );
+  }
+
+  const outputFormat = OUTPUT_FORMATS.includes(format) ? format : 'jpeg';
+  const { data, info } = await sharp(input)
+    .rotate() // Orientation EXIF, les métadonnées ne sont pas conservées
+    .resize({
+      width: imagesConfig.maxDimension,
+      height: imagesConfig.maxDimension,
+      fit: 'inside',
+      withoutEnlargement: true,
+    })
+    .toFormat(outputFormat, { quality: imagesConfig.quality })
+    .toBuffer({ resolveWithObject: true });
+
+  const path = `${file.path}.normalized.${outputFormat === 'jpeg' ? 'jpg' : outputFormat}`;
+  await fs.writeFile(path, data);
+
+  return {
+    path,
+    format: outputFormat,
+    mimeType: MIME_TYPES[outputFormat],
+    width: info.width,
+    height: info.height,
+    buffer: data,
+  };
+};
+
+module.exports = { normalizeImage };
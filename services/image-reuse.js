@@ -0,0 +1,51 @@
+const logger = require('../config/logger');
+const imageIndexConfig = require('../config/image-index');
+const { computeImageHash } = require('./image-hash');
+const { getImageIndex } = require('./image-index');
+
+/**
+ * Compare les images d'un post à l'index des images déjà publiées
+ * Chaque image est réduite à son empreinte perceptuelle ; la correspondance
+ * la plus proche sous le seuil IMAGE_HASH_MAX_DISTANCE est renvoyée.
+ *
+ * @param {Array<string>} paths - Chemins des fichiers à comparer
+ * @returns {Promise<Object>} { hashes, matches } avec, pour chaque image,
+ *   l'entrée d'index correspondante ou null
+ */
+const detectReusedImages = async (paths) => {
+  const index = getImageIndex();
+  const hashes = await Promise.all(paths.map((p) => computeImageHash(p)));
+  const matches = await Promise.all(
+    hashes.map(async (hash) => {
+      const [closest] = await index.findNear(
+        hash,
+        imageIndexConfig.maxDistance
+      );
+      return closest || null;
+    })
+  );
+
+  return { hashes, matches };
+};
+
+/**
+ * Ajoute les images d'un post accepté à l'index
+ * Un échec d'indexation est journalisé sans faire échouer la publication.
+ *
+ * @param {Object} params - Images publiées
+ * @param {Array<string>} params.hashes - Empreintes des images
+ * @param {Array<string>} params.urls - URLs Cloudinary des images
+ * @param {string} [params.postId] - Identifiant du post créé
+ * @param {string} [params.userId] - Identifiant de l'auteur
+ */
+const indexPublishedImages = async ({ hashes, urls, postId, userId }) => {
+  try {
+    await getImageIndex().add(
+      hashes.map((hash, i) => ({ hash, url: urls[i], postId, userId }))
+    );
+  } catch (err) {
+    logger.warn("Erreur d'indexation des images:", err);
+  }
+};
+
+module.exports = { detectReusedImages, indexPublishedImages };
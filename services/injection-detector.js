@@ -0,0 +1,121 @@
+/**
+ * Motifs de tentatives d'injection de prompt (français et anglais)
+ * Ils s'appliquent au texte normalisé (voir normalizeText) : minuscules,
+ * sans accents ni caractères invisibles, espaces compactés.
+ */
+const PATTERNS = [
+  {
+    id: 'ignore-instructions',
+    regex:
+      /\b(ignore|disregard|forget|override|bypass)\b.{0,40}\b(instructions?|rules?|prompts?|guidelines?|directives?)\b/,
+  },
+  {
+    id: 'ignore-instructions',
+    regex:
+      /\b(ignore|oublie|oubliez|ignorez|ne tiens pas compte|ne tenez pas compte|outrepasse)\b.{0,40}\b(instructions?|consignes?|regles?|prompts?|directives?)\b/,
+  },
+  {
+    id: 'role-override',
+    regex:
+      /\b(you are now|from now on you|act as|pretend to be|tu es (maintenant|desormais)|a partir de maintenant tu|fais comme si tu etais|joue le role)\b/,
+  },
+  {
+    id: 'system-prompt',
+    regex:
+      /\b(system prompt|prompt systeme|developer mode|mode developpeur|jailbreak|dan mode)\b/,
+  },
+  {
+    id: 'role-marker',
+    regex:
+      /(^|\n)\s*(system|assistant|systeme)\s*:|<\|?(im_start|im_end|system|endoftext)\|?>|\[\/?inst\]|<\/?(annonce|donnees)>/,
+  },
+  // Seuls les champs du verdict sont visés : verbes et notes seuls
+  // (« échange accepté », « note 100 sur 100 ») figurent dans des annonces
+  {
+    id: 'verdict-manipulation',
+    regex: /\bacceptabilityscore\b|"success"\s*:\s*true\b/,
+  },
+];
+
+// Caractères invisibles utilisés pour masquer des mots-clés
+const INVISIBLE =
+  /[\u00ad\u034f\u061c\u115f\u1160\u180e\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+/**
+ * Normalise un texte avant recherche des motifs : formes Unicode de
+ * compatibilité (pleine chasse...), accents, caractères invisibles et casse
+ *
+ * @param {string} text - Texte fourni par l'utilisateur
+ * @returns {string} Texte normalisé
+ */
+const normalizeText = (text) =>
+  text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(INVISIBLE, '')
+    .toLowerCase()
+    .replace(/[^\S\n]+/g, ' ');
+
+/**
+ * Parcourt récursivement une valeur et renvoie chaque chaîne (clés comprises)
+ * avec son chemin, par exemple "tags[1]" ou "profil.bio"
+ *
+ * @param {*} value - Valeur à parcourir
+ * @param {string} [path] - Chemin de la valeur
+ * @returns {Array<Object>} [{ path, text }]
+ */
+const collectStrings = (value, path = '') => {
+  if (typeof value === 'string') return [{ path, text: value }];
+  if (Array.isArray(value)) {
+    return value.flatMap((item, i) => collectStrings(item, `${path}[${i}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) => {
+      const itemPath = path ? `${path}.${key}` : key;
+      return [{ path: itemPath, text: key }, ...collectStrings(item, itemPath)];
+    });
+  }
+  return [];
+};
+
+/**
+ * Recherche des tentatives d'injection de prompt dans des données utilisateur
+ * Une détection est un motif de modération à part entière : le contenu est
+ * refusé sans être soumis au modèle.
+ *
+ * @param {*} input - Champs fournis par l'utilisateur (objet, tableau ou chaîne)
+ * @returns {Object} { flagged, matches: [{ path, pattern }] }
+ */
+const detectInjection = (input) => {
+  const matches = [];
+
+  for (const { path, text } of collectStrings(input)) {
+    const normalized = normalizeText(text);
+    const pattern = PATTERNS.find(({ regex }) => regex.test(normalized));
+    if (pattern) {
+      matches.push({ path, pattern: pattern.id });
+    }
+  }
+
+  return { flagged: matches.length > 0, matches };
+};
+
+/**
+ * Encode des données utilisateur dans un bloc délimité pour le prompt
+ * Le contenu est sérialisé en JSON et les chevrons sont échappés : le texte
+ * ne peut ni fermer le bloc ni se faire passer pour une instruction.
+ *
+ * @param {string} tag - Nom de la balise délimitant le bloc
+ * @param {*} data - Données fournies par l'utilisateur
+ * @returns {string} Bloc <tag>...</tag>
+ */
+const untrustedBlock = (tag, data) =>
+  `<${tag}>\n${JSON.stringify(data, null, 2)
+    .replace(/</g, '\\u003c')
+    .replace(/>/g, '\\u003e')}\n</${tag}>`;
+
+module.exports = {
+  normalizeText,
+  detectInjection,
+  untrustedBlock,
+};
@@ -0,0 +1,50 @@
+const jobsConfig = require('../../config/jobs');
+const createMemoryJobStore = require('./memory.store');
+const createJobQueue = require('./queue');
+
+// Stockages disponibles, indexés par la valeur de VALIDATION_JOB_STORE
+const stores = {
+  memory: createMemoryJobStore,
+};
+
+let current;
+
+/**
+ * Crée un stockage de jobs à partir d'une configuration
+ * Tous les stockages exposent la même interface asynchrone :
+ * create(job), get(id), update(id, patch)
+ *
+ * @param {Object} config - Configuration (voir config/jobs.js)
+ * @returns {Object} Stockage de jobs
+ * @throws {Error} Si le stockage demandé est inconnu
+ */
+const createJobStore = (config) => {
+  const factory = stores[config.store];
+  if (!factory) {
+    throw new Error(`Stockage de jobs inconnu : ${config.store}`);
+  }
+  return factory(config);
+};
+
+/**
+ * Renvoie le stockage de jobs configuré, créé au premier appel
+ *
+ * @returns {Object} Stockage de jobs
+ */
+const getJobStore = () => {
+  if (!current) {
+    current = createJobStore(jobsConfig);
+  }
+  return current;
+};
+
+/**
+ * Remplace le stockage de jobs courant (tests, stockage externe)
+ *
+ * @param {Object} store - Stockage à utiliser
+ */
+const setJobStore = (store) => {
+  current = store;
+};
+
+module.exports = { createJobQueue, createJobStore, getJobStore, setJobStore };
@@ -0,0 +1,46 @@
+/**
+ * Stockage des jobs en mémoire
+ * Les jobs terminés sont purgés après leur durée de conservation.
+ * Toutes les méthodes sont asynchrones pour rester interchangeables avec
+ * un stockage externe (Redis, MongoDB...).
+ *
+ * @param {Object} [options] - Options du stockage
+ * @param {number} [options.ttl] - Durée de conservation d'un job terminé en millisecondes
+ * @returns {Object} Stockage exposant create(), get() et update()
+ */
+const createMemoryJobStore = ({ ttl = 60 * 60 * 1000 } = {}) => {
+  const jobs = new Map();
+
+  // Suppression des jobs terminés dont la durée de conservation est dépassée
+  const purge = () => {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.finishedAt && now - Date.parse(job.finishedAt) > ttl) {
+        jobs.delete(id);
+      }
+    }
+  };
+
+  return {
+    create: async (job) => {
+      purge();
+      jobs.set(job.id, { ...job });
+      return { ...job };
+    },
+
+    get: async (id) => {
+      purge();
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+
+    update: async (id, patch) => {
+      const job = jobs.get(id);
+      if (!job) return null;
+      Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+      return { ...job };
+    },
+  };
+};
+
+module.exports = createMemoryJobStore;
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const logger = require('../../config/logger');
+const { getRequestId, runWithRequestId } = require('../request-context');
+const QueueFullError = require('../../errors/queue-full.error');
+
+/**
+ * Crée une file de traitement en arrière-plan adossée à un stockage de jobs
+ * Le payload (fichiers, token...) reste en mémoire dans la file et n'est
+ * jamais écrit dans le stockage ; seul l'état du job y est conservé.
+ *
+ * Le handler reçoit (payload, { id, setStage }) et renvoie les champs à
+ * fusionner dans le job terminé (status, result...). Une exception marque
+ * le job comme échoué.
+ *
+ * Le traitement s'exécute dans le contexte de la requête qui a créé le job :
+ * ses logs et appels sortants portent le même X-Request-Id.
+ *
+ * @param {Object} options - Options de la file
+ * @param {string} options.type - Type des jobs créés (ex: validatePost)
+ * @param {Object|Function} options.store - Stockage des jobs (voir memory.store.js),
+ *   ou fonction renvoyant le stockage courant
+ * @param {Function} options.handler - Traitement d'un job
+ * @param {number} [options.concurrency] - Nombre de jobs traités en parallèle
+ * @param {number} [options.maxQueue] - Nombre maximal de jobs en attente
+ * @returns {Object} File exposant enqueue() et size()
+ */
+const createJobQueue = ({
+  type,
+  store,
+  handler,
+  concurrency = 1,
+  maxQueue = Infinity,
+}) => {
+  const pending = [];
+  let running = 0;
+
+  const getStore = typeof store === 'function' ? store : () => store;
+
+  const execute = async ({ id, payload }) => {
+    try {
+      await getStore().update(id, {
+        status: 'running',
+        startedAt: new Date().toISOString(),
+      });
+
+      const setStage = (stage) => getStore().update(id, { stage });
+      const patch = await handler(payload, { id, setStage });
+
+      await getStore().update(id, {
+        status: 'completed',
+        stage: 'done',
+        ...patch,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      logger.error(`Erreur dans le job ${type} ${id}:`, err);
+      await getStore()
+        .update(id, {
+          status: 'failed',
+          error: err.message,
+          finishedAt: new Date().toISOString(),
+        })
+        .catch((storeErr) =>
+          logger.error('Erreur mise à jour du job:', storeErr)
+        );
+    }
+  };
+
+  // Démarre les jobs en attente dans la limite de la concurrence
+  const drain = () => {
+    while (running < concurrency && pending.length > 0) {
+      running++;
+      // Contexte de la requête d'origine, et non celui du job précédent
+      const entry = pending.shift();
+      runWithRequestId(entry.requestId, () => execute(entry)).finally(() => {
+        running--;
+        drain();
+      });
+    }
+  };
+
+  return {
+    /**
+     * Crée un job et le place dans la file
+     *
+     * @param {Object} payload - Données transmises au handler
+     * @param {Object} [meta] - Champs supplémentaires enregistrés sur le job (userId...)
+     * @returns {Promise<Object>} Job créé, au statut queued
+     * @throws {QueueFullError} Si la file est pleine
+     */
+    enqueue: async (payload, meta = {}) => {
+      if (pending.length >= maxQueue) {
+        throw new QueueFullError(`File ${type} pleine (${maxQueue} jobs)`);
+      }
+
+      const now = new Date().toISOString();
+      const job = await getStore().create({
+        ...meta,
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        stage: 'queued',
+        createdAt: now,
+        updatedAt: now,
+      });
+
+      pending.push({ id: job.id, payload, requestId: getRequestId() });
+      setImmediate(drain);
+      return job;
+    },
+
+    /**
+     * @returns {number} Nombre de jobs en attente de traitement
+     */
+    size: () => pending.length,
+  };
+};
+
+module.exports = createJobQueue;
@@ -0,0 +1,324 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const zlib = require('zlib');
+const InvalidQueryError = require('../errors/invalid-query.error');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Convertit une date de paramètre de requête en timestamp
+ *
+ * @param {string} [value] - Date ISO 8601 ou timestamp en millisecondes
+ * @param {string} param - Nom du paramètre
+ * @returns {number|undefined} Timestamp en millisecondes
+ * @throws {InvalidQueryError} Si la date est invalide
+ */
+const parseDate = (value, param) => {
+  if (value === undefined || value === '') return undefined;
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new InvalidQueryError(`Date invalide pour "${param}".`, param);
+  }
+  return time;
+};
+
+/**
+ * Encode la position de lecture suivante dans un curseur opaque
+ *
+ * @param {Object} segment - Segment de log (voir listLogSegments)
+ * @param {number} offset - Position en octets dans le segment (décompressé)
+ * @returns {string} Curseur
+ */
+const encodeCursor = (segment, offset) =>
+  Buffer.from(JSON.stringify({ key: segment.key, offset })).toString(
+    'base64url'
+  );
+
+/**
+ * Décode un curseur renvoyé par une page précédente
+ *
+ * @param {string} [cursor] - Curseur
+ * @returns {Object|null} { key, offset }, null pour la première page
+ * @throws {InvalidQueryError} Si le curseur est illisible
+ */
+const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+  try {
+    const { key, offset } = JSON.parse(
+      Buffer.from(cursor, 'base64url').toString()
+    );
+    if (typeof key === 'string' && Number.isInteger(offset) && offset >= 0) {
+      return { key, offset };
+    }
+  } catch (err) {
+    // Curseur non décodable : traité ci-dessous
+  }
+  throw new InvalidQueryError('Curseur invalide.', 'cursor');
+};
+
+/**
+ * Valide et normalise les paramètres de requête d'une consultation de logs
+ * - level : un ou plusieurs niveaux séparés par des virgules
+ * - from / to : bornes de l'intervalle de temps (ISO 8601 ou millisecondes)
+ * - q : texte recherché dans le message (insensible à la casse)
+ * - service : service émetteur
+ * - requestId : identifiant de corrélation de la requête (X-Request-Id)
+ * - limit : nombre maximal d'entrées (100 par défaut, 1000 au plus)
+ * - cursor : curseur de la page suivante (nextCursor)
+ *
+ * @param {Object} [query] - req.query
+ * @returns {Object} Filtres (voir queryLogFile)
+ * @throws {InvalidQueryError} Si un paramètre est invalide
+ */
+const parseLogQuery = (query = {}) => {
+  const limit =
+    query.limit === undefined || query.limit === ''
+      ? DEFAULT_LIMIT
+      : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new InvalidQueryError(
+      `"limit" doit être un entier entre 1 et ${MAX_LIMIT}.`,
+      'limit'
+    );
+  }
+
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from !== undefined && to !== undefined && from > to) {
+    throw new InvalidQueryError('"from" doit précéder "to".', 'from');
+  }
+
+  return {
+    levels: query.level
+      ? String(query.level)
+          .split(',')
+          .map((level) => level.trim().toLowerCase())
+          .filter(Boolean)
+      : undefined,
+    from,
+    to,
+    q: query.q ? String(query.q).toLowerCase() : undefined,
+    service: query.service ? String(query.service) : undefined,
+    requestId: query.requestId ? String(query.requestId) : undefined,
+    limit,
+    cursor: decodeCursor(query.cursor),
+  };
+};
+
+/**
+ * Indique si une entrée de log correspond aux filtres
+ *
+ * @param {Object} entry - Entrée de log parsée
+ * @param {Object} filters - Filtres (voir parseLogQuery)
+ * @returns {boolean} true si l'entrée est retenue
+ */
+const matchesFilters = (entry, { levels, from, to, q, service, requestId }) => {
+  if (levels && !levels.includes(String(entry.level).toLowerCase())) {
+    return false;
+  }
+  if (service && entry.service !== service) return false;
+  if (requestId && entry.requestId !== requestId) return false;
+  if (from !== undefined || to !== undefined) {
+    const time = Date.parse(entry.timestamp);
+    if (Number.isNaN(time)) return false;
+    if (from !== undefined && time < from) return false;
+    if (to !== undefined && time > to) return false;
+  }
+  if (q) {
+    const message =
+      typeof entry.message === 'string'
+        ? entry.message
+        : JSON.stringify(entry.message ?? '');
+    if (!message.toLowerCase().includes(q)) return false;
+  }
+  return true;
+};
+
+/**
+ * Liste les segments d'un fichier de log, du plus ancien au plus récent :
+ * fichier historique <nom>.log, puis segments quotidiens <nom>-AAAA-MM-JJ.log
+ * et leurs suites numérotées (.log.1, .log.2...), compressés ou non (.gz)
+ *
+ * @param {string} dir - Répertoire des logs
+ * @param {string} name - Nom du log (metrics, errors, warnings)
+ * @returns {Promise<Array>} [{ file, path, gzip, key, start, end }] ; start/end
+ *   bornent la journée couverte (absents pour le fichier historique)
+ * @throws {Error} Si le répertoire ne peut pas être lu
+ */
+const listLogSegments = async (dir, name) => {
+  const pattern = new RegExp(
+    `^${name}-(\\d{4})-(\\d{2})-(\\d{2})\\.log(?:\\.(\\d+))?(\\.gz)?$`
+  );
+  const segments = [];
+
+  for (const file of await fs.promises.readdir(dir)) {
+    if (file === `${name}.log`) {
+      segments.push({ file, key: '0', gzip: false });
+      continue;
+    }
+    const match = pattern.exec(file);
+    if (!match) continue;
+
+    const [, year, month, day, index = '0', gzip] = match;
+    // Journée en heure locale, comme les timestamps écrits par le logger
+    const start = new Date(Number(year), Number(month) - 1, Number(day));
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+    segments.push({
+      file,
+      key: `1-${year}${month}${day}-${index.padStart(6, '0')}`,
+      gzip: Boolean(gzip),
+      start: start.getTime(),
+      end: end.getTime(),
+    });
+  }
+
+  return segments
+    .map((segment) => ({ ...segment, path: path.join(dir, segment.file) }))
+    .sort((a, b) => (a.key < b.key ? -1 : 1));
+};
+
+/**
+ * Indique si un segment peut contenir des entrées de l'intervalle demandé
+ *
+ * @param {Object} segment - Segment (voir listLogSegments)
+ * @param {Object} range - { from, to } en millisecondes
+ * @returns {boolean} false si le segment est entièrement hors de l'intervalle
+ */
+const segmentInRange = (segment, { from, to }) => {
+  if (segment.start === undefined) return true;
+  if (from !== undefined && segment.end <= from) return false;
+  if (to !== undefined && segment.start > to) return false;
+  return true;
+};
+
+/**
+ * Parcourt un segment de log NDJSON en flux, ligne à ligne
+ * Les segments compressés sont décompressés à la volée. Les lignes vides sont
+ * ignorées ; une ligne corrompue est renvoyée avec entry à null. Le fichier
+ * n'est jamais chargé entièrement en mémoire.
+ *
+ * @param {string} filePath - Chemin du segment
+ * @param {Object} [options] - Options de lecture
+ * @param {number} [options.start] - Position en octets où reprendre la lecture
+ * @param {boolean} [options.gzip] - Segment compressé
+ * @yields {Object} { entry, lineStart } (lineStart en octets décompressés)
+ * @throws {Error} Si le fichier ne peut pas être lu
+ */
+async function* readLogEntries(filePath, { start = 0, gzip = false } = {}) {
+  // Un segment compressé ne peut pas être lu à partir d'une position :
+  // les lignes précédant le curseur sont lues puis ignorées
+  const stream = fs.createReadStream(filePath, {
+    encoding: gzip ? undefined : 'utf8',
+    start: gzip ? 0 : start,
+  });
+  const input = gzip ? stream.pipe(zlib.createGunzip()) : stream;
+  if (gzip) {
+    stream.on('error', (err) => input.destroy(err));
+    input.setEncoding('utf8');
+  }
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let offset = gzip ? 0 : start;
+
+  try {
+    for await (const line of lines) {
+      const lineStart = offset;
+      offset += Buffer.byteLength(line, 'utf8') + 1;
+
+      if (lineStart < start || line.trim() === '') continue;
+
+      let entry = null;
+      try {
+        entry = JSON.parse(line);
+      } catch (err) {
+        // Ligne corrompue : signalée à l'appelant
+      }
+      yield { entry, lineStart };
+    }
+  } finally {
+    lines.close();
+    stream.destroy();
+    input.destroy();
+  }
+}
+
+/**
+ * Parcourt toutes les entrées d'un log, segment par segment, en ignorant les
+ * segments hors de l'intervalle de temps
+ *
+ * @param {string} dir - Répertoire des logs
+ * @param {string} name - Nom du log (metrics, errors, warnings)
+ * @param {Object} [options] - Options de lecture
+ * @param {number} [options.from] - Début de l'intervalle en millisecondes
+ * @param {number} [options.to] - Fin de l'intervalle en millisecondes
+ * @param {Object} [options.cursor] - Position de reprise (voir decodeCursor)
+ * @yields {Object} { entry, segment, lineStart }
+ * @throws {Error} Si un segment ne peut pas être lu
+ */
+async function* readLogSegments(dir, name, { from, to, cursor } = {}) {
+  const segments = (await listLogSegments(dir, name)).filter(
+    (segment) =>
+      segmentInRange(segment, { from, to }) &&
+      (!cursor || segment.key >= cursor.key)
+  );
+
+  for (const segment of segments) {
+    // Un segment supprimé par la rétention est remplacé par le suivant
+    const start = cursor && segment.key === cursor.key ? cursor.offset : 0;
+    for await (const { entry, lineStart } of readLogEntries(segment.path, {
+      start,
+      gzip: segment.gzip,
+    })) {
+      yield { entry, segment, lineStart };
+    }
+  }
+}
+
+/**
+ * Lit un log en flux, à travers ses segments, et renvoie une page d'entrées
+ * filtrées. La lecture reprend à la position du curseur et s'arrête dès que
+ * la page est complète. Les lignes corrompues sont ignorées et comptées.
+ *
+ * @param {string} dir - Répertoire des logs
+ * @param {string} name - Nom du log (metrics, errors, warnings)
+ * @param {Object} [filters] - Filtres (voir parseLogQuery)
+ * @returns {Promise<Object>} { items, count, skipped, nextCursor }
+ * @throws {Error} Si un segment ne peut pas être lu
+ */
+const queryLogs = async (dir, name, filters = parseLogQuery()) => {
+  const items = [];
+  let skipped = 0;
+  let nextCursor = null;
+
+  for await (const { entry, segment, lineStart } of readLogSegments(
+    dir,
+    name,
+    filters
+  )) {
+    if (!entry) {
+      skipped += 1;
+      continue;
+    }
+    if (!matchesFilters(entry, filters)) continue;
+
+    // Page complète et au moins une entrée suivante : reprise sur cette ligne
+    if (items.length === filters.limit) {
+      nextCursor = encodeCursor(segment, lineStart);
+      break;
+    }
+    items.push(entry);
+  }
+
+  return { items, count: items.length, skipped, nextCursor };
+};
+
+module.exports = {
+  parseDate,
+  parseLogQuery,
+  listLogSegments,
+  readLogEntries,
+  readLogSegments,
+  queryLogs,
+};
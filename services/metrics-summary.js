@@ -0,0 +1,226 @@
+const { parseDate, readLogSegments } = require('./log-reader');
+const { TELEMETRY_MESSAGE, EVENTS } = require('./telemetry');
+const InvalidQueryError = require('../errors/invalid-query.error');
+
+const UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_BUCKETS = 500;
+const DEFAULT_RANGE = UNITS.d;
+
+// Dépendances toujours présentes dans les latences, même sans appel
+const DEPENDENCIES = ['model', 'cloudinary', 'bdd'];
+
+/**
+ * Convertit une durée de bucket (5m, 1h, 1d ou millisecondes) en millisecondes
+ *
+ * @param {string} [value] - Durée demandée
+ * @returns {number} Durée en millisecondes (1h par défaut)
+ * @throws {InvalidQueryError} Si la durée est invalide
+ */
+const parseBucket = (value) => {
+  if (value === undefined || value === '') return UNITS.h;
+  const match = /^(\d+)([mhd])?$/.exec(String(value));
+  const ms = match && Number(match[1]) * (match[2] ? UNITS[match[2]] : 1);
+  if (!ms) {
+    throw new InvalidQueryError(
+      '"bucket" doit être une durée (5m, 1h, 1d ou millisecondes).',
+      'bucket'
+    );
+  }
+  return ms;
+};
+
+/**
+ * Valide les paramètres de GET /api/metrics/summary
+ * - from / to : intervalle de temps (24 dernières heures par défaut)
+ * - bucket : durée de chaque intervalle d'agrégation (1h par défaut)
+ *
+ * @param {Object} [query] - req.query
+ * @returns {Object} { from, to, bucketMs }
+ * @throws {InvalidQueryError} Si un paramètre est invalide
+ */
+const parseSummaryQuery = (query = {}) => {
+  const to = parseDate(query.to, 'to') ?? Date.now();
+  const from = parseDate(query.from, 'from') ?? to - DEFAULT_RANGE;
+  if (from >= to) {
+    throw new InvalidQueryError('"from" doit précéder "to".', 'from');
+  }
+
+  const bucketMs = parseBucket(query.bucket);
+  if (Math.ceil((to - from) / bucketMs) > MAX_BUCKETS) {
+    throw new InvalidQueryError(
+      `Intervalle trop long pour ce bucket (${MAX_BUCKETS} buckets au plus).`,
+      'bucket'
+    );
+  }
+  return { from, to, bucketMs };
+};
+
+/**
+ * Percentile par la méthode du rang le plus proche
+ *
+ * @param {Array<number>} sorted - Valeurs triées
+ * @param {number} p - Percentile (0 à 100)
+ * @returns {number|null} Valeur, null sans données
+ */
+const percentile = (sorted, p) => {
+  if (sorted.length === 0) return null;
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+};
+
+/**
+ * Tranche de la distribution des scores (0-9, 10-19... 90-100)
+ *
+ * @param {number} score - acceptabilityScore
+ * @returns {string} Libellé de la tranche
+ */
+const scoreRange = (score) => {
+  const low = Math.min(90, Math.floor(score / 10) * 10);
+  return low === 90 ? '90-100' : `${low}-${low + 9}`;
+};
+
+const createAccumulator = () => ({
+  requests: {},
+  validations: {},
+  scores: Object.fromEntries(
+    Array.from({ length: 10 }, (v, i) => [scoreRange(i * 10), 0])
+  ),
+  latency: Object.fromEntries(DEPENDENCIES.map((name) => [name, []])),
+});
+
+/**
+ * Ajoute un événement de télémétrie à un accumulateur
+ *
+ * @param {Object} acc - Accumulateur (voir createAccumulator)
+ * @param {Object} entry - Événement parsé depuis metrics.log
+ */
+const accumulate = (acc, entry) => {
+  switch (entry.event) {
+    case EVENTS.HTTP:
+      acc.requests[entry.endpoint] = (acc.requests[entry.endpoint] || 0) + 1;
+      break;
+    case EVENTS.VALIDATION: {
+      const stats = (acc.validations[entry.endpoint] ||= {
+        accepted: 0,
+        rejected: 0,
+        error: 0,
+        reasons: {},
+      });
+      if (entry.outcome in stats) stats[entry.outcome] += 1;
+      if (entry.reason) {
+        stats.reasons[entry.reason] = (stats.reasons[entry.reason] || 0) + 1;
+      }
+      if (typeof entry.acceptabilityScore === 'number') {
+        acc.scores[scoreRange(entry.acceptabilityScore)] += 1;
+      }
+      break;
+    }
+    case EVENTS.DEPENDENCY:
+      if (typeof entry.durationMs === 'number') {
+        (acc.latency[entry.dependency] ||= []).push(entry.durationMs);
+      }
+      break;
+    default:
+      break;
+  }
+};
+
+const rate = (count, total) =>
+  total ? Math.round((count / total) * 10000) / 10000 : null;
+
+/**
+ * Calcule les statistiques finales d'un accumulateur
+ *
+ * @param {Object} acc - Accumulateur (voir createAccumulator)
+ * @returns {Object} { requests, validations, scores, latency }
+ */
+const finalize = (acc) => ({
+  requests: {
+    total: Object.values(acc.requests).reduce((sum, n) => sum + n, 0),
+    byEndpoint: acc.requests,
+  },
+  validations: Object.fromEntries(
+    Object.entries(acc.validations).map(([endpoint, stats]) => {
+      const total = stats.accepted + stats.rejected + stats.error;
+      return [
+        endpoint,
+        {
+          total,
+          accepted: stats.accepted,
+          rejected: stats.rejected,
+          errors: stats.error,
+          acceptanceRate: rate(stats.accepted, total),
+          rejectionRate: rate(stats.rejected, total),
+          reasons: stats.reasons,
+        },
+      ];
+    })
+  ),
+  scores: acc.scores,
+  latency: Object.fromEntries(
+    Object.entries(acc.latency).map(([name, durations]) => {
+      const sorted = [...durations].sort((a, b) => a - b);
+      return [
+        name,
+        {
+          count: sorted.length,
+          p50: percentile(sorted, 50),
+          p95: percentile(sorted, 95),
+          p99: percentile(sorted, 99),
+        },
+      ];
+    })
+  ),
+});
+
+/**
+ * Agrège les événements de télémétrie d'un log par intervalle de temps
+ * Seuls les segments couvrant l'intervalle sont lus, en flux ; les lignes
+ * corrompues sont ignorées et comptées.
+ *
+ * @param {string} dir - Répertoire des logs
+ * @param {string} name - Nom du log contenant la télémétrie (metrics)
+ * @param {Object} options - Intervalle (voir parseSummaryQuery)
+ * @param {number} options.from - Début en millisecondes
+ * @param {number} options.to - Fin en millisecondes
+ * @param {number} options.bucketMs - Durée d'un bucket en millisecondes
+ * @returns {Promise<Object>} { from, to, bucketMs, total, buckets, skipped }
+ * @throws {Error} Si un segment ne peut pas être lu
+ */
+const summarizeLogs = async (dir, name, { from, to, bucketMs }) => {
+  const total = createAccumulator();
+  const buckets = Array.from(
+    { length: Math.ceil((to - from) / bucketMs) },
+    createAccumulator
+  );
+  let skipped = 0;
+
+  for await (const { entry } of readLogSegments(dir, name, { from, to })) {
+    if (!entry) {
+      skipped += 1;
+      continue;
+    }
+    if (entry.message !== TELEMETRY_MESSAGE) continue;
+
+    const time = Date.parse(entry.timestamp);
+    if (Number.isNaN(time) || time < from || time >= to) continue;
+
+    accumulate(total, entry);
+    accumulate(buckets[Math.floor((time - from) / bucketMs)], entry);
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    bucketMs,
+    total: finalize(total),
+    buckets: buckets.map((acc, i) => ({
+      start: new Date(from + i * bucketMs).toISOString(),
+      end: new Date(Math.min(to, from + (i + 1) * bucketMs)).toISOString(),
+      ...finalize(acc),
+    })),
+    skipped,
+  };
+};
+
+module.exports = { parseSummaryQuery, summarizeLogs };
@@ -0,0 +1,168 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const Ajv = require('ajv');
+const logger = require('../config/logger');
+const moderationConfig = require('../config/moderation');
+const policySchema = require('../schemas/moderation-policy.schema');
+const InvalidPolicyError = require('../errors/invalid-policy.error');
+const canonicalJson = require('../utils/canonical-json');
+
+// Gravités, de la moins à la plus grave (voir schemas/moderation-policy.schema.js)
+const SEVERITIES = ['low', 'medium', 'high'];
+
+const ACTION_LABELS = {
+  block: 'refusé',
+  flag: 'accepté mais signalé',
+  allow: 'toléré',
+};
+
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+const validatePolicy = ajv.compile(policySchema);
+
+let current;
+
+/**
+ * Lit et valide un fichier de politique de modération
+ * L'identifiant de la politique (id) associe sa version déclarée à une
+ * empreinte du contenu : une modification du fichier sans changement de
+ * version produit un autre identifiant.
+ *
+ * @param {string} file - Chemin du fichier JSON
+ * @returns {Promise<Object>} Politique { id, version, acceptabilityThreshold, guidance, categories, loadedAt }
+ * @throws {InvalidPolicyError} Si le fichier est illisible ou invalide
+ */
+const loadPolicy = async (file) => {
+  let content;
+  try {
+    content = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (err) {
+    throw new InvalidPolicyError(
+      `Politique de modération illisible (${file}) : ${err.message}`
+    );
+  }
+  if (!validatePolicy(content)) {
+    throw new InvalidPolicyError(
+      `Politique de modération invalide (${file}).`,
+      validatePolicy.errors.map(
+        (error) => `${error.instancePath || '/'} ${error.message}`
+      )
+    );
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(canonicalJson(content))
+    .digest('hex')
+    .slice(0, 8);
+  return Object.freeze({
+    ...content,
+    id: `${content.version}@${hash}`,
+    loadedAt: new Date().toISOString(),
+  });
+};
+
+/**
+ * Charge (ou recharge) la politique configurée
+ * En cas d'erreur, la politique courante reste appliquée.
+ *
+ * @param {string} [file] - Fichier de la politique (voir config/moderation.js)
+ * @returns {Promise<Object>} Politique chargée
+ * @throws {InvalidPolicyError} Si le fichier est illisible ou invalide
+ */
+const reloadPolicy = async (file = moderationConfig.policyFile) => {
+  try {
+    current = await loadPolicy(file);
+  } catch (err) {
+    logger.error('Politique de modération refusée:', {
+      error: err.message,
+      errors: err.errors,
+      current: current?.id,
+    });
+    throw err;
+  }
+  logger.info('Politique de modération chargée:', { id: current.id, file });
+  return current;
+};
+
+/**
+ * Renvoie la politique courante
+ *
+ * @returns {Object} Politique (voir loadPolicy)
+ * @throws {Error} Si aucune politique n'a été chargée (voir reloadPolicy)
+ */
+const getPolicy = () => {
+  if (!current) {
+    throw new Error(
+      'Politique de modération non chargée : appelez reloadPolicy() au démarrage.'
+    );
+  }
+  return current;
+};
+
+/**
+ * Remplace la politique courante (tests)
+ *
+ * @param {Object} policy - Politique à appliquer
+ */
+const setPolicy = (policy) => {
+  current = policy;
+};
+
+/**
+ * Applique la politique aux problèmes relevés par le modèle
+ * L'action d'une catégorie s'applique à partir de sa gravité minimale ;
+ * en dessous, comme pour une catégorie inconnue ou allow, le problème est
+ * ignoré.
+ *
+ * @param {Array<Object>} issues - Problèmes { category, severity, ... }
+ * @param {Object} policy - Politique (voir loadPolicy)
+ * @returns {Object} { blocked, issues } : blocked vaut true si un problème
+ *   est refusé ; issues contient les problèmes retenus, avec leur action
+ */
+const applyPolicy = (issues, policy) => {
+  const retained = issues
+    .map((issue) => {
+      const rule = policy.categories[issue.category];
+      const applies =
+        rule &&
+        SEVERITIES.indexOf(issue.severity) >=
+          SEVERITIES.indexOf(rule.minSeverity);
+      return { ...issue, action: applies ? rule.action : 'allow' };
+    })
+    .filter((issue) => issue.action !== 'allow');
+  return {
+    blocked: retained.some((issue) => issue.action === 'block'),
+    issues: retained,
+  };
+};
+
+/**
+ * Description de la politique transmise au modèle dans ses instructions
+ *
+ * @param {Object} policy - Politique (voir loadPolicy)
+ * @returns {string} Catégories, avec leur traitement, et consignes générales
+ */
+const describePolicy = (policy) => {
+  const categories = Object.entries(policy.categories).map(
+    ([name, rule]) =>
+      `- ${name} : ${rule.description} (${ACTION_LABELS[rule.action]} à partir de la gravité ${rule.minSeverity})`
+  );
+  return [
+    'Catégories de la politique de modération :',
+    ...categories,
+    'Gravités : low (léger), medium (modéré), high (grave). Évalue la gravité réelle de chaque problème, même pour une catégorie tolérée : la décision finale applique la politique.',
+    policy.guidance,
+  ]
+    .filter(Boolean)
+    .join('\n');
+};
+
+module.exports = {
+  SEVERITIES,
+  loadPolicy,
+  reloadPolicy,
+  getPolicy,
+  setPolicy,
+  applyPolicy,
+  describePolicy,
+};
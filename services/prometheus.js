@@ -0,0 +1,96 @@
+const client = require('prom-client');
+const { EVENTS, onEvent } = require('./telemetry');
+
+/**
+ * Crée un registre Prometheus alimenté par les événements de télémétrie
+ * (voir services/telemetry.js) :
+ * - http_requests_total et http_request_duration_seconds par route
+ * - validations_total par endpoint, issue et motif
+ * - model_tokens_total par modèle, tâche et type de token
+ * - upstream_errors_total par dépendance (model pour le fournisseur d'IA,
+ *   cloudinary, bdd)
+ * - métriques par défaut du processus Node.js
+ *
+ * @param {Object} [options] - Options du registre
+ * @param {boolean} [options.defaultMetrics] - Collecte des métriques du processus
+ * @returns {Object} { registry, stop } ; stop() désabonne le registre
+ */
+const createPrometheusRegistry = ({ defaultMetrics = true } = {}) => {
+  const registry = new client.Registry();
+  if (defaultMetrics) {
+    client.collectDefaultMetrics({ register: registry });
+  }
+
+  const httpRequests = new client.Counter({
+    name: 'http_requests_total',
+    help: 'Requêtes HTTP traitées',
+    labelNames: ['method', 'route', 'status'],
+    registers: [registry],
+  });
+  const httpDuration = new client.Histogram({
+    name: 'http_request_duration_seconds',
+    help: 'Durée des requêtes HTTP en secondes',
+    labelNames: ['method', 'route'],
+    buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+    registers: [registry],
+  });
+  const validations = new client.Counter({
+    name: 'validations_total',
+    help: 'Validations par issue (accepted, rejected, error) et motif',
+    labelNames: ['endpoint', 'outcome', 'reason'],
+    registers: [registry],
+  });
+  const modelTokens = new client.Counter({
+    name: 'model_tokens_total',
+    help: 'Tokens consommés par les appels au modèle',
+    labelNames: ['model', 'task', 'type'],
+    registers: [registry],
+  });
+  const upstreamErrors = new client.Counter({
+    name: 'upstream_errors_total',
+    help: 'Appels en échec aux services externes',
+    labelNames: ['dependency', 'operation'],
+    registers: [registry],
+  });
+
+  const unsubscribes = [
+    onEvent(EVENTS.HTTP, ({ method, endpoint, status, durationMs }) => {
+      httpRequests.inc({ method, route: endpoint, status: String(status) });
+      httpDuration.observe({ method, route: endpoint }, durationMs / 1000);
+    }),
+    onEvent(EVENTS.VALIDATION, ({ endpoint, outcome, reason }) => {
+      validations.inc({ endpoint, outcome, reason: reason || 'none' });
+    }),
+    onEvent(EVENTS.USAGE, ({ model, task, promptTokens, completionTokens }) => {
+      const labels = { model, task: task || 'unknown' };
+      modelTokens.inc({ ...labels, type: 'prompt' }, promptTokens);
+      modelTokens.inc({ ...labels, type: 'completion' }, completionTokens);
+    }),
+    onEvent(EVENTS.DEPENDENCY, ({ dependency, operation, success }) => {
+      if (!success) {
+        upstreamErrors.inc({ dependency, operation: operation || 'unknown' });
+      }
+    }),
+  ];
+
+  return {
+    registry,
+    stop: () => unsubscribes.forEach((unsubscribe) => unsubscribe()),
+  };
+};
+
+let current;
+
+/**
+ * Renvoie le registre Prometheus du service, créé au premier appel
+ *
+ * @returns {Object} Registre prom-client
+ */
+const getPrometheusRegistry = () => {
+  if (!current) {
+    current = createPrometheusRegistry();
+  }
+  return current.registry;
+};
+
+module.exports = { createPrometheusRegistry, getPrometheusRegistry };
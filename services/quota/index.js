@@ -0,0 +1,328 @@
+const quotaConfig = require('../../config/quota');
+const createMemoryQuotaStore = require('./memory.store');
+const { EVENTS, onEvent } = require('../telemetry');
+
+// Stockages disponibles, indexés par la valeur de QUOTA_STORE
+const stores = {
+  memory: createMemoryQuotaStore,
+};
+
+const PERIODS = ['daily', 'monthly'];
+const METRICS = ['validations', 'images', 'tokens'];
+
+let current;
+
+/**
+ * Crée un stockage de quotas à partir d'une configuration
+ * Tous les stockages exposent la même interface asynchrone :
+ * add(key, amounts, expiresAt), get(key), getLimits(userId), setLimits(userId, limits)
+ *
+ * @param {Object} config - Configuration (voir config/quota.js)
+ * @returns {Object} Stockage de quotas
+ * @throws {Error} Si le stockage demandé est inconnu
+ */
+const createQuotaStore = (config) => {
+  const factory = stores[config.store];
+  if (!factory) {
+    throw new Error(`Stockage de quotas inconnu : ${config.store}`);
+  }
+  return factory(config);
+};
+
+/**
+ * Renvoie le stockage de quotas configuré, créé au premier appel
+ *
+ * @returns {Object} Stockage de quotas
+ */
+const getQuotaStore = () => {
+  if (!current) {
+    current = createQuotaStore(quotaConfig);
+  }
+  return current;
+};
+
+/**
+ * Remplace le stockage de quotas courant (tests, stockage partagé)
+ *
+ * @param {Object} store - Stockage à utiliser
+ */
+const setQuotaStore = (store) => {
+  current = store;
+};
+
+/**
+ * Période calendaire UTC en cours
+ *
+ * @param {string} period - daily ou monthly
+ * @param {number} now - Instant de référence (ms epoch)
+ * @returns {Object} { id, resetAt } : identifiant (2025-01-31, 2025-01) et fin de la période
+ */
+const currentPeriod = (period, now) => {
+  const date = new Date(now);
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+  if (period === 'monthly') {
+    return {
+      id: date.toISOString().slice(0, 7),
+      resetAt: Date.UTC(year, month + 1, 1),
+    };
+  }
+  return {
+    id: date.toISOString().slice(0, 10),
+    resetAt: Date.UTC(year, month, date.getUTCDate() + 1),
+  };
+};
+
+const counterKey = (userId, period, now) =>
+  `${userId}:${period}:${currentPeriod(period, now).id}`;
+
+/**
+ * Quotas applicables à un utilisateur : quotas par défaut, remplacés par
+ * ses quotas personnalisés
+ *
+ * @param {string} userId - Identifiant de l'utilisateur
+ * @returns {Promise<Object>} { daily, monthly } ({ validations, images, tokens })
+ */
+const getUserLimits = async (userId) => {
+  const overrides = await getQuotaStore().getLimits(userId);
+  return Object.fromEntries(
+    PERIODS.map((period) => [
+      period,
+      { ...quotaConfig.limits[period], ...overrides[period] },
+    ])
+  );
+};
+
+/**
+ * Consommation et quotas d'un utilisateur pour les périodes en cours
+ *
+ * @param {string} userId - Identifiant de l'utilisateur
+ * @param {number} [now] - Instant de référence (ms epoch)
+ * @returns {Promise<Object>} { userId, limits, overrides, usage }
+ *   usage : { daily, monthly }, chacun { validations, images, tokens, resetAt }
+ */
+const getQuotaStatus = async (userId, now = Date.now()) => {
+  const store = getQuotaStore();
+  const usage = {};
+  for (const period of PERIODS) {
+    usage[period] = {
+      ...(await store.get(counterKey(userId, period, now))),
+      resetAt: new Date(currentPeriod(period, now).resetAt).toISOString(),
+    };
+  }
+  return {
+    userId,
+    limits: await getUserLimits(userId),
+    overrides: await store.getLimits(userId),
+    usage,
+  };
+};
+
+/**
+ * Quota d'une période que la consommation annoncée dépasserait
+ * Les tokens, inconnus avant l'appel au modèle, sont refusés une fois le
+ * quota atteint.
+ *
+ * @param {Object} limits - Quotas de la période ({ validations, images, tokens })
+ * @param {Object} used - Consommation de la période, hors requête
+ * @param {Object} requested - Consommation annoncée ({ validations, images })
+ * @returns {Object|null} { metric, limit, used }, null si la requête passe
+ */
+const exceededMetric = (limits, used, requested) => {
+  for (const metric of METRICS) {
+    const limit = limits[metric];
+    if (
+      limit > 0 &&
+      used[metric] + Math.max(requested[metric] ?? 0, 1) > limit
+    ) {
+      return { metric, limit, used: used[metric] };
+    }
+  }
+  return null;
+};
+
+/**
+ * Vérifie qu'une requête reste dans les quotas d'un utilisateur, sans
+ * réserver sa consommation (voir reserveQuota)
+ *
+ * @param {string} userId - Identifiant de l'utilisateur
+ * @param {Object} requested - Consommation annoncée ({ validations, images })
+ * @param {number} [now] - Instant de référence (ms epoch)
+ * @returns {Promise<Object|null>} Quota dépassé ({ period, metric, limit, used, resetAt }), null sinon
+ */
+const checkQuota = async (userId, requested, now = Date.now()) => {
+  const status = await getQuotaStatus(userId, now);
+  for (const period of PERIODS) {
+    const exceeded = exceededMetric(
+      status.limits[period],
+      status.usage[period],
+      requested
+    );
+    if (exceeded) {
+      return { period, ...exceeded, resetAt: status.usage[period].resetAt };
+    }
+  }
+  return null;
+};
+
+const negate = (amounts) =>
+  Object.fromEntries(
+    Object.entries(amounts).map(([metric, value]) => [metric, -value])
+  );
+
+/**
+ * Réserve la consommation annoncée par une requête si elle reste dans les
+ * quotas de l'utilisateur
+ * Les compteurs sont incrémentés avant d'être comparés aux quotas : chaque
+ * incrément étant atomique dans le stockage, des requêtes concurrentes ne
+ * peuvent pas toutes passer sous la limite. Une requête refusée annule son
+ * incrément.
+ *
+ * @param {string} userId - Identifiant de l'utilisateur
+ * @param {Object} requested - Consommation annoncée ({ validations, images })
+ * @param {number} [now] - Instant de référence (ms epoch)
+ * @returns {Promise<Object>} { exceeded, reservation } : quota dépassé
+ *   ({ period, metric, limit, used, resetAt }) ou réservation à libérer si la
+ *   requête n'aboutit pas (voir releaseQuota)
+ */
+const reserveQuota = async (userId, requested, now = Date.now()) => {
+  const store = getQuotaStore();
+  const limits = await getUserLimits(userId);
+  const amounts = {
+    validations: requested.validations ?? 0,
+    images: requested.images ?? 0,
+  };
+  const reserved = [];
+
+  for (const period of PERIODS) {
+    const key = counterKey(userId, period, now);
+    const { resetAt } = currentPeriod(period, now);
+    const counters = await store.add(key, amounts, resetAt);
+    reserved.push([key, resetAt]);
+
+    // Consommation des autres requêtes, réservations concurrentes comprises
+    const used = Object.fromEntries(
+      METRICS.map((metric) => [
+        metric,
+        counters[metric] - (amounts[metric] ?? 0),
+      ])
+    );
+    const exceeded = exceededMetric(limits[period], used, requested);
+    if (exceeded) {
+      for (const [reservedKey, expiresAt] of reserved) {
+        await store.add(reservedKey, negate(amounts), expiresAt);
+      }
+      return {
+        exceeded: {
+          period,
+          ...exceeded,
+          resetAt: new Date(resetAt).toISOString(),
+        },
+        reservation: null,
+      };
+    }
+  }
+
+  return {
+    exceeded: null,
+    reservation: { userId, amounts, reservedAt: now },
+  };
+};
+
+/**
+ * Libère la consommation réservée par une requête qui n'a pas abouti
+ * (erreur serveur, champs manquants, file pleine...)
+ *
+ * @param {Object} [reservation] - Réservation (voir reserveQuota), ignorée si absente
+ */
+const releaseQuota = async (reservation) => {
+  if (!reservation) return;
+  await recordQuotaUsage(
+    reservation.userId,
+    negate(reservation.amounts),
+    reservation.reservedAt
+  );
+};
+
+/**
+ * Ajoute une consommation aux compteurs journalier et mensuel d'un utilisateur
+ *
+ * @param {string} userId - Identifiant de l'utilisateur
+ * @param {Object} amounts - { validations, images, tokens } à ajouter
+ * @param {number} [now] - Instant de référence (ms epoch)
+ */
+const recordQuotaUsage = async (userId, amounts, now = Date.now()) => {
+  const store = getQuotaStore();
+  for (const period of PERIODS) {
+    await store.add(
+      counterKey(userId, period, now),
+      amounts,
+      currentPeriod(period, now).resetAt
+    );
+  }
+};
+
+/**
+ * Modifie les quotas personnalisés d'un utilisateur
+ * Une valeur null rétablit le quota par défaut correspondant.
+ *
+ * @param {string} userId - Identifiant de l'utilisateur
+ * @param {Object} changes - { daily, monthly }, chacun { validations, images, tokens }
+ * @returns {Promise<Object>} Quotas personnalisés après modification
+ */
+const setUserQuota = async (userId, changes) => {
+  const store = getQuotaStore();
+  const overrides = await store.getLimits(userId);
+  for (const period of PERIODS) {
+    for (const [metric, value] of Object.entries(changes[period] ?? {})) {
+      if (value === null) {
+        delete overrides[period]?.[metric];
+      } else {
+        (overrides[period] ||= {})[metric] = value;
+      }
+    }
+    if (overrides[period] && Object.keys(overrides[period]).length === 0) {
+      delete overrides[period];
+    }
+  }
+  await store.setLimits(userId, overrides);
+  return overrides;
+};
+
+/**
+ * Décompte les tokens consommés par les utilisateurs à partir des
+ * événements de télémétrie usage
+ * Les validations et leurs images sont réservées dès la requête par le
+ * middleware des quotas (voir reserveQuota).
+ *
+ * @returns {Function} Arrêt du décompte
+ */
+const startQuotaAccounting = () => {
+  const record = (userId, amounts) =>
+    recordQuotaUsage(userId, amounts).catch(() => {
+      // Stockage indisponible : la consommation n'est pas décomptée
+    });
+
+  const unsubscribers = [
+    onEvent(EVENTS.USAGE, ({ userId, promptTokens, completionTokens }) => {
+      if (!userId) return;
+      record(userId, { tokens: promptTokens + completionTokens });
+    }),
+  ];
+  return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+};
+
+module.exports = {
+  PERIODS,
+  METRICS,
+  createQuotaStore,
+  getQuotaStore,
+  setQuotaStore,
+  getQuotaStatus,
+  checkQuota,
+  reserveQuota,
+  releaseQuota,
+  recordQuotaUsage,
+  setUserQuota,
+  startQuotaAccounting,
+};
@@ -0,0 +1,80 @@
+const emptyCounters = () => ({ validations: 0, images: 0, tokens: 0 });
+
+/**
+ * Stockage des quotas en mémoire
+ * Conserve les compteurs de consommation par période (supprimés à leur
+ * expiration) et les quotas personnalisés par utilisateur. Les méthodes sont
+ * asynchrones pour rester interchangeables avec un stockage partagé entre
+ * instances (Redis...).
+ *
+ * @returns {Object} Stockage exposant add(), get(), getLimits() et setLimits()
+ */
+const createMemoryQuotaStore = () => {
+  const counters = new Map();
+  const limits = new Map();
+  let lastPurge = 0;
+
+  // Suppression des compteurs des périodes terminées
+  const purge = (now) => {
+    if (now - lastPurge < 60 * 1000) return;
+    lastPurge = now;
+    for (const [key, entry] of counters) {
+      if (entry.expiresAt <= now) counters.delete(key);
+    }
+  };
+
+  return {
+    /**
+     * Ajoute une consommation aux compteurs d'une période
+     *
+     * @param {string} key - Clé de la période (utilisateur et période)
+     * @param {Object} amounts - { validations, images, tokens } à ajouter
+     * @param {number} expiresAt - Fin de la période (ms epoch)
+     * @returns {Promise<Object>} Compteurs mis à jour
+     */
+    add: async (key, amounts, expiresAt) => {
+      const now = Date.now();
+      purge(now);
+
+      const entry = counters.get(key);
+      const current =
+        entry && entry.expiresAt > now ? entry.counters : emptyCounters();
+      for (const [metric, value] of Object.entries(amounts)) {
+        if (metric in current) current[metric] += value;
+      }
+      counters.set(key, { counters: current, expiresAt });
+      return { ...current };
+    },
+
+    /**
+     * @param {string} key - Clé de la période
+     * @returns {Promise<Object>} Compteurs { validations, images, tokens }
+     */
+    get: async (key) => {
+      const entry = counters.get(key);
+      return entry && entry.expiresAt > Date.now()
+        ? { ...entry.counters }
+        : emptyCounters();
+    },
+
+    /**
+     * @param {string} userId - Identifiant de l'utilisateur
+     * @returns {Promise<Object>} Quotas personnalisés ({ daily, monthly }), {} sinon
+     */
+    getLimits: async (userId) => structuredClone(limits.get(userId) ?? {}),
+
+    /**
+     * @param {string} userId - Identifiant de l'utilisateur
+     * @param {Object} value - Quotas personnalisés ({ daily, monthly }), {} pour les supprimer
+     */
+    setLimits: async (userId, value) => {
+      if (Object.keys(value).length === 0) {
+        limits.delete(userId);
+      } else {
+        limits.set(userId, structuredClone(value));
+      }
+    },
+  };
+};
+
+module.exports = createMemoryQuotaStore;
@@ -0,0 +1,49 @@
+const rateLimitConfig = require('../../config/rate-limit');
+const createMemoryRateLimitStore = require('./memory.store');
+
+// Stockages disponibles, indexés par la valeur de RATE_LIMIT_STORE
+const stores = {
+  memory: createMemoryRateLimitStore,
+};
+
+let current;
+
+/**
+ * Crée un stockage de compteurs à partir d'une configuration
+ * Tous les stockages exposent la même interface asynchrone :
+ * consume(key, { limit, windowMs }) => { allowed, remaining, resetAt }, reset(key)
+ *
+ * @param {Object} config - Configuration (voir config/rate-limit.js)
+ * @returns {Object} Stockage de compteurs
+ * @throws {Error} Si le stockage demandé est inconnu
+ */
+const createRateLimitStore = (config) => {
+  const factory = stores[config.store];
+  if (!factory) {
+    throw new Error(`Stockage de limitation inconnu : ${config.store}`);
+  }
+  return factory(config);
+};
+
+/**
+ * Renvoie le stockage de compteurs configuré, créé au premier appel
+ *
+ * @returns {Object} Stockage de compteurs
+ */
+const getRateLimitStore = () => {
+  if (!current) {
+    current = createRateLimitStore(rateLimitConfig);
+  }
+  return current;
+};
+
+/**
+ * Remplace le stockage de compteurs courant (tests, stockage partagé)
+ *
+ * @param {Object} store - Stockage à utiliser
+ */
+const setRateLimitStore = (store) => {
+  current = store;
+};
+
+module.exports = { createRateLimitStore, getRateLimitStore, setRateLimitStore };
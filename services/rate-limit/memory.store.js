@@ -0,0 +1,65 @@
+/**
+ * Stockage des compteurs de requêtes en mémoire (fenêtre glissante)
+ * Chaque clé conserve l'horodatage de ses requêtes acceptées dans la fenêtre ;
+ * les clés inactives sont purgées. Les méthodes sont asynchrones pour rester
+ * interchangeables avec un stockage partagé entre instances (Redis...).
+ *
+ * @returns {Object} Stockage exposant consume() et reset()
+ */
+const createMemoryRateLimitStore = () => {
+  const hits = new Map();
+  let lastPurge = 0;
+
+  // Suppression des clés dont toutes les requêtes sont sorties de leur fenêtre
+  const purge = (now) => {
+    if (now - lastPurge < 60 * 1000) return;
+    lastPurge = now;
+    for (const [key, entry] of hits) {
+      if (entry.timestamps.at(-1) <= now - entry.windowMs) {
+        hits.delete(key);
+      }
+    }
+  };
+
+  return {
+    /**
+     * Comptabilise une requête pour une clé si la limite le permet
+     *
+     * @param {string} key - Clé de limitation (utilisateur, IP...)
+     * @param {Object} rule - Règle de limitation
+     * @param {number} rule.limit - Nombre maximal de requêtes dans la fenêtre
+     * @param {number} rule.windowMs - Durée de la fenêtre en millisecondes
+     * @returns {Promise<Object>} { allowed, remaining, resetAt } (resetAt en ms epoch)
+     */
+    consume: async (key, { limit, windowMs }) => {
+      const now = Date.now();
+      purge(now);
+
+      const entry = hits.get(key) || { timestamps: [], windowMs };
+      entry.windowMs = windowMs;
+      entry.timestamps = entry.timestamps.filter((t) => t > now - windowMs);
+
+      const allowed = entry.timestamps.length < limit;
+      if (allowed) {
+        entry.timestamps.push(now);
+      }
+      if (entry.timestamps.length > 0) {
+        hits.set(key, entry);
+      }
+
+      // Une place se libère quand la plus ancienne requête sort de la fenêtre
+      const oldest = entry.timestamps[0] ?? now;
+      return {
+        allowed,
+        remaining: Math.max(0, limit - entry.timestamps.length),
+        resetAt: oldest + windowMs,
+      };
+    },
+
+    reset: async (key) => {
+      hits.delete(key);
+    },
+  };
+};
+
+module.exports = createMemoryRateLimitStore;
@@ -0,0 +1,53 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Contexte de la requête en cours, propagé à travers les appels asynchrones
+const storage = new AsyncLocalStorage();
+
+/**
+ * Exécute une fonction dans le contexte d'une requête
+ * Tous les appels asynchrones lancés depuis fn (logs, fetch, jobs...)
+ * retrouvent l'identifiant via getRequestId().
+ *
+ * @param {string} requestId - Identifiant de corrélation de la requête
+ * @param {Function} fn - Fonction à exécuter
+ * @returns {*} Valeur renvoyée par fn
+ */
+const runWithRequestId = (requestId, fn) => storage.run({ requestId }, fn);
+
+/**
+ * @returns {string|undefined} Identifiant de la requête en cours, s'il existe
+ */
+const getRequestId = () => storage.getStore()?.requestId;
+
+/**
+ * Associe le microservice appelant (authentifié) à la requête en cours
+ *
+ * @param {string} serviceId - Identifiant du service (X-Service-Id)
+ */
+const setServiceId = (serviceId) => {
+  const store = storage.getStore();
+  if (store) store.serviceId = serviceId;
+};
+
+/**
+ * @returns {string|undefined} Microservice appelant la requête en cours, s'il est authentifié
+ */
+const getServiceId = () => storage.getStore()?.serviceId;
+
+/**
+ * En-tête à transmettre aux microservices appelés pendant la requête
+ *
+ * @returns {Object} { 'X-Request-Id': id }, ou {} hors d'une requête
+ */
+const requestIdHeader = () => {
+  const requestId = getRequestId();
+  return requestId ? { 'X-Request-Id': requestId } : {};
+};
+
+module.exports = {
+  runWithRequestId,
+  getRequestId,
+  setServiceId,
+  getServiceId,
+  requestIdHeader,
+};
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const serviceAuthConfig = require('../../config/service-auth');
+const AuthError = require('../../errors/auth.error');
+const createMemoryNonceStore = require('./memory.store');
+
+// Stockages disponibles, indexés par la valeur de SERVICE_AUTH_NONCE_STORE
+const stores = {
+  memory: createMemoryNonceStore,
+};
+
+// Nonce aléatoire choisi par l'appelant (uuid, base64url...)
+const NONCE_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+let current;
+
+/**
+ * Crée un stockage de nonces à partir d'une configuration
+ * Tous les stockages exposent la même interface asynchrone :
+ * claim(key, ttlMs) => true si le nonce est nouveau
+ *
+ * @param {Object} config - Configuration (voir config/service-auth.js)
+ * @returns {Object} Stockage de nonces
+ * @throws {Error} Si le stockage demandé est inconnu
+ */
+const createNonceStore = (config) => {
+  const factory = stores[config.nonceStore];
+  if (!factory) {
+    throw new Error(`Stockage de nonces inconnu : ${config.nonceStore}`);
+  }
+  return factory(config);
+};
+
+/**
+ * Renvoie le stockage de nonces configuré, créé au premier appel
+ *
+ * @returns {Object} Stockage de nonces
+ */
+const getNonceStore = () => {
+  if (!current) {
+    current = createNonceStore(serviceAuthConfig);
+  }
+  return current;
+};
+
+/**
+ * Remplace le stockage de nonces courant (tests, stockage partagé)
+ *
+ * @param {Object} store - Stockage à utiliser
+ */
+const setNonceStore = (store) => {
+  current = store;
+};
+
+/**
+ * Signature HMAC-SHA256 (hexadécimal) d'une requête de service
+ * Porte sur l'horodatage, le nonce, la méthode, le chemin (query string
+ * comprise) et le body brut, séparés par des retours à la ligne.
+ *
+ * @param {Object} request - Éléments signés
+ * @param {string} request.secret - Secret du service appelant
+ * @param {string} request.timestamp - Horodatage Unix en secondes (X-Timestamp)
+ * @param {string} request.nonce - Nonce à usage unique (X-Nonce)
+ * @param {string} request.method - Méthode HTTP
+ * @param {string} request.path - Chemin de la requête (/api/validate/validateData)
+ * @param {Buffer|string} [request.body] - Body brut
+ * @returns {string} Signature à placer dans X-Signature
+ */
+const signRequest = ({ secret, timestamp, nonce, method, path, body = '' }) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}\n${nonce}\n${method.toUpperCase()}\n${path}\n`)
+    .update(body)
+    .digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Authentifie une requête signée par un microservice
+ * Vérifie l'identité (X-Service-Id), la fraîcheur (X-Timestamp), la signature
+ * (X-Signature) puis l'unicité du nonce (X-Nonce) : une requête rejouée est
+ * refusée même si elle est encore dans la fenêtre de validité.
+ *
+ * @param {Object} request - Requête à authentifier
+ * @param {Function} request.get - Lecture d'un en-tête (req.get d'Express)
+ * @param {string} request.method - Méthode HTTP
+ * @param {string} request.path - Chemin de la requête (req.originalUrl)
+ * @param {Buffer} [request.rawBody] - Body brut reçu
+ * @param {Object} [config] - Configuration (voir config/service-auth.js)
+ * @returns {Promise<Object>} Service appelant { id, scopes }
+ * @throws {AuthError} SERVICE_AUTH_MISSING, SERVICE_UNKNOWN, SIGNATURE_EXPIRED,
+ *   SIGNATURE_INVALID ou NONCE_REPLAYED
+ */
+const verifyServiceRequest = async (
+  { get, method, path, rawBody },
+  config = serviceAuthConfig
+) => {
+  const serviceId = get('X-Service-Id');
+  const timestamp = get('X-Timestamp');
+  const nonce = get('X-Nonce');
+  const signature = get('X-Signature');
+  if (
+    !serviceId ||
+    !/^\d+$/.test(timestamp ?? '') ||
+    !NONCE_PATTERN.test(nonce ?? '') ||
+    !signature
+  ) {
+    throw new AuthError(
+      "En-têtes d'authentification de service manquants ou invalides.",
+      'SERVICE_AUTH_MISSING'
+    );
+  }
+
+  const credential = Object.hasOwn(config.credentials, serviceId)
+    ? config.credentials[serviceId]
+    : undefined;
+  if (!credential?.secret) {
+    throw new AuthError(`Service inconnu : ${serviceId}.`, 'SERVICE_UNKNOWN');
+  }
+
+  const maxSkewMs = config.maxSkew * 1000;
+  if (Math.abs(Date.now() - Number(timestamp) * 1000) > maxSkewMs) {
+    throw new AuthError(
+      "Signature expirée : vérifiez X-Timestamp et l'horloge du service.",
+      'SIGNATURE_EXPIRED'
+    );
+  }
+
+  const expected = signRequest({
+    secret: credential.secret,
+    timestamp,
+    nonce,
+    method,
+    path,
+    body: rawBody,
+  });
+  if (!safeEqual(signature.toLowerCase(), expected)) {
+    throw new AuthError('Signature invalide.', 'SIGNATURE_INVALID');
+  }
+
+  // Nonce conservé au-delà de la fenêtre de validité de l'horodatage
+  const fresh = await getNonceStore().claim(
+    `${serviceId}:${nonce}`,
+    2 * maxSkewMs
+  );
+  if (!fresh) {
+    throw new AuthError(
+      'Requête déjà reçue (nonce réutilisé).',
+      'NONCE_REPLAYED'
+    );
+  }
+
+  return { id: serviceId, scopes: credential.scopes ?? [] };
+};
+
+module.exports = {
+  createNonceStore,
+  getNonceStore,
+  setNonceStore,
+  signRequest,
+  verifyServiceRequest,
+};
@@ -0,0 +1,42 @@
+/**
+ * Stockage des nonces en mémoire
+ * Chaque nonce est conservé jusqu'à son expiration ; les nonces expirés sont
+ * purgés. Les méthodes sont asynchrones pour rester interchangeables avec un
+ * stockage partagé entre instances (Redis...).
+ *
+ * @returns {Object} Stockage exposant claim()
+ */
+const createMemoryNonceStore = () => {
+  const nonces = new Map();
+  let lastPurge = 0;
+
+  // Suppression des nonces expirés
+  const purge = (now) => {
+    if (now - lastPurge < 60 * 1000) return;
+    lastPurge = now;
+    for (const [key, expiresAt] of nonces) {
+      if (expiresAt <= now) nonces.delete(key);
+    }
+  };
+
+  return {
+    /**
+     * Enregistre un nonce s'il n'a pas déjà été utilisé
+     *
+     * @param {string} key - Nonce (préfixé par l'identifiant du service)
+     * @param {number} ttlMs - Durée de conservation en millisecondes
+     * @returns {Promise<boolean>} true si le nonce est nouveau
+     */
+    claim: async (key, ttlMs) => {
+      const now = Date.now();
+      purge(now);
+
+      const expiresAt = nonces.get(key);
+      if (expiresAt !== undefined && expiresAt > now) return false;
+      nonces.set(key, now + ttlMs);
+      return true;
+    },
+  };
+};
+
+module.exports = createMemoryNonceStore;
@@ -0,0 +1,146 @@
+const Ajv = require('ajv');
+const aiConfig = require('../config/ai');
+const { getProvider } = require('../providers');
+const { EVENTS, recordEvent, timeDependency } = require('./telemetry');
+const { computeCost } = require('./usage');
+const ModelOutputError = require('../errors/model-output.error');
+
+const ajv = new Ajv({ allErrors: true });
+
+// Validateurs compilés, indexés par objet schéma
+const validators = new WeakMap();
+
+/**
+ * Compile un schéma (une seule fois par objet schéma)
+ * Le schéma est retiré du cache interne d'ajv : les schémas construits pour
+ * une seule requête ne s'y accumulent pas.
+ *
+ * @param {Object} schema - Schéma JSON
+ * @returns {Function} Fonction de validation ajv
+ */
+const getValidator = (schema) => {
+  let validate = validators.get(schema);
+  if (!validate) {
+    validate = ajv.compile(schema);
+    ajv.removeSchema(schema);
+    validators.set(schema, validate);
+  }
+  return validate;
+};
+
+/**
+ * Parse strictement la réponse du modèle : le contenu doit être un unique
+ * document JSON, sans texte autour ni bloc de code markdown
+ *
+ * @param {string} content - Réponse brute du modèle
+ * @returns {Object} { data } si le parsing réussit, { errors } sinon
+ */
+const parseStrict = (content) => {
+  try {
+    return { data: JSON.parse((content || '').trim()) };
+  } catch (err) {
+    return { errors: [`JSON invalide : ${err.message}`] };
+  }
+};
+
+/**
+ * Formate les erreurs ajv en messages lisibles par le modèle
+ *
+ * @param {Array} errors - Erreurs produites par ajv
+ * @returns {Array<string>} Messages d'erreur
+ */
+const formatErrors = (errors) =>
+  errors.map((error) => `${error.instancePath || '/'} ${error.message}`);
+
+/**
+ * Construit le message de correction renvoyé au modèle après une réponse invalide
+ *
+ * @param {Array<string>} errors - Erreurs de la réponse précédente
+ * @param {Object} schema - Schéma JSON attendu
+ * @returns {Object} Message utilisateur de correction
+ */
+const repairMessage = (errors, schema) => ({
+  role: 'user',
+  content: `Ta réponse précédente est invalide :
+${errors.map((error) => `- ${error}`).join('\n')}
+
+Réponds uniquement avec un objet JSON valide, sans texte supplémentaire ni bloc de code, conforme à ce schéma JSON :
+${JSON.stringify(schema)}`,
+});
+
+/**
+ * Appelle le modèle et valide sa réponse contre un schéma JSON
+ * Une réponse non conforme déclenche une relance corrective bornée :
+ * la réponse fautive et les erreurs sont renvoyées au modèle.
+ * Le schéma est aussi transmis au fournisseur (request.schema).
+ *
+ * @param {Object} request - Requête de complétion (voir providers/index.js)
+ * @param {Object} request.schema - Schéma JSON que la réponse doit respecter
+ * @param {number} [request.maxRepairs] - Nombre maximal de relances correctives
+ * @param {Object} [request.provider] - Fournisseur à utiliser (fournisseur configuré par défaut)
+ * @param {Object} [request.context] - Attribution des tokens consommés (endpoint, userId, serviceId),
+ *   ajoutée aux événements usage
+ * @returns {Promise<Object>} { data, completion, attempts }
+ * @throws {ModelOutputError} Si aucune réponse conforme n'est obtenue
+ */
+const completeStructured = async ({
+  schema,
+  maxRepairs = aiConfig.repairAttempts,
+  provider = getProvider(),
+  messages,
+  context = {},
+  ...request
+}) => {
+  const validate = getValidator(schema);
+  const conversation = [...messages];
+  let completion;
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt++) {
+    if (attempt > 1) {
+      conversation.push(
+        { role: 'assistant', content: completion.content },
+        repairMessage(errors, schema)
+      );
+    }
+
+    // Chaque appel au modèle (relances comprises) est mesuré
+    completion = await timeDependency('model', request.task, () =>
+      provider.complete({
+        ...request,
+        schema,
+        messages: conversation,
+      })
+    );
+    const usage = {
+      model: completion.model ?? provider.model,
+      promptTokens: completion.usage?.promptTokens ?? 0,
+      completionTokens: completion.usage?.completionTokens ?? 0,
+    };
+    recordEvent(EVENTS.USAGE, {
+      ...usage,
+      task: request.task,
+      endpoint: context.endpoint,
+      userId: context.userId,
+      serviceId: context.serviceId,
+      cost: computeCost(usage),
+    });
+
+    const parsed = parseStrict(completion.content);
+    if (parsed.errors) {
+      errors = parsed.errors;
+    } else if (!validate(parsed.data)) {
+      errors = formatErrors(validate.errors);
+    } else {
+      return { data: parsed.data, completion, attempts: attempt };
+    }
+  }
+
+  throw new ModelOutputError('Réponse du modèle non conforme au schéma', {
+    errors,
+    raw: completion.content,
+    attempts: maxRepairs + 1,
+  });
+};
+
+module.exports = { completeStructured };
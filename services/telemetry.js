@@ -0,0 +1,96 @@
+const EventEmitter = require('events');
+const logger = require('../config/logger');
+
+// Message des événements structurés dans metrics.log
+const TELEMETRY_MESSAGE = 'telemetry';
+
+/**
+ * Types d'événements émis, agrégés par GET /api/metrics/summary
+ * - http : requête traitée (method, endpoint, status, durationMs)
+ * - validation : issue d'une validation (endpoint, outcome, reason, acceptabilityScore)
+ * - dependency : appel à un service externe (dependency, operation, durationMs, success)
+ * - usage : tokens consommés par un appel au modèle (model, task, endpoint, userId,
+ *   promptTokens, completionTokens, cost), agrégés par GET /api/metrics/usage
+ */
+const EVENTS = {
+  HTTP: 'http',
+  VALIDATION: 'validation',
+  DEPENDENCY: 'dependency',
+  USAGE: 'usage',
+};
+
+// Abonnés en mémoire aux événements (métriques Prometheus...)
+const emitter = new EventEmitter();
+
+/**
+ * Émet un événement structuré via le logger (fichier metrics.log) et le
+ * transmet aux abonnés. Une erreur de journalisation ou d'un abonné ne doit
+ * jamais interrompre une requête.
+ *
+ * @param {string} event - Type d'événement (voir EVENTS)
+ * @param {Object} data - Champs de l'événement
+ */
+const recordEvent = (event, data) => {
+  try {
+    logger.info(TELEMETRY_MESSAGE, { event, ...data });
+  } catch (err) {
+    // Journalisation impossible : l'événement est perdu
+  }
+  try {
+    emitter.emit(event, data);
+  } catch (err) {
+    // Abonné en erreur : les autres traitements continuent
+  }
+};
+
+/**
+ * Abonne une fonction à un type d'événement
+ *
+ * @param {string} event - Type d'événement (voir EVENTS)
+ * @param {Function} listener - Reçoit les champs de l'événement
+ * @returns {Function} Désabonnement
+ */
+const onEvent = (event, listener) => {
+  emitter.on(event, listener);
+  return () => emitter.off(event, listener);
+};
+
+/**
+ * Mesure la durée d'un appel à un service externe et émet un événement
+ * dependency, que l'appel réussisse ou non
+ *
+ * @param {string} dependency - Service appelé (model, cloudinary, bdd)
+ * @param {string} operation - Opération effectuée (tâche, upload, createPost...)
+ * @param {Function} fn - Appel à mesurer, renvoyant une promesse
+ * @param {Function} [isSuccess] - Indique si le résultat est un succès (réponse HTTP ok...)
+ * @returns {Promise<*>} Résultat de l'appel
+ */
+const timeDependency = async (
+  dependency,
+  operation,
+  fn,
+  isSuccess = () => true
+) => {
+  const start = process.hrtime.bigint();
+  let success = false;
+  try {
+    const result = await fn();
+    success = Boolean(isSuccess(result));
+    return result;
+  } finally {
+    recordEvent(EVENTS.DEPENDENCY, {
+      dependency,
+      operation,
+      durationMs: Number(process.hrtime.bigint() - start) / 1e6,
+      success,
+    });
+  }
+};
+
+module.exports = {
+  TELEMETRY_MESSAGE,
+  EVENTS,
+  recordEvent,
+  onEvent,
+  timeDependency,
+};
@@ -0,0 +1,197 @@
+const pricingConfig = require('../config/pricing');
+const { parseDate, readLogSegments } = require('./log-reader');
+const { TELEMETRY_MESSAGE, EVENTS } = require('./telemetry');
+const InvalidQueryError = require('../errors/invalid-query.error');
+
+const DAY = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE = 30 * DAY;
+const GROUP_BY = ['day', 'user', 'endpoint', 'service'];
+
+// Clé des appels sans utilisateur ou endpoint connu
+const UNKNOWN = 'unknown';
+
+/**
+ * Tarif d'un modèle : tarif exact, sinon celui du préfixe le plus long
+ * (gpt-4o-2024-08-06 utilise le tarif de gpt-4o)
+ *
+ * @param {string} model - Nom du modèle
+ * @param {Object} prices - Tarifs par modèle (voir config/pricing.js)
+ * @returns {Object|undefined} { prompt, completion } par million de tokens
+ */
+const priceFor = (model, prices) => {
+  if (!model) return undefined;
+  if (prices[model]) return prices[model];
+  const prefix = Object.keys(prices)
+    .filter((name) => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return prefix && prices[prefix];
+};
+
+/**
+ * Coût d'un appel au modèle d'après la table des tarifs
+ *
+ * @param {Object} usage - { model, promptTokens, completionTokens }
+ * @param {Object} [pricing] - Tarifs (voir config/pricing.js)
+ * @returns {number|null} Coût dans la devise des tarifs, null si le modèle n'a pas de tarif
+ */
+const computeCost = (
+  { model, promptTokens = 0, completionTokens = 0 },
+  pricing = pricingConfig
+) => {
+  const price = priceFor(model, pricing.models);
+  if (!price) return null;
+  const cost =
+    (promptTokens * (price.prompt ?? 0) +
+      completionTokens * (price.completion ?? 0)) /
+    1e6;
+  return Math.round(cost * 1e6) / 1e6;
+};
+
+/**
+ * Valide les paramètres de GET /api/metrics/usage
+ * - from / to : intervalle de temps (30 derniers jours par défaut)
+ * - groupBy : day (défaut), user, endpoint ou service
+ *
+ * @param {Object} [query] - req.query
+ * @returns {Object} { from, to, groupBy }
+ * @throws {InvalidQueryError} Si un paramètre est invalide
+ */
+const parseUsageQuery = (query = {}) => {
+  const to = parseDate(query.to, 'to') ?? Date.now();
+  const from = parseDate(query.from, 'from') ?? to - DEFAULT_RANGE;
+  if (from >= to) {
+    throw new InvalidQueryError('"from" doit précéder "to".', 'from');
+  }
+
+  const groupBy = query.groupBy === undefined ? 'day' : String(query.groupBy);
+  if (!GROUP_BY.includes(groupBy)) {
+    throw new InvalidQueryError(
+      `"groupBy" doit valoir ${GROUP_BY.join(', ')}.`,
+      'groupBy'
+    );
+  }
+  return { from, to, groupBy };
+};
+
+// Jour local de l'événement, comme le découpage des fichiers de logs
+const dayOf = (time) => {
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+const groupKey = (entry, time, groupBy) => {
+  if (groupBy === 'day') return dayOf(time);
+  const value = {
+    user: entry.userId,
+    endpoint: entry.endpoint,
+    service: entry.serviceId,
+  }[groupBy];
+  return value === undefined || value === null ? UNKNOWN : String(value);
+};
+
+const createTotals = () => ({
+  calls: 0,
+  promptTokens: 0,
+  completionTokens: 0,
+  totalTokens: 0,
+  cost: 0,
+  unpricedCalls: 0,
+});
+
+/**
+ * Ajoute un événement usage à des totaux
+ * Le coût enregistré avec l'événement prime ; à défaut (événements
+ * antérieurs à la tarification), il est calculé avec les tarifs courants.
+ *
+ * @param {Object} totals - Totaux (voir createTotals)
+ * @param {Object} entry - Événement usage parsé depuis metrics.log
+ * @param {Object} pricing - Tarifs (voir config/pricing.js)
+ */
+const accumulate = (totals, entry, pricing) => {
+  const promptTokens = Number(entry.promptTokens) || 0;
+  const completionTokens = Number(entry.completionTokens) || 0;
+  const cost =
+    typeof entry.cost === 'number'
+      ? entry.cost
+      : computeCost(
+          { model: entry.model, promptTokens, completionTokens },
+          pricing
+        );
+
+  totals.calls += 1;
+  totals.promptTokens += promptTokens;
+  totals.completionTokens += completionTokens;
+  totals.totalTokens += promptTokens + completionTokens;
+  if (cost === null) {
+    totals.unpricedCalls += 1;
+  } else {
+    totals.cost += cost;
+  }
+};
+
+const roundCost = (totals) => ({
+  ...totals,
+  cost: Math.round(totals.cost * 1e6) / 1e6,
+});
+
+/**
+ * Agrège les tokens consommés et leur coût à partir des événements usage
+ * d'un log, regroupés par jour, utilisateur ou endpoint
+ *
+ * @param {string} dir - Répertoire des logs
+ * @param {string} name - Nom du log contenant la télémétrie (metrics)
+ * @param {Object} options - Options (voir parseUsageQuery)
+ * @param {number} options.from - Début en millisecondes
+ * @param {number} options.to - Fin en millisecondes
+ * @param {string} options.groupBy - day, user ou endpoint
+ * @param {Object} [pricing] - Tarifs (voir config/pricing.js)
+ * @returns {Promise<Object>} { from, to, groupBy, currency, total, groups, skipped }
+ * @throws {Error} Si un segment ne peut pas être lu
+ */
+const summarizeUsage = async (
+  dir,
+  name,
+  { from, to, groupBy },
+  pricing = pricingConfig
+) => {
+  const total = createTotals();
+  const groups = {};
+  let skipped = 0;
+
+  for await (const { entry } of readLogSegments(dir, name, { from, to })) {
+    if (!entry) {
+      skipped += 1;
+      continue;
+    }
+    if (entry.message !== TELEMETRY_MESSAGE || entry.event !== EVENTS.USAGE) {
+      continue;
+    }
+
+    const time = Date.parse(entry.timestamp);
+    if (Number.isNaN(time) || time < from || time >= to) continue;
+
+    accumulate(total, entry, pricing);
+    accumulate(
+      (groups[groupKey(entry, time, groupBy)] ||= createTotals()),
+      entry,
+      pricing
+    );
+  }
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    groupBy,
+    currency: pricing.currency,
+    total: roundCost(total),
+    groups: Object.fromEntries(
+      Object.keys(groups)
+        .sort()
+        .map((key) => [key, roundCost(groups[key])])
+    ),
+    skipped,
+  };
+};
+
+module.exports = { computeCost, parseUsageQuery, summarizeUsage };
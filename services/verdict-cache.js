@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const verdictCacheConfig = require('../config/verdict-cache');
+const canonicalJson = require('../utils/canonical-json');
+
+/**
+ * Calcule la clé de cache d'un body : empreinte SHA-256 de sa forme
+ * canonique, préfixée par la version de la politique de validation.
+ * Un changement de prompt ou de modèle produit donc de nouvelles clés.
+ *
+ * @param {string} version - Version de la politique (voir policyVersion)
+ * @param {*} body - Body validé
+ * @returns {string} Clé de cache
+ */
+const verdictCacheKey = (version, body) =>
+  crypto
+    .createHash('sha256')
+    .update(`${version}\n${canonicalJson(body)}`)
+    .digest('hex');
+
+/**
+ * Calcule une version courte à partir des éléments qui déterminent un verdict
+ * (instructions, schéma de réponse, modèle...)
+ *
+ * @param {...*} parts - Éléments de la politique
+ * @returns {string} Version (12 caractères hexadécimaux)
+ */
+const policyVersion = (...parts) =>
+  crypto
+    .createHash('sha256')
+    .update(parts.map((part) => canonicalJson(part)).join('\n'))
+    .digest('hex')
+    .slice(0, 12);
+
+/**
+ * Cache des verdicts en mémoire, borné en durée et en nombre d'entrées
+ * Les entrées les moins récemment lues sont évincées en premier (LRU).
+ * Les méthodes sont asynchrones pour rester interchangeables avec un cache
+ * partagé entre instances.
+ *
+ * @param {Object} [options] - Options du cache
+ * @param {number} [options.ttl] - Durée de validité d'un verdict en millisecondes (0 désactive le cache)
+ * @param {number} [options.maxEntries] - Nombre maximal de verdicts conservés
+ * @returns {Object} Cache exposant get(), set(), clear() et size()
+ */
+const createVerdictCache = ({
+  ttl = 24 * 60 * 60 * 1000,
+  maxEntries = 10000,
+} = {}) => {
+  // L'ordre d'insertion de la Map sert d'ordre LRU
+  const entries = new Map();
+
+  return {
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+      }
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    set: async (key, value) => {
+      if (ttl <= 0) return;
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttl });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+
+    clear: async () => {
+      const count = entries.size;
+      entries.clear();
+      return count;
+    },
+
+    size: async () => entries.size,
+  };
+};
+
+let current;
+
+/**
+ * Renvoie le cache des verdicts configuré, créé au premier appel
+ *
+ * @returns {Object} Cache des verdicts
+ */
+const getVerdictCache = () => {
+  if (!current) {
+    current = createVerdictCache(verdictCacheConfig);
+  }
+  return current;
+};
+
+/**
+ * Remplace le cache des verdicts courant (tests, cache partagé)
+ *
+ * @param {Object} cache - Cache à utiliser
+ */
+const setVerdictCache = (cache) => {
+  current = cache;
+};
+
+module.exports = {
+  verdictCacheKey,
+  policyVersion,
+  createVerdictCache,
+  getVerdictCache,
+  setVerdictCache,
+};
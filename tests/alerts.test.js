@@ -0,0 +1,253 @@
+const nodemailer = require('nodemailer');
+const { buildChannels, createAlertDispatcher } = require('../alerts');
+const { renderTemplate } = require('../alerts/templates');
+const createDiscordChannel = require('../alerts/channels/discord.channel');
+const createWebhookChannel = require('../alerts/channels/webhook.channel');
+const createEmailChannel = require('../alerts/channels/email.channel');
+const logger = require('../config/logger');
+
+jest.mock('nodemailer');
+jest.mock('../config/logger');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+global.fetch = jest.fn();
+
+describe('Alertes', () => {
+  let now;
+
+  const event = {
+    type: 'monitor.down',
+    severity: 'critical',
+    title: 'bdd indisponible',
+    message: 'La cible bdd ne répond plus : ECONNREFUSED',
+    source: 'monitor',
+    details: { target: 'bdd' },
+    at: '2025-01-01T10:00:00.000Z',
+  };
+
+  // Canal en mémoire : enregistre les alertes mises en forme
+  const memoryChannel = (name) => {
+    const sent = [];
+    return { name, sent, send: jest.fn(async (alert) => sent.push(alert)) };
+  };
+
+  const route = (channel, options = {}) => ({
+    channel,
+    minSeverity: 'info',
+    dedupWindowMs: 60 * 1000,
+    rateLimit: { limit: 10, windowMs: 60 * 60 * 1000 },
+    template: { title: '{{title}}', message: '{{message}}' },
+    ...options,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = Date.parse('2025-01-01T10:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('renderTemplate', () => {
+    it("remplace les champs de l'événement", () => {
+      expect(
+        renderTemplate('[{{severity}}] {{ details.target }} {{absent}}', event)
+      ).toBe('[critical] bdd ');
+    });
+  });
+
+  describe('createAlertDispatcher', () => {
+    it('route les alertes selon la gravité minimale de chaque canal', async () => {
+      const chat = memoryChannel('discord');
+      const mail = memoryChannel('email');
+      const dispatcher = createAlertDispatcher({
+        channels: [
+          route(chat, { minSeverity: 'warning' }),
+          route(mail, { minSeverity: 'critical' }),
+        ],
+      });
+
+      const results = await dispatcher.notify({
+        ...event,
+        severity: 'warning',
+      });
+
+      expect(results).toEqual([
+        { channel: 'discord', status: 'sent' },
+        { channel: 'email', status: 'filtered' },
+      ]);
+    });
+
+    it('met en forme les alertes avec le gabarit du canal', async () => {
+      const mail = memoryChannel('email');
+      const dispatcher = createAlertDispatcher({
+        channels: [
+          route(mail, {
+            template: {
+              title: '[{{severity}}] {{title}}',
+              message: '{{message}} ({{source}})',
+            },
+          }),
+        ],
+      });
+
+      await dispatcher.notify(event);
+
+      expect(mail.sent[0]).toMatchObject({
+        title: '[critical] bdd indisponible',
+        message: 'La cible bdd ne répond plus : ECONNREFUSED (monitor)',
+      });
+    });
+
+    it('déduplique les alertes identiques dans la fenêtre', async () => {
+      const chat = memoryChannel('discord');
+      const dispatcher = createAlertDispatcher({ channels: [route(chat)] });
+
+      await dispatcher.notify(event);
+      now += 30 * 1000;
+      expect(await dispatcher.notify(event)).toEqual([
+        { channel: 'discord', status: 'duplicate' },
+      ]);
+      expect(
+        await dispatcher.notify({ ...event, title: 'cloudinary indisponible' })
+      ).toEqual([{ channel: 'discord', status: 'sent' }]);
+
+      now += 31 * 1000;
+      expect(await dispatcher.notify(event)).toEqual([
+        { channel: 'discord', status: 'sent' },
+      ]);
+    });
+
+    it("limite le nombre d'alertes envoyées par canal", async () => {
+      const chat = memoryChannel('discord');
+      const dispatcher = createAlertDispatcher({
+        channels: [
+          route(chat, { rateLimit: { limit: 2, windowMs: 60 * 1000 } }),
+        ],
+      });
+
+      for (const target of ['a', 'b', 'c']) {
+        await dispatcher.notify({ ...event, dedupKey: target });
+      }
+
+      expect(chat.send).toHaveBeenCalledTimes(2);
+      expect(logger.warn).toHaveBeenCalledWith(
+        "Limite d'envoi d'alertes atteinte:",
+        { channel: 'discord', type: 'monitor.down' }
+      );
+    });
+
+    it("n'interrompt pas les autres canaux si un envoi échoue", async () => {
+      const broken = memoryChannel('webhook');
+      broken.send.mockRejectedValue(new Error('ECONNRESET'));
+      const chat = memoryChannel('discord');
+      const dispatcher = createAlertDispatcher({
+        channels: [route(broken), route(chat)],
+      });
+
+      const results = await dispatcher.notify(event);
+
+      expect(results).toEqual([
+        { channel: 'webhook', status: 'failed', error: 'ECONNRESET' },
+        { channel: 'discord', status: 'sent' },
+      ]);
+      // Un envoi échoué n'est pas considéré comme déjà envoyé
+      broken.send.mockResolvedValue();
+      expect((await dispatcher.notify(event))[0].status).toBe('sent');
+    });
+
+    it("complète les champs absents de l'événement", async () => {
+      const chat = memoryChannel('discord');
+      const dispatcher = createAlertDispatcher({ channels: [route(chat)] });
+
+      await dispatcher.notify({ type: 'job.failed' });
+
+      expect(chat.sent[0].event).toMatchObject({
+        type: 'job.failed',
+        severity: 'warning',
+        title: 'job.failed',
+        message: '',
+        at: expect.any(String),
+        dedupKey: 'job.failed:job.failed',
+      });
+    });
+  });
+
+  describe('buildChannels', () => {
+    it('active uniquement les canaux dont la destination est renseignée', () => {
+      const channels = buildChannels({
+        discord: { url: 'https://discord.test/hook' },
+        webhook: { url: undefined },
+        email: { to: 'ops@spotr.test', smtp: { host: undefined } },
+      });
+
+      expect(channels.map((c) => c.channel.name)).toEqual(['discord']);
+    });
+  });
+
+  describe('canaux', () => {
+    const alert = { event, title: 'Titre', message: 'Message' };
+
+    it('envoie un embed Discord', async () => {
+      global.fetch.mockResolvedValue({ ok: true });
+
+      await createDiscordChannel({
+        url: 'https://discord.test/hook',
+        username: 'SpotR-AI',
+      }).send(alert);
+
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toBe('https://discord.test/hook');
+      expect(JSON.parse(options.body)).toMatchObject({
+        username: 'SpotR-AI',
+        embeds: [
+          {
+            title: 'Titre',
+            description: 'Message',
+            color: 0xc0392b,
+            timestamp: event.at,
+          },
+        ],
+      });
+    });
+
+    it('remonte les erreurs du webhook', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 404 });
+
+      await expect(
+        createWebhookChannel({ url: 'https://hooks.test' }).send(alert)
+      ).rejects.toThrow("Webhook d'alerte en erreur (404)");
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toMatchObject({
+        type: 'monitor.down',
+        severity: 'critical',
+        title: 'Titre',
+        details: { target: 'bdd' },
+      });
+    });
+
+    it('envoie un email via nodemailer', async () => {
+      const sendMail = jest.fn().mockResolvedValue({});
+      nodemailer.createTransport.mockReturnValue({ sendMail });
+      const smtp = { host: 'smtp.test', port: 587 };
+
+      const channel = createEmailChannel({
+        to: 'ops@spotr.test',
+        from: 'alertes@spotr.test',
+        smtp,
+      });
+      await channel.send(alert);
+      await channel.send(alert);
+
+      expect(nodemailer.createTransport).toHaveBeenCalledTimes(1);
+      expect(nodemailer.createTransport).toHaveBeenCalledWith(smtp);
+      expect(sendMail).toHaveBeenCalledWith({
+        from: 'alertes@spotr.test',
+        to: 'ops@spotr.test',
+        subject: 'Titre',
+        text: 'Message',
+      });
+    });
+  });
+});
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const { createTokenVerifier, setTokenVerifier } = require('../services/auth');
+const authenticate = require('../middlewares/authenticate');
+const emailVerified = require('../middlewares/email-verified');
+const AuthError = require('../errors/auth.error');
+
+jest.mock('../config/logger');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+global.fetch = jest.fn();
+
+describe('Vérification des tokens JWT', () => {
+  const hs256 = {
+    algorithms: ['HS256'],
+    secret: 'secret',
+    issuer: ['https://auth.spotr.test'],
+    audience: ['spotr-ai'],
+  };
+  const claims = { iss: 'https://auth.spotr.test', aud: 'spotr-ai' };
+
+  const rejection = (promise) =>
+    promise.then(
+      () => {
+        throw new Error('Le token aurait dû être refusé');
+      },
+      (err) => ({ code: err.code, status: err.status })
+    );
+
+  // Paire de clés et JWK public correspondant
+  const keyPair = (type, kid) => {
+    const { publicKey, privateKey } =
+      type === 'rsa'
+        ? crypto.generateKeyPairSync('rsa', { modulusLength: 2048 })
+        : crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    return {
+      privateKey,
+      jwk: { ...publicKey.export({ format: 'jwk' }), kid, use: 'sig' },
+    };
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('HS256', () => {
+    const verify = createTokenVerifier(hs256);
+
+    it("renvoie le payload d'un token valide", async () => {
+      const token = jwt.sign({ ...claims, id: 'u1' }, 'secret');
+
+      await expect(verify(token)).resolves.toMatchObject({ id: 'u1' });
+    });
+
+    it.each([
+      ['TOKEN_MISSING', undefined],
+      ['TOKEN_MALFORMED', 'pas-un-jwt'],
+      ['TOKEN_INVALID_SIGNATURE', jwt.sign(claims, 'autre')],
+      [
+        'TOKEN_INVALID_AUDIENCE',
+        jwt.sign({ ...claims, aud: 'autre' }, 'secret'),
+      ],
+      ['TOKEN_INVALID_ISSUER', jwt.sign({ ...claims, iss: 'autre' }, 'secret')],
+      ['TOKEN_EXPIRED', jwt.sign({ ...claims, exp: 1 }, 'secret')],
+      [
+        'TOKEN_INVALID_ALGORITHM',
+        jwt.sign(claims, 'secret', { algorithm: 'HS512' }),
+      ],
+      [
+        'TOKEN_INVALID_ALGORITHM',
+        jwt.sign(claims, null, { algorithm: 'none' }),
+      ],
+    ])('refuse le token avec le code %s', async (code, token) => {
+      await expect(rejection(verify(token))).resolves.toEqual({
+        code,
+        status: 401,
+      });
+    });
+
+    it("tolère un léger décalage d'horloge", async () => {
+      const exp = Math.floor(Date.now() / 1000) - 10;
+      const token = jwt.sign({ ...claims, exp }, 'secret');
+
+      await expect(
+        createTokenVerifier({ ...hs256, clockTolerance: 30 })(token)
+      ).resolves.toMatchObject({ exp });
+      await expect(rejection(verify(token))).resolves.toMatchObject({
+        code: 'TOKEN_EXPIRED',
+      });
+    });
+
+    it("signale l'absence de secret comme une erreur de configuration", async () => {
+      const verifyWithoutSecret = createTokenVerifier({
+        ...hs256,
+        secret: undefined,
+      });
+
+      await expect(
+        rejection(verifyWithoutSecret(jwt.sign(claims, 'secret')))
+      ).resolves.toEqual({ code: 'AUTH_MISCONFIGURED', status: 500 });
+    });
+  });
+
+  describe('JWKS', () => {
+    it('vérifie un token RS256 avec un JWKS local', async () => {
+      const { privateKey, jwk } = keyPair('rsa', 'rsa-1');
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'jwks-'));
+      const file = path.join(dir, 'jwks.json');
+      fs.writeFileSync(file, JSON.stringify({ keys: [jwk] }));
+
+      const verify = createTokenVerifier({
+        ...hs256,
+        algorithms: ['RS256'],
+        jwks: { file },
+      });
+      const token = jwt.sign({ ...claims, id: 'u1' }, privateKey, {
+        algorithm: 'RS256',
+        keyid: 'rsa-1',
+      });
+
+      await expect(verify(token)).resolves.toMatchObject({ id: 'u1' });
+      // Un token HS256 n'est pas accepté si seul RS256 est autorisé
+      await expect(
+        rejection(verify(jwt.sign(claims, 'secret')))
+      ).resolves.toMatchObject({ code: 'TOKEN_INVALID_ALGORITHM' });
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('recharge le JWKS lors de la rotation des clés', async () => {
+      let now = Date.parse('2025-01-01T10:00:00Z');
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const first = keyPair('ec', 'ec-1');
+      const second = keyPair('ec', 'ec-2');
+      const jwks = (...keys) => ({
+        ok: true,
+        json: async () => ({ keys: keys.map((k) => k.jwk) }),
+      });
+      global.fetch
+        .mockResolvedValueOnce(jwks(first))
+        .mockResolvedValueOnce(jwks(first, second));
+
+      const verify = createTokenVerifier({
+        ...hs256,
+        algorithms: ['ES256'],
+        jwks: { url: 'https://auth.spotr.test/jwks', minRefreshInterval: 1000 },
+      });
+      const sign = ({ privateKey, jwk }) =>
+        jwt.sign(claims, privateKey, { algorithm: 'ES256', keyid: jwk.kid });
+
+      await verify(sign(first));
+      await verify(sign(first));
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+
+      // Nouvelle clé publiée : le JWKS est rechargé une fois le délai minimal écoulé
+      await expect(rejection(verify(sign(second)))).resolves.toMatchObject({
+        code: 'TOKEN_UNKNOWN_KEY',
+      });
+      now += 1000;
+      await expect(verify(sign(second))).resolves.toMatchObject(claims);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://auth.spotr.test/jwks',
+        expect.any(Object)
+      );
+    });
+
+    it('signale un JWKS indisponible', async () => {
+      const { privateKey } = keyPair('ec', 'ec-1');
+      global.fetch.mockResolvedValue({ ok: false, status: 502 });
+
+      const verify = createTokenVerifier({
+        ...hs256,
+        algorithms: ['ES256'],
+        jwks: { url: 'https://auth.spotr.test/jwks' },
+      });
+      const token = jwt.sign(claims, privateKey, {
+        algorithm: 'ES256',
+        keyid: 'ec-1',
+      });
+
+      await expect(rejection(verify(token))).resolves.toEqual({
+        code: 'AUTH_UNAVAILABLE',
+        status: 503,
+      });
+    });
+  });
+
+  describe('authenticate', () => {
+    let res, next;
+
+    const bearer = (payload) => ({
+      headers: {
+        authorization: `Bearer ${jwt.sign({ ...claims, ...payload }, 'secret')}`,
+      },
+    });
+
+    beforeEach(() => {
+      setTokenVerifier(createTokenVerifier(hs256));
+      res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      next = jest.fn();
+    });
+
+    afterAll(() => {
+      setTokenVerifier(undefined);
+    });
+
+    it('place le payload du token dans req.user', async () => {
+      const req = bearer({ id: 'u1', role: 'ops' });
+
+      await authenticate()(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.user).toMatchObject({ id: 'u1', role: 'ops' });
+    });
+
+    it('renvoie le code de refus du token', async () => {
+      await authenticate()({ headers: {} }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        code: 'TOKEN_MISSING',
+        error: 'Token manquant ou invalide.',
+      });
+    });
+
+    it("applique les politiques d'accès dans l'ordre", async () => {
+      const policy = jest.fn((user) => {
+        if (user.plan !== 'pro') {
+          throw new AuthError('Offre insuffisante.', 'PLAN_REQUIRED', 403);
+        }
+      });
+
+      await authenticate(policy)(bearer({ plan: 'free' }), res, next);
+      await authenticate(policy)(bearer({ plan: 'pro' }), res, next);
+
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'PLAN_REQUIRED' })
+      );
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('exige un email validé avec emailVerified', async () => {
+      await emailVerified(bearer({ isEmailVerified: false }), res, next);
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' })
+      );
+
+      await emailVerified(bearer({ isEmailVerified: true }), res, next);
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it.each([
+    ['', 30000],
+    ['abc', 30000],
+    ['-5', 0],
+    ['5000', 5000],
+    [undefined, 30000],
+  ])('lit JWT_JWKS_REFRESH_MS=%p comme %i ms', (value, expected) => {
+    const previous = process.env.JWT_JWKS_REFRESH_MS;
+    if (value === undefined) delete process.env.JWT_JWKS_REFRESH_MS;
+    else process.env.JWT_JWKS_REFRESH_MS = value;
+
+    jest.isolateModules(() => {
+      expect(require('../config/auth').jwks.minRefreshInterval).toBe(expected);
+    });
+
+    if (previous === undefined) delete process.env.JWT_JWKS_REFRESH_MS;
+    else process.env.JWT_JWKS_REFRESH_MS = previous;
+  });
+});
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  checkConfig,
+  defaultChecks,
+  createReadinessProbe,
+  setReadinessProbe,
+} = require('../services/health');
+const healthController = require('../controllers/health.controller');
+const aiConfig = require('../config/ai');
+const authConfig = require('../config/auth');
+const serviceAuthConfig = require('../config/service-auth');
+const logsConfig = require('../config/logs');
+const uploadConfig = require('../config/upload');
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ stop: jest.fn() })),
+}));
+jest.mock('../config/logger');
+jest.mock('../config/cloudinary');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+describe('Sondes de santé', () => {
+  let res;
+
+  const REQUIRED = {
+    SERVICE_BDD_URL: 'http://bdd.local',
+    CLOUDINARY_NAME: 'spotr',
+    CLOUDINARY_API: 'key',
+    CLOUDINARY_SECRET: 'secret',
+  };
+  const env = { ...process.env };
+  const ai = { ...aiConfig };
+  const auth = { ...authConfig };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.assign(process.env, REQUIRED);
+    Object.assign(aiConfig, { provider: 'openai', apiKey: 'sk-test' });
+    Object.assign(authConfig, { algorithms: ['HS256'], secret: 'secret' });
+    jest.replaceProperty(serviceAuthConfig, 'credentials', {
+      posts: { secret: 'secret', scopes: ['validate:data'] },
+    });
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  });
+
+  afterEach(() => {
+    process.env = { ...env };
+    Object.assign(aiConfig, ai);
+    Object.assign(authConfig, auth);
+    jest.restoreAllMocks();
+  });
+
+  describe('checkConfig', () => {
+    it('accepte une configuration complète', () => {
+      expect(checkConfig()).toEqual({ provider: 'openai' });
+    });
+
+    it('liste les variables manquantes', () => {
+      delete process.env.CLOUDINARY_SECRET;
+      authConfig.secret = undefined;
+      Object.assign(aiConfig, { provider: 'local', baseURL: undefined });
+
+      expect(() => checkConfig()).toThrow(
+        'Configuration manquante : CLOUDINARY_SECRET, JWT_SECRET, AI_BASE_URL'
+      );
+    });
+
+    it('exige un JWKS pour les tokens signés par clé publique', () => {
+      authConfig.algorithms = ['RS256'];
+      authConfig.secret = undefined;
+
+      expect(() => checkConfig()).toThrow(
+        'Configuration manquante : JWT_JWKS_URL (ou JWT_JWKS_FILE)'
+      );
+    });
+  });
+
+  describe('defaultChecks', () => {
+    it("vérifie l'écriture dans les dossiers de stockage et d'upload", async () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'health-'));
+      jest.replaceProperty(logsConfig, 'dir', dir);
+      jest.replaceProperty(uploadConfig, 'dest', path.join(dir, 'absent'));
+
+      const checks = defaultChecks();
+
+      expect(Object.keys(checks)).toEqual([
+        'config',
+        'storage',
+        'uploads',
+        'bdd',
+        'provider',
+        'cloudinary',
+      ]);
+      await expect(checks.storage()).resolves.toEqual({ path: dir });
+      await expect(checks.uploads()).rejects.toThrow('ENOENT');
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+  });
+
+  describe('createReadinessProbe', () => {
+    it('détaille chaque vérification', async () => {
+      const probe = createReadinessProbe({
+        checks: {
+          config: () => ({ provider: 'openai' }),
+          bdd: async () => {
+            throw new Error('ECONNREFUSED');
+          },
+        },
+      });
+
+      const result = await probe();
+
+      expect(result).toEqual({
+        ready: false,
+        checkedAt: expect.any(String),
+        cached: false,
+        checks: {
+          config: {
+            status: 'up',
+            latencyMs: expect.any(Number),
+            provider: 'openai',
+          },
+          bdd: {
+            status: 'down',
+            latencyMs: expect.any(Number),
+            error: 'ECONNREFUSED',
+          },
+        },
+      });
+    });
+
+    it('considère comme un échec une vérification qui dépasse le délai', async () => {
+      const probe = createReadinessProbe({
+        checks: { provider: () => new Promise(() => {}) },
+        timeout: 10,
+      });
+
+      expect((await probe()).checks.provider).toMatchObject({
+        status: 'down',
+        error: 'Pas de réponse après 10 ms',
+      });
+    });
+
+    it('réutilise le dernier résultat pendant la durée du cache', async () => {
+      let now = Date.parse('2025-01-01T10:00:00Z');
+      jest.spyOn(Date, 'now').mockImplementation(() => now);
+      const bdd = jest.fn().mockResolvedValue({});
+      const probe = createReadinessProbe({ checks: { bdd }, cacheTtl: 1000 });
+
+      const [first, concurrent] = await Promise.all([probe(), probe()]);
+      now += 500;
+      const cached = await probe();
+      now += 600;
+      const fresh = await probe();
+
+      expect(bdd).toHaveBeenCalledTimes(2);
+      expect([first, concurrent, cached, fresh].map((r) => r.cached)).toEqual([
+        false,
+        false,
+        true,
+        false,
+      ]);
+    });
+  });
+
+  describe('healthController', () => {
+    it('répond à la sonde de vivacité sans vérifier les dépendances', () => {
+      const probe = jest.fn();
+      setReadinessProbe(probe);
+
+      healthController.live({}, res);
+
+      expect(probe).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        status: 'alive',
+        uptime: expect.any(Number),
+      });
+    });
+
+    it.each([
+      [true, 200, 'ready'],
+      [false, 503, 'not_ready'],
+    ])(
+      'répond à la sonde de disponibilité (ready=%s)',
+      async (ready, code, status) => {
+        const checks = { bdd: { status: ready ? 'up' : 'down' } };
+        setReadinessProbe(async () => ({ ready, cached: false, checks }));
+
+        await healthController.ready({}, res);
+
+        expect(res.status).toHaveBeenCalledWith(code);
+        expect(res.json).toHaveBeenCalledWith({
+          status,
+          cached: false,
+          checks,
+        });
+      }
+    );
+  });
+
+  it.each([
+    ['', 10000],
+    ['abc', 10000],
+    ['-1', 0],
+    ['0', 0],
+    [undefined, 10000],
+  ])('lit HEALTH_CACHE_TTL_MS=%p comme %i ms', (value, expected) => {
+    const previous = process.env.HEALTH_CACHE_TTL_MS;
+    if (value === undefined) delete process.env.HEALTH_CACHE_TTL_MS;
+    else process.env.HEALTH_CACHE_TTL_MS = value;
+
+    jest.isolateModules(() => {
+      expect(require('../config/health').cacheTtl).toBe(expected);
+    });
+
+    if (previous === undefined) delete process.env.HEALTH_CACHE_TTL_MS;
+    else process.env.HEALTH_CACHE_TTL_MS = previous;
+  });
+});
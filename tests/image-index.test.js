@@ -0,0 +1,154 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const { computeImageHash } = require('../services/image-hash');
+const { createImageIndex } = require('../services/image-index');
+const hammingDistance = require('../utils/hamming-distance');
+const logger = require('../config/logger');
+
+jest.mock('../config/logger');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+// Image de test : dégradé horizontal en niveaux de gris, éventuellement inversé
+const gradient = (width, height, reverse = false) => {
+  const pixels = Buffer.alloc(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const level = Math.round((x / width) * 255);
+      pixels[y * width + x] = reverse ? 255 - level : level;
+    }
+  }
+  return sharp(pixels, { raw: { width, height, channels: 1 } });
+};
+
+describe('Index des images publiées', () => {
+  describe('computeImageHash', () => {
+    it('reconnait une image recompressée et redimensionnée', async () => {
+      const original = await gradient(400, 300).png().toBuffer();
+      const copy = await sharp(original)
+        .resize(200, 150)
+        .jpeg({ quality: 40 })
+        .toBuffer();
+
+      const distance = hammingDistance(
+        await computeImageHash(original),
+        await computeImageHash(copy)
+      );
+
+      expect(distance).toBeLessThanOrEqual(5);
+    });
+
+    it('distingue deux images différentes', async () => {
+      const image = await gradient(400, 300).png().toBuffer();
+      const mirrored = await gradient(400, 300, true).png().toBuffer();
+
+      const distance = hammingDistance(
+        await computeImageHash(image),
+        await computeImageHash(mirrored)
+      );
+
+      expect(distance).toBeGreaterThan(20);
+    });
+  });
+
+  describe('hammingDistance', () => {
+    it('compte les bits différents', () => {
+      expect(hammingDistance('00000000000000ff', '00000000000000f0')).toBe(4);
+      expect(hammingDistance('ffffffffffffffff', 'ffffffffffffffff')).toBe(0);
+    });
+  });
+
+  describe.each(['memory', 'file'])('stockage %s', (store) => {
+    let dir;
+    let index;
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-index-'));
+      index = createImageIndex({ store, file: path.join(dir, 'index.json') });
+    });
+
+    afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+    it('renvoie les images proches, de la plus proche à la plus éloignée', async () => {
+      await index.add([
+        { hash: '00000000000000ff', postId: 'p1', userId: 'u1' },
+        { hash: '00000000000000f0', postId: 'p2', userId: 'u2' },
+        { hash: 'ffffffff00000000', postId: 'p3', userId: 'u3' },
+      ]);
+
+      const matches = await index.findNear('00000000000000fe', 5);
+
+      expect(matches.map((match) => [match.postId, match.distance])).toEqual([
+        ['p1', 1],
+        ['p2', 3],
+      ]);
+      expect(matches[0].addedAt).toEqual(expect.any(String));
+    });
+
+    it('ne renvoie rien pour un index vide', async () => {
+      expect(await index.findNear('00000000000000ff', 5)).toEqual([]);
+    });
+  });
+
+  it('persiste le stockage file entre deux instances', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-index-'));
+    const file = path.join(dir, 'index.json');
+
+    const first = createImageIndex({ store: 'file', file });
+    await Promise.all([
+      first.add([{ hash: '00000000000000ff', postId: 'p1' }]),
+      first.add([{ hash: '000000000000ff00', postId: 'p2' }]),
+    ]);
+
+    const second = createImageIndex({ store: 'file', file });
+    expect(await second.findNear('00000000000000ff', 0)).toHaveLength(1);
+    expect(await second.findNear('000000000000ff00', 0)).toHaveLength(1);
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('relit le fichier après un échec de chargement', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-index-'));
+    const file = path.join(dir, 'index.json');
+    // Un répertoire à la place du fichier : lecture en échec (EISDIR)
+    await fs.mkdir(file);
+
+    const index = createImageIndex({ store: 'file', file });
+    await expect(index.findNear('00000000000000ff', 0)).rejects.toThrow(
+      'Index des images illisible'
+    );
+
+    await fs.rmdir(file);
+    await fs.writeFile(file, '[{"hash": "00000000000000ff"}]');
+    expect(await index.findNear('00000000000000ff', 0)).toHaveLength(1);
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it("met de côté un fichier corrompu et repart d'un index vide", async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'image-index-'));
+    const file = path.join(dir, 'index.json');
+    await fs.writeFile(file, '[{"hash": "00000000000000ff"');
+
+    const index = createImageIndex({ store: 'file', file });
+    expect(await index.findNear('00000000000000ff', 0)).toEqual([]);
+    expect(logger.error).toHaveBeenCalledWith(
+      expect.stringContaining('Index des images corrompu')
+    );
+
+    await index.add([{ hash: '00000000000000ff', postId: 'p1' }]);
+    const files = await fs.readdir(dir);
+    expect(files).toContain('index.json');
+    expect(files.filter((name) => name.endsWith('.corrupt'))).toHaveLength(1);
+    expect(await index.findNear('00000000000000ff', 0)).toHaveLength(1);
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('rejette un stockage inconnu', () => {
+    expect(() => createImageIndex({ store: 'redis' })).toThrow(
+      "Stockage d'index d'images inconnu : redis"
+    );
+  });
+});
@@ -0,0 +1,159 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+const heicConvert = require('heic-convert');
+const { normalizeImage } = require('../services/image-normalizer');
+const { sniffImageFormat } = require('../services/image-format');
+const UnsupportedImageError = require('../errors/unsupported-image.error');
+
+jest.mock('heic-convert');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+const solid = (width, height) =>
+  sharp({
+    create: { width, height, channels: 3, background: { r: 200, g: 0, b: 0 } },
+  });
+
+// En-tête ISO-BMFF d'un fichier HEIC d'iPhone
+const heicHeader = Buffer.concat([
+  Buffer.from([0x00, 0x00, 0x00, 0x18]),
+  Buffer.from('ftypheic', 'ascii'),
+  Buffer.alloc(12),
+]);
+
+// En-tête ftyp : marque principale, version mineure puis marques compatibles
+const ftyp = (major, ...compatible) => {
+  const brands = Buffer.from([major, '\0\0\0\0', ...compatible].join(''));
+  const size = Buffer.alloc(4);
+  size.writeUInt32BE(8 + brands.length);
+  return Buffer.concat([size, Buffer.from('ftyp'), brands]);
+};
+
+describe('Normalisation des images', () => {
+  let dir;
+
+  const writeUpload = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return { path: filePath, originalname: name };
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'normalizer-'));
+  });
+
+  afterEach(() => fs.rm(dir, { recursive: true, force: true }));
+
+  describe('sniffImageFormat', () => {
+    it('reconnait les formats par leurs magic bytes', async () => {
+      expect(sniffImageFormat(await solid(4, 4).jpeg().toBuffer())).toBe(
+        'jpeg'
+      );
+      expect(sniffImageFormat(await solid(4, 4).png().toBuffer())).toBe('png');
+      expect(sniffImageFormat(await solid(4, 4).webp().toBuffer())).toBe(
+        'webp'
+      );
+      expect(sniffImageFormat(heicHeader)).toBe('heic');
+    });
+
+    it('reconnait un HEIC par ses marques compatibles', () => {
+      expect(sniffImageFormat(ftyp('mif1', 'mif1', 'heic'))).toBe('heic');
+    });
+
+    it('ne confond pas les AVIF avec des HEIC', () => {
+      expect(sniffImageFormat(ftyp('avif', 'mif1', 'miaf'))).toBeNull();
+      expect(sniffImageFormat(ftyp('mif1', 'avif', 'mif1'))).toBeNull();
+    });
+
+    it('rejette les fichiers inconnus ou trop courts', () => {
+      expect(sniffImageFormat(Buffer.from('%PDF-1.7 document'))).toBeNull();
+      expect(sniffImageFormat(Buffer.from([0xff, 0xd8]))).toBeNull();
+    });
+  });
+
+  describe('normalizeImage', () => {
+    it('réduit les grandes images au plus grand côté configuré', async () => {
+      const file = await writeUpload(
+        'grande.png',
+        await solid(4000, 1000).png().toBuffer()
+      );
+
+      const result = await normalizeImage(file);
+
+      expect(result).toMatchObject({
+        path: `${file.path}.normalized.png`,
+        format: 'png',
+        mimeType: 'image/png',
+        width: 2048,
+        height: 512,
+      });
+      const written = await sharp(result.path).metadata();
+      expect([written.width, written.height]).toEqual([2048, 512]);
+    });
+
+    it("applique l'orientation EXIF", async () => {
+      const file = await writeUpload(
+        'portrait.jpg',
+        await solid(40, 20).jpeg().withMetadata({ orientation: 6 }).toBuffer()
+      );
+
+      const result = await normalizeImage(file);
+
+      expect([result.width, result.height]).toEqual([20, 40]);
+      expect(
+        (await sharp(result.buffer).metadata()).orientation
+      ).toBeUndefined();
+    });
+
+    it("ne se fie pas à l'extension du fichier", async () => {
+      const file = await writeUpload(
+        'photo.jpg',
+        await solid(10, 10).webp().toBuffer()
+      );
+
+      const result = await normalizeImage(file);
+
+      expect(result.mimeType).toBe('image/webp');
+      expect(result.path).toBe(`${file.path}.normalized.webp`);
+    });
+
+    it('convertit les photos HEIC en JPEG', async () => {
+      heicConvert.mockResolvedValue(await solid(30, 10).jpeg().toBuffer());
+      const file = await writeUpload('iphone.heic', heicHeader);
+
+      const result = await normalizeImage(file);
+
+      expect(heicConvert).toHaveBeenCalledWith(
+        expect.objectContaining({ format: 'JPEG' })
+      );
+      expect(result).toMatchObject({
+        format: 'jpeg',
+        mimeType: 'image/jpeg',
+        path: `${file.path}.normalized.jpg`,
+      });
+    });
+
+    it("refuse un fichier qui n'est pas une image", async () => {
+      const file = await writeUpload('devis.pdf', '%PDF-1.7 document factice');
+
+      const error = await normalizeImage(file).catch((err) => err);
+
+      expect(error).toBeInstanceOf(UnsupportedImageError);
+      expect(error.file).toBe('devis.pdf');
+    });
+
+    it('refuse un AVIF sans tenter de conversion HEIC', async () => {
+      const file = await writeUpload(
+        'photo.avif',
+        Buffer.concat([ftyp('avif', 'mif1', 'miaf'), Buffer.alloc(32)])
+      );
+
+      const error = await normalizeImage(file).catch((err) => err);
+
+      expect(error).toBeInstanceOf(UnsupportedImageError);
+      expect(heicConvert).not.toHaveBeenCalled();
+    });
+  });
+});
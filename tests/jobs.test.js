@@ -0,0 +1,164 @@
+const createMemoryJobStore = require('../services/jobs/memory.store');
+const createJobQueue = require('../services/jobs/queue');
+const QueueFullError = require('../errors/queue-full.error');
+const logger = require('../config/logger');
+const {
+  getRequestId,
+  runWithRequestId,
+} = require('../services/request-context');
+
+jest.mock('../config/logger');
+
+// Attend que tous les jobs démarrés aient fini leur traitement
+const flush = async () => {
+  for (let i = 0; i < 5; i++) {
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+};
+
+describe('Jobs de validation', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    store = createMemoryJobStore();
+  });
+
+  describe('createJobQueue', () => {
+    it('crée un job en attente puis enregistre son résultat', async () => {
+      const handler = jest.fn(async (payload, { setStage }) => {
+        await setStage('analyzing');
+        return { result: { echo: payload.value } };
+      });
+      const queue = createJobQueue({ type: 'test', store, handler });
+
+      const job = await queue.enqueue({ value: 42 }, { userId: 'u1' });
+
+      expect(job).toMatchObject({
+        type: 'test',
+        status: 'queued',
+        stage: 'queued',
+        userId: 'u1',
+      });
+      expect(job).not.toHaveProperty('value');
+
+      await flush();
+
+      expect(handler).toHaveBeenCalledWith(
+        { value: 42 },
+        expect.objectContaining({ id: job.id })
+      );
+      expect(await store.get(job.id)).toMatchObject({
+        status: 'completed',
+        stage: 'done',
+        result: { echo: 42 },
+        finishedAt: expect.any(String),
+      });
+    });
+
+    it('marque le job comme échoué si le handler lève une erreur', async () => {
+      const queue = createJobQueue({
+        type: 'test',
+        store,
+        handler: async () => {
+          throw new Error('Cloudinary indisponible');
+        },
+      });
+
+      const job = await queue.enqueue({});
+      await flush();
+
+      expect(await store.get(job.id)).toMatchObject({
+        status: 'failed',
+        error: 'Cloudinary indisponible',
+      });
+      expect(logger.error).toHaveBeenCalled();
+    });
+
+    it('respecte la concurrence configurée', async () => {
+      let active = 0;
+      let peak = 0;
+      const queue = createJobQueue({
+        type: 'test',
+        store,
+        concurrency: 2,
+        handler: async () => {
+          active++;
+          peak = Math.max(peak, active);
+          await flush();
+          active--;
+          return {};
+        },
+      });
+
+      await Promise.all([1, 2, 3, 4, 5].map(() => queue.enqueue({})));
+      for (let i = 0; i < 10; i++) await flush();
+
+      expect(peak).toBe(2);
+    });
+
+    it('refuse les jobs au-delà de la taille maximale de la file', async () => {
+      const queue = createJobQueue({
+        type: 'test',
+        store,
+        maxQueue: 1,
+        handler: async () => ({}),
+      });
+
+      await queue.enqueue({});
+
+      await expect(queue.enqueue({})).rejects.toBeInstanceOf(QueueFullError);
+    });
+
+    it("traite chaque job dans le contexte de la requête qui l'a créé", async () => {
+      const seen = [];
+      const queue = createJobQueue({
+        type: 'test',
+        store,
+        handler: async ({ name }) => {
+          seen.push([name, getRequestId()]);
+          return {};
+        },
+      });
+
+      // Le second job démarre à la fin du premier, hors de sa requête
+      await runWithRequestId('req-1', () => queue.enqueue({ name: 'a' }));
+      await runWithRequestId('req-2', () => queue.enqueue({ name: 'b' }));
+      await queue.enqueue({ name: 'c' });
+      for (let i = 0; i < 5; i++) await flush();
+
+      expect(seen).toEqual([
+        ['a', 'req-1'],
+        ['b', 'req-2'],
+        ['c', undefined],
+      ]);
+    });
+  });
+
+  describe('createMemoryJobStore', () => {
+    it('renvoie null pour un job inconnu', async () => {
+      expect(await store.get('inconnu')).toBeNull();
+      expect(await store.update('inconnu', { stage: 'x' })).toBeNull();
+    });
+
+    it('purge les jobs terminés après leur durée de conservation', async () => {
+      const shortStore = createMemoryJobStore({ ttl: 1000 });
+      const old = new Date(Date.now() - 5000).toISOString();
+      await shortStore.create({ id: 'fini', finishedAt: old });
+      await shortStore.create({ id: 'en-cours' });
+
+      expect(await shortStore.get('fini')).toBeNull();
+      expect(await shortStore.get('en-cours')).toMatchObject({
+        id: 'en-cours',
+      });
+    });
+
+    it('renvoie des copies des jobs stockés', async () => {
+      await store.create({ id: 'a', stage: 'queued' });
+      const job = await store.get('a');
+      job.stage = 'modifié';
+
+      expect((await store.get('a')).stage).toBe('queued');
+    });
+  });
+});
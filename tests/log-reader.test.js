@@ -0,0 +1,141 @@
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const fs = require('fs').promises;
+const {
+  listLogSegments,
+  parseLogQuery,
+  queryLogs,
+} = require('../services/log-reader');
+
+// Horodatage en heure locale, au format écrit par le logger
+const entry = (day, time, message) =>
+  JSON.stringify({ timestamp: `2025-01-${day} ${time}`, message });
+
+describe('Lecture des logs à travers leurs segments', () => {
+  let dir;
+
+  const write = (file, lines) =>
+    fs.writeFile(path.join(dir, file), `${lines.join('\n')}\n`);
+
+  const writeGzip = (file, lines) =>
+    fs.writeFile(path.join(dir, file), zlib.gzipSync(`${lines.join('\n')}\n`));
+
+  const messages = (page) => page.items.map((item) => item.message);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'logs-'));
+    await write('metrics.log', [entry('01', '08:00:00', 'historique')]);
+    await writeGzip('metrics-2025-01-02.log.gz', [
+      entry('02', '09:00:00', 'jour 2 a'),
+      entry('02', '10:00:00', 'jour 2 b'),
+    ]);
+    await writeGzip('metrics-2025-01-03.log.gz', [
+      entry('03', '09:00:00', 'jour 3 a'),
+      'ligne corrompue',
+    ]);
+    await writeGzip('metrics-2025-01-03.log.1.gz', [
+      entry('03', '18:00:00', 'jour 3 b'),
+    ]);
+    await write('metrics-2025-01-04.log', [entry('04', '09:00:00', 'jour 4')]);
+    await write('errors-2025-01-04.log', [entry('04', '09:00:00', 'erreur')]);
+    await write('.metrics-audit.json', ['{}']);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('liste les segments du plus ancien au plus récent', async () => {
+    const segments = await listLogSegments(dir, 'metrics');
+
+    expect(segments.map(({ file, gzip }) => [file, gzip])).toEqual([
+      ['metrics.log', false],
+      ['metrics-2025-01-02.log.gz', true],
+      ['metrics-2025-01-03.log.gz', true],
+      ['metrics-2025-01-03.log.1.gz', true],
+      ['metrics-2025-01-04.log', false],
+    ]);
+  });
+
+  it('lit le fichier courant et les segments compressés', async () => {
+    const page = await queryLogs(dir, 'metrics', parseLogQuery({}));
+
+    expect(messages(page)).toEqual([
+      'historique',
+      'jour 2 a',
+      'jour 2 b',
+      'jour 3 a',
+      'jour 3 b',
+      'jour 4',
+    ]);
+    expect(page.skipped).toBe(1);
+  });
+
+  it("ne lit que les segments couvrant l'intervalle de temps", async () => {
+    // Un segment hors intervalle illisible ne doit pas être ouvert
+    await fs.writeFile(
+      path.join(dir, 'metrics-2025-01-02.log.gz'),
+      'pas du gzip'
+    );
+    const from = new Date(2025, 0, 3, 12).toISOString();
+    const to = new Date(2025, 0, 4, 23).toISOString();
+
+    const page = await queryLogs(dir, 'metrics', parseLogQuery({ from, to }));
+
+    expect(messages(page)).toEqual(['jour 3 b', 'jour 4']);
+  });
+
+  it('pagine à travers les segments', async () => {
+    const seen = [];
+    let cursor;
+    do {
+      const page = await queryLogs(
+        dir,
+        'metrics',
+        parseLogQuery({ limit: '2', cursor })
+      );
+      seen.push(...messages(page));
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    expect(seen).toEqual([
+      'historique',
+      'jour 2 a',
+      'jour 2 b',
+      'jour 3 a',
+      'jour 3 b',
+      'jour 4',
+    ]);
+  });
+
+  it('reprend au segment suivant si le segment du curseur a été supprimé', async () => {
+    const first = await queryLogs(
+      dir,
+      'metrics',
+      parseLogQuery({ limit: '2' })
+    );
+    expect(messages(first)).toEqual(['historique', 'jour 2 a']);
+
+    // Rétention : le segment du 2 janvier disparaît entre deux pages
+    await fs.unlink(path.join(dir, 'metrics-2025-01-02.log.gz'));
+    const next = await queryLogs(
+      dir,
+      'metrics',
+      parseLogQuery({ limit: '2', cursor: first.nextCursor })
+    );
+
+    expect(messages(next)).toEqual(['jour 3 a', 'jour 3 b']);
+  });
+
+  it('signale un segment compressé illisible comme une erreur de lecture', async () => {
+    await fs.writeFile(
+      path.join(dir, 'metrics-2025-01-02.log.gz'),
+      'pas du gzip'
+    );
+
+    await expect(
+      queryLogs(dir, 'metrics', parseLogQuery({}))
+    ).rejects.toThrow();
+  });
+});
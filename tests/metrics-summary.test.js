@@ -0,0 +1,168 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const {
+  parseSummaryQuery,
+  summarizeLogs,
+} = require('../services/metrics-summary');
+
+jest.mock('../config/logger');
+
+const telemetry = (timestamp, data) =>
+  JSON.stringify({ timestamp, message: 'telemetry', ...data });
+
+describe('Statistiques agrégées', () => {
+  let dir, file;
+
+  const from = Date.parse('2025-01-01T10:00:00Z');
+  const to = Date.parse('2025-01-01T12:00:00Z');
+  const options = { from, to, bucketMs: 60 * 60 * 1000 };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'summary-'));
+    file = path.join(dir, 'metrics.log');
+    await fs.writeFile(
+      file,
+      [
+        telemetry('2025-01-01T10:05:00Z', {
+          event: 'http',
+          endpoint: '/api/validatePost',
+          status: 201,
+        }),
+        telemetry('2025-01-01T10:06:00Z', {
+          event: 'validation',
+          endpoint: 'validatePost',
+          outcome: 'accepted',
+          reason: null,
+          acceptabilityScore: 92,
+        }),
+        telemetry('2025-01-01T10:07:00Z', {
+          event: 'validation',
+          endpoint: 'validatePost',
+          outcome: 'rejected',
+          reason: 'MODEL_REJECTED',
+          acceptabilityScore: 40,
+        }),
+        'ligne corrompue',
+        JSON.stringify({
+          timestamp: '2025-01-01T10:08:00Z',
+          message: 'Hors télémétrie',
+        }),
+        telemetry('2025-01-01T11:10:00Z', {
+          event: 'validation',
+          endpoint: 'validateData',
+          outcome: 'rejected',
+          reason: 'PROMPT_INJECTION',
+        }),
+        telemetry('2025-01-01T11:15:00Z', {
+          event: 'http',
+          endpoint: '/api/validateData',
+          status: 200,
+        }),
+        ...[120, 80, 300, 100].map((durationMs, i) =>
+          telemetry(`2025-01-01T11:2${i}:00Z`, {
+            event: 'dependency',
+            dependency: 'model',
+            durationMs,
+            success: true,
+          })
+        ),
+        // Hors intervalle
+        telemetry('2025-01-01T12:00:00Z', {
+          event: 'http',
+          endpoint: '/api/validateData',
+        }),
+      ].join('\n')
+    );
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('agrège les événements sur tout l’intervalle', async () => {
+    const summary = await summarizeLogs(dir, 'metrics', options);
+
+    expect(summary.skipped).toBe(1);
+    expect(summary.total.requests).toEqual({
+      total: 2,
+      byEndpoint: { '/api/validatePost': 1, '/api/validateData': 1 },
+    });
+    expect(summary.total.validations.validatePost).toEqual({
+      total: 2,
+      accepted: 1,
+      rejected: 1,
+      errors: 0,
+      acceptanceRate: 0.5,
+      rejectionRate: 0.5,
+      reasons: { MODEL_REJECTED: 1 },
+    });
+    expect(summary.total.scores).toMatchObject({ '40-49': 1, '90-100': 1 });
+    expect(summary.total.latency.model).toEqual({
+      count: 4,
+      p50: 100,
+      p95: 300,
+      p99: 300,
+    });
+    expect(summary.total.latency.cloudinary).toEqual({
+      count: 0,
+      p50: null,
+      p95: null,
+      p99: null,
+    });
+  });
+
+  it('répartit les événements par bucket', async () => {
+    const { buckets } = await summarizeLogs(dir, 'metrics', options);
+
+    expect(buckets.map(({ start, end }) => [start, end])).toEqual([
+      ['2025-01-01T10:00:00.000Z', '2025-01-01T11:00:00.000Z'],
+      ['2025-01-01T11:00:00.000Z', '2025-01-01T12:00:00.000Z'],
+    ]);
+    expect(buckets[0].requests.byEndpoint).toEqual({ '/api/validatePost': 1 });
+    expect(buckets[0].latency.model.count).toBe(0);
+    expect(buckets[1].validations).toEqual({
+      validateData: expect.objectContaining({
+        rejected: 1,
+        rejectionRate: 1,
+        reasons: { PROMPT_INJECTION: 1 },
+      }),
+    });
+    expect(buckets[1].latency.model.count).toBe(4);
+  });
+
+  describe('parseSummaryQuery', () => {
+    it('couvre les dernières 24 heures par heure par défaut', () => {
+      const { from: start, to: end, bucketMs } = parseSummaryQuery({});
+
+      expect(end - start).toBe(24 * 60 * 60 * 1000);
+      expect(bucketMs).toBe(60 * 60 * 1000);
+    });
+
+    it.each([
+      ['5m', 5 * 60 * 1000],
+      ['1d', 24 * 60 * 60 * 1000],
+      ['600000', 600000],
+    ])('accepte le bucket %s', (bucket, ms) => {
+      expect(
+        parseSummaryQuery({
+          from: '2025-01-01T00:00:00Z',
+          to: '2025-01-02T00:00:00Z',
+          bucket,
+        }).bucketMs
+      ).toBe(ms);
+    });
+
+    it.each([
+      [{ bucket: 'hebdo' }, 'bucket'],
+      [{ bucket: '0m' }, 'bucket'],
+      [{ bucket: '1m', from: '2025-01-01', to: '2025-02-01' }, 'bucket'],
+      [{ from: '2025-01-02', to: '2025-01-01' }, 'from'],
+      [{ to: 'demain' }, 'to'],
+    ])('rejette %j', (query, param) => {
+      expect(() => parseSummaryQuery(query)).toThrow(
+        expect.objectContaining({ code: 'INVALID_QUERY', param })
+      );
+    });
+  });
+});
@@ -1,14 +1,46 @@
-const fs = require('fs').promises;
+const fs = require('fs');
 const path = require('path');
+const { Readable } = require('stream');
 const logsController = require('../controllers/metrics.controller');
 
 jest.mock('fs', () => ({
-  promises: {
-    readFile: jest.fn(),
-  },
+  createReadStream: jest.fn(),
+  promises: { readdir: jest.fn() },
 }));
 
 jest.mock('path');
+jest.mock('../config/logger');
+
+/**
+ * Simule le contenu d'un fichier de log lu en flux (option start comprise)
+ */
+const mockFile = (content) => {
+  fs.createReadStream.mockImplementation((filePath, { start = 0 } = {}) =>
+    Readable.from([Buffer.from(content).subarray(start).toString('utf8')])
+  );
+};
+
+/**
+ * Simule un fichier illisible
+ */
+const mockFileError = (error) => {
+  fs.createReadStream.mockImplementation(
+    () =>
+      new Readable({
+        read() {
+          this.destroy(error);
+        },
+      })
+  );
+};
+
+const page = (items, extra = {}) => ({
+  items,
+  count: items.length,
+  skipped: 0,
+  nextCursor: null,
+  ...extra,
+});
 
 describe('MetricsController', () => {
   let req, res;
@@ -16,13 +48,18 @@ describe('MetricsController', () => {
   beforeEach(() => {
     jest.clearAllMocks();
 
-    req = {};
+    req = { query: {} };
     res = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn(),
     };
 
     path.join.mockImplementation((...args) => args.join('/'));
+    fs.promises.readdir.mockResolvedValue([
+      'metrics.log',
+      'errors.log',
+      'warnings.log',
+    ]);
   });
 
   describe('readLogFile (fonction utilitaire)', () => {
@@ -32,28 +69,30 @@ describe('MetricsController', () => {
 {"timestamp":"2025-01-01T10:02:00Z","level":"info","message":"Test message 3"}`;
 
     it('devrait parser correctement les logs JSON multi-lignes', async () => {
-      fs.readFile.mockResolvedValue(mockLogData);
+      mockFile(mockLogData);
 
       await logsController.getMetrics(req, res);
 
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([
-        {
-          timestamp: '2025-01-01T10:00:00Z',
-          level: 'info',
-          message: 'Test message 1',
-        },
-        {
-          timestamp: '2025-01-01T10:01:00Z',
-          level: 'info',
-          message: 'Test message 2',
-        },
-        {
-          timestamp: '2025-01-01T10:02:00Z',
-          level: 'info',
-          message: 'Test message 3',
-        },
-      ]);
+      expect(res.json).toHaveBeenCalledWith(
+        page([
+          {
+            timestamp: '2025-01-01T10:00:00Z',
+            level: 'info',
+            message: 'Test message 1',
+          },
+          {
+            timestamp: '2025-01-01T10:01:00Z',
+            level: 'info',
+            message: 'Test message 2',
+          },
+          {
+            timestamp: '2025-01-01T10:02:00Z',
+            level: 'info',
+            message: 'Test message 3',
+          },
+        ])
+      );
     });
 
     it('devrait ignorer les lignes vides', async () => {
@@ -63,82 +102,275 @@ describe('MetricsController', () => {
 {"timestamp":"2025-01-01T10:01:00Z","level":"info","message":"Test 2"}
 
 `;
-      fs.readFile.mockResolvedValue(logDataWithEmptyLines);
+      mockFile(logDataWithEmptyLines);
 
       await logsController.getMetrics(req, res);
 
-      expect(res.json).toHaveBeenCalledWith([
-        { timestamp: '2025-01-01T10:00:00Z', level: 'info', message: 'Test 1' },
-        { timestamp: '2025-01-01T10:01:00Z', level: 'info', message: 'Test 2' },
-      ]);
+      expect(res.json).toHaveBeenCalledWith(
+        page([
+          {
+            timestamp: '2025-01-01T10:00:00Z',
+            level: 'info',
+            message: 'Test 1',
+          },
+          {
+            timestamp: '2025-01-01T10:01:00Z',
+            level: 'info',
+            message: 'Test 2',
+          },
+        ])
+      );
     });
 
     it('devrait gérer un fichier vide', async () => {
-      fs.readFile.mockResolvedValue('');
+      mockFile('');
 
       await logsController.getMetrics(req, res);
 
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([]);
+      expect(res.json).toHaveBeenCalledWith(page([]));
     });
 
-    it('devrait gérer les erreurs de parsing JSON', async () => {
+    it('devrait ignorer et compter les lignes JSON corrompues', async () => {
       const invalidJsonData = `{"valid":"json"}
 invalid json line
 {"another":"valid"}`;
 
-      fs.readFile.mockResolvedValue(invalidJsonData);
+      mockFile(invalidJsonData);
+
+      await logsController.getMetrics(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(
+        page([{ valid: 'json' }, { another: 'valid' }], { skipped: 1 })
+      );
+    });
+  });
+
+  describe('Filtres', () => {
+    const logs = `{"timestamp":"2025-01-01T10:00:00Z","level":"info","message":"Validation GPT...","service":"ai-service","requestId":"req-42"}
+{"timestamp":"2025-01-01T11:00:00Z","level":"warn","message":"Upload refusé:","service":"ai-service"}
+{"timestamp":"2025-01-01T12:00:00Z","level":"error","message":"Erreur BDD:","service":"ai-service","requestId":"req-42"}
+{"timestamp":"2025-01-01T13:00:00Z","level":"error","message":"Erreur dans validatePost:","service":"notif-service"}`;
+
+    const messages = () =>
+      res.json.mock.calls[0][0].items.map((item) => item.message);
+
+    beforeEach(() => {
+      mockFile(logs);
+    });
+
+    it('filtre par niveau', async () => {
+      req.query = { level: 'warn,error' };
+      await logsController.getMetrics(req, res);
+
+      expect(messages()).toEqual([
+        'Upload refusé:',
+        'Erreur BDD:',
+        'Erreur dans validatePost:',
+      ]);
+    });
+
+    it('filtre par intervalle de temps', async () => {
+      req.query = { from: '2025-01-01T10:30:00Z', to: '2025-01-01T12:00:00Z' };
+      await logsController.getMetrics(req, res);
+
+      expect(messages()).toEqual(['Upload refusé:', 'Erreur BDD:']);
+    });
+
+    it('recherche dans le message sans tenir compte de la casse', async () => {
+      req.query = { q: 'erreur' };
+      await logsController.getMetrics(req, res);
+
+      expect(messages()).toEqual(['Erreur BDD:', 'Erreur dans validatePost:']);
+    });
+
+    it('filtre par service', async () => {
+      req.query = { service: 'notif-service', level: 'error' };
+      await logsController.getMetrics(req, res);
+
+      expect(messages()).toEqual(['Erreur dans validatePost:']);
+    });
+
+    it('filtre par identifiant de requête', async () => {
+      req.query = { requestId: 'req-42' };
+      await logsController.getMetrics(req, res);
+
+      expect(messages()).toEqual(['Validation GPT...', 'Erreur BDD:']);
+    });
+
+    it('pagine avec un curseur', async () => {
+      req.query = { limit: '2' };
+      await logsController.getMetrics(req, res);
+
+      const first = res.json.mock.calls[0][0];
+      expect(first.count).toBe(2);
+      expect(first.nextCursor).toEqual(expect.any(String));
 
+      req.query = { limit: '2', cursor: first.nextCursor };
       await logsController.getMetrics(req, res);
 
+      const second = res.json.mock.calls[1][0];
+      expect(second.items.map((item) => item.message)).toEqual([
+        'Erreur BDD:',
+        'Erreur dans validatePost:',
+      ]);
+      expect(second.nextCursor).toBeNull();
+    });
+
+    it('conserve les filtres entre les pages', async () => {
+      req.query = { level: 'error', limit: '1' };
+      await logsController.getMetrics(req, res);
+      req.query = {
+        level: 'error',
+        limit: '1',
+        cursor: res.json.mock.calls[0][0].nextCursor,
+      };
+      await logsController.getMetrics(req, res);
+
+      expect(res.json.mock.calls[1][0]).toEqual(
+        page([
+          expect.objectContaining({ message: 'Erreur dans validatePost:' }),
+        ])
+      );
+    });
+
+    it.each([
+      [{ limit: '0' }, 'limit'],
+      [{ limit: '5000' }, 'limit'],
+      [{ limit: 'abc' }, 'limit'],
+      [{ from: 'hier' }, 'from'],
+      [{ from: '2025-01-02', to: '2025-01-01' }, 'from'],
+      [{ cursor: 'invalide' }, 'cursor'],
+    ])('rejette les paramètres invalides %j', async (query, param) => {
+      req.query = query;
+      await logsController.getMetrics(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: expect.any(String),
+        code: 'INVALID_QUERY',
+        param,
+      });
+      expect(fs.createReadStream).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSummary', () => {
+    it('agrège les événements de télémétrie de metrics.log', async () => {
+      mockFile(
+        '{"timestamp":"2025-01-01T10:00:00Z","message":"telemetry","event":"http","endpoint":"/api/validateData"}'
+      );
+      req.query = { from: '2025-01-01T00:00:00Z', to: '2025-01-02T00:00:00Z' };
+
+      await logsController.getSummary(req, res);
+
+      expect(path.join).toHaveBeenCalledWith('./storage', 'metrics.log');
+      expect(res.status).toHaveBeenCalledWith(200);
+      const summary = res.json.mock.calls[0][0];
+      expect(summary.total.requests.byEndpoint).toEqual({
+        '/api/validateData': 1,
+      });
+      expect(summary.buckets).toHaveLength(24);
+    });
+
+    it('rejette un bucket invalide', async () => {
+      req.query = { bucket: 'hebdo' };
+
+      await logsController.getSummary(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(fs.createReadStream).not.toHaveBeenCalled();
+    });
+
+    it('renvoie 500 si le fichier est illisible', async () => {
+      mockFileError(new Error('EIO: i/o error'));
+
+      await logsController.getSummary(req, res);
+
       expect(res.status).toHaveBeenCalledWith(500);
       expect(res.json).toHaveBeenCalledWith({
-        message: expect.stringContaining(
-          'Erreur lors de la lecture du fichier'
-        ),
+        message: 'Erreur lors de la lecture du fichier : EIO: i/o error',
       });
     });
   });
 
+  describe('getUsage', () => {
+    it('totalise les événements usage de metrics.log', async () => {
+      mockFile(
+        '{"timestamp":"2025-01-01T10:00:00Z","message":"telemetry","event":"usage","model":"gpt-4o","endpoint":"validateData","promptTokens":100,"completionTokens":10}'
+      );
+      req.query = {
+        from: '2025-01-01T00:00:00Z',
+        to: '2025-01-02T00:00:00Z',
+        groupBy: 'endpoint',
+      };
+
+      await logsController.getUsage(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      const report = res.json.mock.calls[0][0];
+      expect(report.groups.validateData).toMatchObject({
+        calls: 1,
+        totalTokens: 110,
+      });
+    });
+
+    it('rejette un regroupement invalide', async () => {
+      req.query = { groupBy: 'semaine' };
+
+      await logsController.getUsage(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'INVALID_QUERY', param: 'groupBy' })
+      );
+    });
+  });
+
   describe('getMetrics', () => {
     const mockMetricsData = `{"timestamp":"2025-01-01T10:00:00Z","type":"request","method":"POST","endpoint":"/api/validate","duration":150}
 {"timestamp":"2025-01-01T10:01:00Z","type":"request","method":"GET","endpoint":"/api/metrics","duration":25}
 {"timestamp":"2025-01-01T10:02:00Z","type":"system","cpu_usage":75.5,"memory_usage":60.2}`;
 
     it('devrait retourner les métriques avec succès', async () => {
-      fs.readFile.mockResolvedValue(mockMetricsData);
+      mockFile(mockMetricsData);
 
       await logsController.getMetrics(req, res);
 
-      expect(fs.readFile).toHaveBeenCalledWith('./storage/metrics.log', 'utf8');
+      expect(fs.createReadStream).toHaveBeenCalledWith(
+        './storage/metrics.log',
+        expect.objectContaining({ encoding: 'utf8' })
+      );
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([
-        {
-          timestamp: '2025-01-01T10:00:00Z',
-          type: 'request',
-          method: 'POST',
-          endpoint: '/api/validate',
-          duration: 150,
-        },
-        {
-          timestamp: '2025-01-01T10:01:00Z',
-          type: 'request',
-          method: 'GET',
-          endpoint: '/api/metrics',
-          duration: 25,
-        },
-        {
-          timestamp: '2025-01-01T10:02:00Z',
-          type: 'system',
-          cpu_usage: 75.5,
-          memory_usage: 60.2,
-        },
-      ]);
+      expect(res.json).toHaveBeenCalledWith(
+        page([
+          {
+            timestamp: '2025-01-01T10:00:00Z',
+            type: 'request',
+            method: 'POST',
+            endpoint: '/api/validate',
+            duration: 150,
+          },
+          {
+            timestamp: '2025-01-01T10:01:00Z',
+            type: 'request',
+            method: 'GET',
+            endpoint: '/api/metrics',
+            duration: 25,
+          },
+          {
+            timestamp: '2025-01-01T10:02:00Z',
+            type: 'system',
+            cpu_usage: 75.5,
+            memory_usage: 60.2,
+          },
+        ])
+      );
     });
 
     it("devrait gérer l'erreur si le fichier de métriques n'existe pas", async () => {
-      const fileError = new Error('ENOENT: no such file or directory');
-      fs.readFile.mockRejectedValue(fileError);
+      mockFileError(new Error('ENOENT: no such file or directory'));
 
       await logsController.getMetrics(req, res);
 
@@ -150,8 +382,7 @@ invalid json line
     });
 
     it('devrait gérer les erreurs de permission sur le fichier', async () => {
-      const permissionError = new Error('EACCES: permission denied');
-      fs.readFile.mockRejectedValue(permissionError);
+      mockFileError(new Error('EACCES: permission denied'));
 
       await logsController.getMetrics(req, res);
 
@@ -163,12 +394,15 @@ invalid json line
     });
 
     it('devrait utiliser le bon chemin pour le fichier metrics.log', async () => {
-      fs.readFile.mockResolvedValue('{}');
+      mockFile('{}');
 
       await logsController.getMetrics(req, res);
 
       expect(path.join).toHaveBeenCalledWith('./storage', 'metrics.log');
-      expect(fs.readFile).toHaveBeenCalledWith('./storage/metrics.log', 'utf8');
+      expect(fs.createReadStream).toHaveBeenCalledWith(
+        './storage/metrics.log',
+        expect.any(Object)
+      );
     });
   });
 
@@ -178,37 +412,41 @@ invalid json line
 {"timestamp":"2025-01-01T10:02:00Z","level":"error","message":"File upload failed","details":{"filename":"test.jpg","size":2048576}}`;
 
     it('devrait retourner les erreurs avec succès', async () => {
-      fs.readFile.mockResolvedValue(mockErrorsData);
+      mockFile(mockErrorsData);
 
       await logsController.getErrors(req, res);
 
-      expect(fs.readFile).toHaveBeenCalledWith('./storage/errors.log', 'utf8');
+      expect(fs.createReadStream).toHaveBeenCalledWith(
+        './storage/errors.log',
+        expect.any(Object)
+      );
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([
-        {
-          timestamp: '2025-01-01T10:00:00Z',
-          level: 'error',
-          message: 'Database connection failed',
-          stack: 'Error: Connection timeout...',
-        },
-        {
-          timestamp: '2025-01-01T10:01:00Z',
-          level: 'error',
-          message: 'OpenAI API limit exceeded',
-          code: 'rate_limit_exceeded',
-        },
-        {
-          timestamp: '2025-01-01T10:02:00Z',
-          level: 'error',
-          message: 'File upload failed',
-          details: { filename: 'test.jpg', size: 2048576 },
-        },
-      ]);
+      expect(res.json).toHaveBeenCalledWith(
+        page([
+          {
+            timestamp: '2025-01-01T10:00:00Z',
+            level: 'error',
+            message: 'Database connection failed',
+            stack: 'Error: Connection timeout...',
+          },
+          {
+            timestamp: '2025-01-01T10:01:00Z',
+            level: 'error',
+            message: 'OpenAI API limit exceeded',
+            code: 'rate_limit_exceeded',
+          },
+          {
+            timestamp: '2025-01-01T10:02:00Z',
+            level: 'error',
+            message: 'File upload failed',
+            details: { filename: 'test.jpg', size: 2048576 },
+          },
+        ])
+      );
     });
 
     it("devrait gérer l'erreur si le fichier d'erreurs n'existe pas", async () => {
-      const fileError = new Error('File not found');
-      fs.readFile.mockRejectedValue(fileError);
+      mockFileError(new Error('File not found'));
 
       await logsController.getErrors(req, res);
 
@@ -219,21 +457,24 @@ invalid json line
     });
 
     it('devrait utiliser le bon chemin pour le fichier errors.log', async () => {
-      fs.readFile.mockResolvedValue('{}');
+      mockFile('{}');
 
       await logsController.getErrors(req, res);
 
       expect(path.join).toHaveBeenCalledWith('./storage', 'errors.log');
-      expect(fs.readFile).toHaveBeenCalledWith('./storage/errors.log', 'utf8');
+      expect(fs.createReadStream).toHaveBeenCalledWith(
+        './storage/errors.log',
+        expect.any(Object)
+      );
     });
 
-    it("devrait retourner un tableau vide si le fichier d'erreurs est vide", async () => {
-      fs.readFile.mockResolvedValue('');
+    it("devrait retourner une page vide si le fichier d'erreurs est vide", async () => {
+      mockFile('');
 
       await logsController.getErrors(req, res);
 
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([]);
+      expect(res.json).toHaveBeenCalledWith(page([]));
     });
   });
 
@@ -243,41 +484,42 @@ invalid json line
 {"timestamp":"2025-01-01T10:02:00Z","level":"warning","message":"Deprecated API usage","deprecated_method":"old_validation"}`;
 
     it('devrait retourner les warnings avec succès', async () => {
-      fs.readFile.mockResolvedValue(mockWarningsData);
+      mockFile(mockWarningsData);
 
       await logsController.getWarnings(req, res);
 
-      expect(fs.readFile).toHaveBeenCalledWith(
+      expect(fs.createReadStream).toHaveBeenCalledWith(
         './storage/warnings.log',
-        'utf8'
+        expect.any(Object)
       );
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([
-        {
-          timestamp: '2025-01-01T10:00:00Z',
-          level: 'warning',
-          message: 'High memory usage detected',
-          usage: '85%',
-        },
-        {
-          timestamp: '2025-01-01T10:01:00Z',
-          level: 'warning',
-          message: 'Slow response time',
-          endpoint: '/api/validate',
-          duration: 3500,
-        },
-        {
-          timestamp: '2025-01-01T10:02:00Z',
-          level: 'warning',
-          message: 'Deprecated API usage',
-          deprecated_method: 'old_validation',
-        },
-      ]);
+      expect(res.json).toHaveBeenCalledWith(
+        page([
+          {
+            timestamp: '2025-01-01T10:00:00Z',
+            level: 'warning',
+            message: 'High memory usage detected',
+            usage: '85%',
+          },
+          {
+            timestamp: '2025-01-01T10:01:00Z',
+            level: 'warning',
+            message: 'Slow response time',
+            endpoint: '/api/validate',
+            duration: 3500,
+          },
+          {
+            timestamp: '2025-01-01T10:02:00Z',
+            level: 'warning',
+            message: 'Deprecated API usage',
+            deprecated_method: 'old_validation',
+          },
+        ])
+      );
     });
 
     it("devrait gérer l'erreur si le fichier de warnings n'existe pas", async () => {
-      const fileError = new Error('ENOENT: no such file or directory');
-      fs.readFile.mockRejectedValue(fileError);
+      mockFileError(new Error('ENOENT: no such file or directory'));
 
       await logsController.getWarnings(req, res);
 
@@ -289,20 +531,19 @@ invalid json line
     });
 
     it('devrait utiliser le bon chemin pour le fichier warnings.log', async () => {
-      fs.readFile.mockResolvedValue('{}');
+      mockFile('{}');
 
       await logsController.getWarnings(req, res);
 
       expect(path.join).toHaveBeenCalledWith('./storage', 'warnings.log');
-      expect(fs.readFile).toHaveBeenCalledWith(
+      expect(fs.createReadStream).toHaveBeenCalledWith(
         './storage/warnings.log',
-        'utf8'
+        expect.any(Object)
       );
     });
 
     it('devrait gérer les erreurs de lecture asynchrone', async () => {
-      const asyncError = new Error('Async read error');
-      fs.readFile.mockRejectedValue(asyncError);
+      mockFileError(new Error('Async read error'));
 
       await logsController.getWarnings(req, res);
 
@@ -323,8 +564,7 @@ invalid json line
     testMethods.forEach(({ method, file }) => {
       describe(`${method}`, () => {
         it('devrait gérer les erreurs de système de fichiers', async () => {
-          const systemError = new Error('EIO: i/o error');
-          fs.readFile.mockRejectedValue(systemError);
+          mockFileError(new Error('EIO: i/o error'));
 
           await logsController[method](req, res);
 
@@ -334,42 +574,39 @@ invalid json line
           });
         });
 
-        it('devrait gérer les fichiers avec du JSON malformé', async () => {
+        it('devrait ignorer les lignes de JSON malformé', async () => {
           const malformedJson =
             '{"valid": "json"}\n{invalid json}\n{"another": "valid"}';
-          fs.readFile.mockResolvedValue(malformedJson);
+          mockFile(malformedJson);
 
           await logsController[method](req, res);
 
-          expect(res.status).toHaveBeenCalledWith(500);
-          expect(res.json).toHaveBeenCalledWith({
-            message: expect.stringContaining(
-              'Erreur lors de la lecture du fichier'
-            ),
-          });
+          expect(res.status).toHaveBeenCalledWith(200);
+          expect(res.json).toHaveBeenCalledWith(
+            page([{ valid: 'json' }, { another: 'valid' }], { skipped: 1 })
+          );
         });
 
-        it('devrait gérer les très gros fichiers', async () => {
+        it('devrait paginer les très gros fichiers', async () => {
           // Simuler un gros fichier avec beaucoup de lignes
           const bigFileContent = Array(1000)
             .fill('{"timestamp":"2025-01-01T10:00:00Z","message":"test"}')
             .join('\n');
 
-          fs.readFile.mockResolvedValue(bigFileContent);
+          mockFile(bigFileContent);
 
           await logsController[method](req, res);
 
           expect(res.status).toHaveBeenCalledWith(200);
-          expect(res.json).toHaveBeenCalledWith(
-            expect.arrayContaining([
-              expect.objectContaining({
-                timestamp: '2025-01-01T10:00:00Z',
-                message: 'test',
-              }),
-            ])
-          );
-          // Vérifier que le tableau contient bien 1000 éléments
-          expect(res.json.mock.calls[0][0]).toHaveLength(1000);
+          const body = res.json.mock.calls[0][0];
+          expect(body.items[0]).toEqual({
+            timestamp: '2025-01-01T10:00:00Z',
+            message: 'test',
+          });
+          // Page par défaut de 100 entrées, suivie d'un curseur
+          expect(body.count).toBe(100);
+          expect(body.nextCursor).toEqual(expect.any(String));
+          expect(path.join).toHaveBeenCalledWith('./storage', file);
         });
       });
     });
@@ -377,7 +614,7 @@ invalid json line
 
   describe('Configuration et chemins', () => {
     it('devrait utiliser le bon répertoire de stockage', async () => {
-      fs.readFile.mockResolvedValue('{}');
+      mockFile('{}');
 
       await logsController.getMetrics(req, res);
       await logsController.getErrors(req, res);
@@ -389,50 +626,59 @@ invalid json line
     });
 
     it("devrait utiliser l'encodage UTF-8 pour la lecture des fichiers", async () => {
-      fs.readFile.mockResolvedValue('{}');
+      mockFile('{}');
 
       await logsController.getMetrics(req, res);
 
-      expect(fs.readFile).toHaveBeenCalledWith(expect.any(String), 'utf8');
+      expect(fs.createReadStream).toHaveBeenCalledWith(
+        expect.any(String),
+        expect.objectContaining({ encoding: 'utf8' })
+      );
     });
   });
 
   describe('Cas limites', () => {
     it('devrait gérer un fichier contenant uniquement des lignes vides', async () => {
-      const emptyLines = '\n\n\n\n\n';
-      fs.readFile.mockResolvedValue(emptyLines);
+      mockFile('\n\n\n\n\n');
 
       await logsController.getMetrics(req, res);
 
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([]);
+      expect(res.json).toHaveBeenCalledWith(page([]));
     });
 
     it('devrait gérer un fichier avec des espaces et tabulations', async () => {
       const spacedContent = `  {"test": "value1"}  \n\t{"test": "value2"}\t\n   \n{"test": "value3"}   `;
-      fs.readFile.mockResolvedValue(spacedContent);
+      mockFile(spacedContent);
 
       await logsController.getMetrics(req, res);
 
       expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([
-        { test: 'value1' },
-        { test: 'value2' },
-        { test: 'value3' },
-      ]);
+      expect(res.json).toHaveBeenCalledWith(
+        page([{ test: 'value1' }, { test: 'value2' }, { test: 'value3' }])
+      );
     });
 
     it('devrait gérer les caractères Unicode', async () => {
       const unicodeContent =
-        '{"message": "Erreur détectée: problème d\'accès àçèé", "emoji": "🚨"}';
-      fs.readFile.mockResolvedValue(unicodeContent);
+        '{"message": "Erreur détectée: problème d\'accès àçèé", "emoji": "🚨"}\n{"message": "suite"}';
+      mockFile(unicodeContent);
+      req.query = { limit: '1' };
 
       await logsController.getMetrics(req, res);
 
-      expect(res.status).toHaveBeenCalledWith(200);
-      expect(res.json).toHaveBeenCalledWith([
-        { message: "Erreur détectée: problème d'accès àçèé", emoji: '🚨' },
-      ]);
+      expect(res.json).toHaveBeenCalledWith(
+        page(
+          [{ message: "Erreur détectée: problème d'accès àçèé", emoji: '🚨' }],
+          { nextCursor: expect.any(String) }
+        )
+      );
+
+      // Le curseur est une position en octets, caractères multi-octets compris
+      req.query = { cursor: res.json.mock.calls[0][0].nextCursor };
+      await logsController.getMetrics(req, res);
+
+      expect(res.json).toHaveBeenLastCalledWith(page([{ message: 'suite' }]));
     });
   });
 });
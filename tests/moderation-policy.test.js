@@ -0,0 +1,223 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadPolicy,
+  reloadPolicy,
+  getPolicy,
+  setPolicy,
+  applyPolicy,
+  describePolicy,
+} = require('../services/moderation-policy');
+const policyController = require('../controllers/policy.controller');
+const moderationConfig = require('../config/moderation');
+const { audit } = require('../services/audit');
+const InvalidPolicyError = require('../errors/invalid-policy.error');
+
+jest.mock('../config/logger');
+jest.mock('../services/audit');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+describe('Politique de modération', () => {
+  let dir, file, res;
+
+  const policy = {
+    version: '2025-02-01',
+    acceptabilityThreshold: 75,
+    categories: {
+      insult: {
+        action: 'block',
+        minSeverity: 'medium',
+        description: 'Insultes',
+      },
+      spam: { action: 'flag', description: 'Publicité' },
+      off_topic: { action: 'allow', description: 'Hors sujet' },
+    },
+  };
+
+  const write = (content) =>
+    fs.writeFileSync(
+      file,
+      typeof content === 'string' ? content : JSON.stringify(content)
+    );
+
+  const issue = (category, severity) => ({
+    path: 'bio',
+    category,
+    severity,
+    explanation: '...',
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'policy-'));
+    file = path.join(dir, 'moderation.json');
+    moderationConfig.policyFile = file;
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('loadPolicy', () => {
+    it('valide la politique fournie avec le service', async () => {
+      const loaded = await loadPolicy(
+        path.join(__dirname, '..', 'policies', 'moderation.json')
+      );
+
+      expect(loaded.id).toMatch(/^2025-01-01@[0-9a-f]{8}$/);
+    });
+
+    it('identifie la politique par sa version et son contenu', async () => {
+      write(policy);
+      const first = await loadPolicy(file);
+      write({ ...policy, acceptabilityThreshold: 80 });
+      const second = await loadPolicy(file);
+
+      expect(first.id).toMatch(/^2025-02-01@[0-9a-f]{8}$/);
+      expect(second.id).not.toBe(first.id);
+      // Gravité minimale par défaut
+      expect(first.categories.spam.minSeverity).toBe('low');
+    });
+
+    it.each([
+      ['sans version', { ...policy, version: undefined }],
+      [
+        'avec une action inconnue',
+        {
+          ...policy,
+          categories: { insult: { action: 'warn', description: 'Insultes' } },
+        },
+      ],
+      ['avec un seuil hors bornes', { ...policy, acceptabilityThreshold: 120 }],
+    ])('refuse une politique %s', async (label, content) => {
+      write(content);
+
+      await expect(loadPolicy(file)).rejects.toMatchObject({
+        code: 'INVALID_POLICY',
+        errors: [expect.any(String)],
+      });
+    });
+
+    it('refuse un fichier illisible', async () => {
+      write('{ version: ');
+
+      await expect(loadPolicy(file)).rejects.toThrow(InvalidPolicyError);
+    });
+  });
+
+  describe('reloadPolicy', () => {
+    it('conserve la politique courante si le fichier est invalide', async () => {
+      write(policy);
+      const loaded = await reloadPolicy();
+      write({ ...policy, categories: {} });
+
+      await expect(reloadPolicy()).rejects.toThrow(InvalidPolicyError);
+      expect(getPolicy()).toBe(loaded);
+    });
+  });
+
+  describe('applyPolicy', () => {
+    it('applique les actions à partir de la gravité minimale', async () => {
+      write(policy);
+      const loaded = await loadPolicy(file);
+
+      expect(
+        applyPolicy(
+          [
+            issue('insult', 'low'),
+            issue('spam', 'low'),
+            issue('off_topic', 'high'),
+            issue('unknown', 'high'),
+          ],
+          loaded
+        )
+      ).toEqual({
+        blocked: false,
+        issues: [{ ...issue('spam', 'low'), action: 'flag' }],
+      });
+      expect(applyPolicy([issue('insult', 'high')], loaded)).toEqual({
+        blocked: true,
+        issues: [{ ...issue('insult', 'high'), action: 'block' }],
+      });
+    });
+  });
+
+  describe('describePolicy', () => {
+    it('décrit chaque catégorie et son traitement', async () => {
+      write({ ...policy, guidance: 'Sois tolérant.' });
+
+      const text = describePolicy(await loadPolicy(file));
+
+      expect(text).toContain(
+        '- insult : Insultes (refusé à partir de la gravité medium)'
+      );
+      expect(text).toContain('- off_topic : Hors sujet (toléré');
+      expect(text).toContain('Sois tolérant.');
+    });
+  });
+
+  describe('policyController', () => {
+    beforeEach(async () => {
+      write(policy);
+      await reloadPolicy();
+    });
+
+    it('renvoie la politique courante', () => {
+      policyController.getPolicy({}, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({
+        success: true,
+        policy: getPolicy(),
+      });
+    });
+
+    it('recharge la politique et trace le rechargement', async () => {
+      const previous = getPolicy().id;
+      write({ ...policy, version: '2025-03-01' });
+
+      await policyController.reloadPolicy({ user: { id: 'admin-1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(getPolicy().version).toBe('2025-03-01');
+      expect(audit).toHaveBeenCalledWith('policy.reloaded', {
+        userId: 'admin-1',
+        previous,
+        current: getPolicy().id,
+      });
+    });
+
+    it('refuse un fichier invalide en conservant la politique courante', async () => {
+      const current = getPolicy();
+      write({ ...policy, acceptabilityThreshold: 'haut' });
+
+      await policyController.reloadPolicy({ user: { id: 'admin-1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          code: 'INVALID_POLICY',
+          details: ['/acceptabilityThreshold must be integer'],
+          current: current.id,
+        })
+      );
+      expect(getPolicy()).toBe(current);
+      expect(audit).not.toHaveBeenCalled();
+    });
+
+    it("répond en erreur si aucune politique n'est chargée", async () => {
+      setPolicy(undefined);
+
+      await policyController.reloadPolicy({ user: { id: 'admin-1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ success: false, error: 'Erreur serveur' })
+      );
+      expect(audit).not.toHaveBeenCalled();
+    });
+  });
+});
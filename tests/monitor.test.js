@@ -0,0 +1,256 @@
+const https = require('https');
+const cron = require('node-cron');
+const cloudinary = require('../config/cloudinary');
+const {
+  createMonitor,
+  defaultTargets,
+  transitionAlert,
+  setMonitor,
+} = require('../cron/monitor');
+const statusController = require('../controllers/status.controller');
+const { setProvider } = require('../providers');
+
+jest.mock('node-cron', () => ({
+  schedule: jest.fn(() => ({ stop: jest.fn() })),
+}));
+jest.mock('../config/logger');
+jest.mock('../config/cloudinary');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+global.fetch = jest.fn();
+
+describe('Moniteur de disponibilité', () => {
+  let results, probe, monitor;
+
+  // Sonde pilotée par le test : true (succès) ou message d'erreur
+  const nextResult = async () => {
+    const result = results.shift();
+    if (result !== true) throw new Error(result);
+  };
+
+  const run = async (...outcomes) => {
+    for (const outcome of outcomes) {
+      results.push(outcome);
+      await monitor.check();
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    results = [];
+    probe = jest.fn(nextResult);
+    monitor = createMonitor({
+      targets: [{ name: 'bdd', probe }],
+      failureThreshold: 2,
+      recoveryThreshold: 2,
+      historySize: 3,
+    });
+  });
+
+  it("établit l'état dès le premier passage", async () => {
+    expect(monitor.getStatus().status).toBe('unknown');
+
+    await run(true);
+
+    const { status, targets, history } = monitor.getStatus();
+    expect(status).toBe('up');
+    expect(targets[0]).toMatchObject({
+      name: 'bdd',
+      status: 'up',
+      since: expect.any(String),
+      consecutiveSuccesses: 1,
+    });
+    expect(history).toEqual([
+      {
+        target: 'bdd',
+        from: 'unknown',
+        to: 'up',
+        at: expect.any(String),
+        error: null,
+      },
+    ]);
+  });
+
+  it("amortit les oscillations avant de changer d'état", async () => {
+    await run(true, 'ECONNREFUSED', true, 'ECONNREFUSED');
+    expect(monitor.getStatus().status).toBe('up');
+
+    await run('ECONNREFUSED');
+    expect(monitor.getStatus().targets[0]).toMatchObject({
+      status: 'down',
+      lastError: 'ECONNREFUSED',
+    });
+
+    await run(true, 'ECONNREFUSED', true);
+    expect(monitor.getStatus().status).toBe('down');
+    await run(true);
+    expect(monitor.getStatus().status).toBe('up');
+  });
+
+  it('horodate les transitions et conserve un historique borné', async () => {
+    const transitions = [];
+    monitor.on('transition', (entry) => transitions.push(entry));
+
+    await run(true, 'a', 'b', true, true, 'c', 'd');
+
+    expect(transitions.map(({ from, to }) => `${from}>${to}`)).toEqual([
+      'unknown>up',
+      'up>down',
+      'down>up',
+      'up>down',
+    ]);
+    expect(transitions[1].error).toBe('b');
+    // Historique du plus récent au plus ancien, limité à historySize
+    expect(monitor.getStatus().history.map(({ to }) => to)).toEqual([
+      'down',
+      'up',
+      'down',
+    ]);
+  });
+
+  it('considère comme un échec une sonde qui dépasse le délai', async () => {
+    monitor = createMonitor({
+      targets: [{ name: 'provider', probe: () => new Promise(() => {}) }],
+      timeout: 10,
+    });
+
+    await monitor.check();
+
+    expect(monitor.getStatus().targets[0]).toMatchObject({
+      status: 'down',
+      lastError: 'Pas de réponse après 10 ms',
+    });
+  });
+
+  it('ne relance pas un passage encore en cours', async () => {
+    results.push(true);
+    await Promise.all([monitor.check(), monitor.check()]);
+
+    expect(probe).toHaveBeenCalledTimes(1);
+  });
+
+  it('indique un état dégradé si une partie des cibles est indisponible', async () => {
+    monitor = createMonitor({
+      targets: [
+        { name: 'bdd', probe: async () => {} },
+        { name: 'cloudinary', probe: nextResult },
+      ],
+    });
+    results.push('401 Unauthorized');
+
+    await monitor.check();
+
+    expect(monitor.getStatus().status).toBe('degraded');
+  });
+
+  it('planifie les sondes au démarrage', async () => {
+    results.push(true);
+    monitor.start('*/5 * * * *');
+    monitor.start('*/5 * * * *');
+
+    expect(cron.schedule).toHaveBeenCalledTimes(1);
+    expect(cron.schedule).toHaveBeenCalledWith(
+      '*/5 * * * *',
+      expect.any(Function)
+    );
+    // Premier passage immédiat, partagé avec un appel concurrent
+    await monitor.check();
+    expect(probe).toHaveBeenCalledTimes(1);
+  });
+
+  describe('cibles par défaut', () => {
+    const probes = () =>
+      Object.fromEntries(defaultTargets().map((t) => [t.name, t.probe]));
+
+    it('sonde le microservice BDD', async () => {
+      process.env.SERVICE_BDD_URL = 'http://bdd.local';
+      global.fetch.mockResolvedValueOnce({ status: 404 });
+      global.fetch.mockResolvedValueOnce({ status: 503 });
+
+      await expect(probes().bdd()).resolves.toBeUndefined();
+      await expect(probes().bdd()).rejects.toThrow(
+        'Microservice BDD en erreur (503)'
+      );
+      expect(global.fetch).toHaveBeenCalledWith('http://bdd.local', {
+        signal: expect.any(AbortSignal),
+      });
+    });
+
+    it('interrompt la requête au microservice BDD après le délai', async () => {
+      process.env.SERVICE_BDD_URL = 'http://bdd.local';
+      global.fetch.mockImplementationOnce(
+        (url, { signal }) =>
+          new Promise((resolve, reject) =>
+            signal.addEventListener('abort', () => reject(signal.reason))
+          )
+      );
+      const [bdd] = defaultTargets({ timeout: 10 });
+
+      await expect(bdd.probe()).rejects.toMatchObject({
+        name: 'TimeoutError',
+      });
+    });
+
+    it("sonde le fournisseur d'IA et Cloudinary", async () => {
+      const ping = jest.fn().mockResolvedValue();
+      setProvider({ name: 'mock', ping });
+      cloudinary.api = { ping: jest.fn().mockResolvedValue({ status: 'ok' }) };
+
+      const [, provider, cloud] = defaultTargets({ timeout: 50 });
+
+      await provider.probe();
+      await cloud.probe();
+
+      expect(ping).toHaveBeenCalledWith({ timeout: 50 });
+      expect(cloudinary.api.ping).toHaveBeenCalledWith({
+        timeout: 50,
+        agent: expect.any(https.Agent),
+      });
+    });
+  });
+
+  describe('transitionAlert', () => {
+    it('signale une cible indisponible en alerte critique', () => {
+      expect(
+        transitionAlert({
+          target: 'bdd',
+          from: 'up',
+          to: 'down',
+          at: '2025-01-01T10:00:00.000Z',
+          error: 'ECONNREFUSED',
+        })
+      ).toEqual({
+        type: 'monitor.down',
+        severity: 'critical',
+        title: 'bdd indisponible',
+        message: 'La cible bdd ne répond plus : ECONNREFUSED',
+        source: 'monitor',
+        details: { target: 'bdd', from: 'up', to: 'down' },
+        at: '2025-01-01T10:00:00.000Z',
+        dedupKey: 'monitor:bdd:down',
+      });
+    });
+
+    it("ne signale pas l'état up établi au démarrage", () => {
+      expect(
+        transitionAlert({ target: 'bdd', from: 'unknown', to: 'up' })
+      ).toBeNull();
+      expect(
+        transitionAlert({ target: 'bdd', from: 'down', to: 'up' })
+      ).toMatchObject({ type: 'monitor.up', severity: 'info' });
+    });
+  });
+
+  describe('GET /api/status', () => {
+    it("renvoie l'état du moniteur courant", async () => {
+      await run(true);
+      setMonitor(monitor);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      statusController.getStatus({}, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(monitor.getStatus());
+    });
+  });
+});
@@ -0,0 +1,111 @@
+const { createPrometheusRegistry } = require('../services/prometheus');
+const { EVENTS, recordEvent } = require('../services/telemetry');
+
+jest.mock('../config/logger');
+
+describe('Métriques Prometheus', () => {
+  let prometheus;
+
+  beforeEach(() => {
+    prometheus = createPrometheusRegistry({ defaultMetrics: false });
+  });
+
+  afterEach(() => {
+    prometheus.stop();
+  });
+
+  const scrape = () => prometheus.registry.metrics();
+
+  it('compte les requêtes HTTP et leur durée par route', async () => {
+    recordEvent(EVENTS.HTTP, {
+      method: 'POST',
+      endpoint: '/api/validate/validateData',
+      status: 200,
+      durationMs: 120,
+    });
+
+    const text = await scrape();
+    expect(text).toContain(
+      'http_requests_total{method="POST",route="/api/validate/validateData",status="200"} 1'
+    );
+    expect(text).toContain(
+      'http_request_duration_seconds_bucket{le="0.25",method="POST",route="/api/validate/validateData"} 1'
+    );
+    expect(text).toContain(
+      'http_request_duration_seconds_bucket{le="0.1",method="POST",route="/api/validate/validateData"} 0'
+    );
+  });
+
+  it('compte les validations par issue et motif', async () => {
+    recordEvent(EVENTS.VALIDATION, {
+      endpoint: 'validatePost',
+      outcome: 'rejected',
+      reason: 'IMAGE_REUSED',
+    });
+    recordEvent(EVENTS.VALIDATION, {
+      endpoint: 'validatePost',
+      outcome: 'accepted',
+      reason: null,
+    });
+
+    const text = await scrape();
+    expect(text).toContain(
+      'validations_total{endpoint="validatePost",outcome="rejected",reason="IMAGE_REUSED"} 1'
+    );
+    expect(text).toContain(
+      'validations_total{endpoint="validatePost",outcome="accepted",reason="none"} 1'
+    );
+  });
+
+  it('compte les tokens consommés par type', async () => {
+    recordEvent(EVENTS.USAGE, {
+      model: 'gpt-4o',
+      task: 'post',
+      promptTokens: 900,
+      completionTokens: 100,
+    });
+    recordEvent(EVENTS.USAGE, {
+      model: 'gpt-4o',
+      task: 'post',
+      promptTokens: 100,
+      completionTokens: 50,
+    });
+
+    const text = await scrape();
+    expect(text).toContain(
+      'model_tokens_total{model="gpt-4o",task="post",type="prompt"} 1000'
+    );
+    expect(text).toContain(
+      'model_tokens_total{model="gpt-4o",task="post",type="completion"} 150'
+    );
+  });
+
+  it('compte les erreurs des services externes', async () => {
+    recordEvent(EVENTS.DEPENDENCY, {
+      dependency: 'cloudinary',
+      operation: 'upload',
+      success: false,
+    });
+    recordEvent(EVENTS.DEPENDENCY, {
+      dependency: 'bdd',
+      operation: 'createPost',
+      success: true,
+    });
+
+    const text = await scrape();
+    expect(text).toContain(
+      'upstream_errors_total{dependency="cloudinary",operation="upload"} 1'
+    );
+    expect(text).not.toContain('upstream_errors_total{dependency="bdd"');
+  });
+
+  it('ne compte plus rien une fois arrêté', async () => {
+    prometheus.stop();
+    recordEvent(EVENTS.VALIDATION, {
+      endpoint: 'validateData',
+      outcome: 'accepted',
+    });
+
+    expect(await scrape()).not.toContain('validations_total{');
+  });
+});
@@ -0,0 +1,233 @@
+const { OpenAI } = require('openai');
+const { createProvider } = require('../providers');
+const buildPostVerdictSchema = require('../schemas/post-verdict.schema');
+
+jest.mock('openai');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+global.fetch = jest.fn();
+
+describe('Fournisseurs IA', () => {
+  const messages = [
+    { role: 'user', content: [{ type: 'text', text: 'Bonjour' }] },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('rejette un fournisseur inconnu', () => {
+    expect(() => createProvider({ provider: 'inconnu' })).toThrow(
+      "Fournisseur d'IA inconnu : inconnu"
+    );
+  });
+
+  describe('openai', () => {
+    let create, retrieve;
+
+    beforeEach(() => {
+      create = jest.fn().mockResolvedValue({
+        model: 'gpt-4o-2024-08-06',
+        choices: [{ message: { content: '{"success":true}' } }],
+        usage: { prompt_tokens: 120, completion_tokens: 8 },
+      });
+      retrieve = jest.fn().mockResolvedValue({ id: 'gpt-4o' });
+      OpenAI.mockImplementation(() => ({
+        chat: { completions: { create } },
+        models: { retrieve },
+      }));
+    });
+
+    it('appelle le modèle configuré et normalise la réponse', async () => {
+      const provider = createProvider({
+        provider: 'openai',
+        model: 'gpt-4o',
+        apiKey: 'sk-test',
+      });
+
+      const result = await provider.complete({ messages, maxTokens: 50 });
+
+      expect(OpenAI).toHaveBeenCalledWith(
+        expect.objectContaining({ apiKey: 'sk-test' })
+      );
+      expect(create).toHaveBeenCalledWith({
+        model: 'gpt-4o',
+        messages,
+        max_tokens: 50,
+        temperature: undefined,
+      });
+      expect(result).toEqual({
+        content: '{"success":true}',
+        model: 'gpt-4o-2024-08-06',
+        usage: { promptTokens: 120, completionTokens: 8 },
+      });
+    });
+
+    it("ne crée le client qu'au premier appel", async () => {
+      const provider = createProvider({ provider: 'openai', model: 'gpt-4o' });
+      expect(OpenAI).not.toHaveBeenCalled();
+
+      await provider.complete({ messages });
+      await provider.complete({ messages });
+
+      expect(OpenAI).toHaveBeenCalledTimes(1);
+    });
+
+    it('vérifie la disponibilité du modèle sans complétion', async () => {
+      const provider = createProvider({ provider: 'openai', model: 'gpt-4o' });
+
+      await provider.ping();
+
+      expect(retrieve).toHaveBeenCalledWith('gpt-4o', undefined);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    it('limite la vérification au délai demandé, sans nouvel essai', async () => {
+      const provider = createProvider({ provider: 'openai', model: 'gpt-4o' });
+
+      await provider.ping({ timeout: 3000 });
+
+      expect(retrieve).toHaveBeenCalledWith('gpt-4o', {
+        timeout: 3000,
+        maxRetries: 0,
+      });
+    });
+  });
+
+  describe('local', () => {
+    it('exige une URL de base', () => {
+      expect(() =>
+        createProvider({ provider: 'local', model: 'llava' })
+      ).toThrow('AI_BASE_URL est requis pour le fournisseur local');
+    });
+
+    it("appelle l'endpoint /chat/completions du serveur", async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        json: () =>
+          Promise.resolve({
+            choices: [{ message: { content: '{"success":false}' } }],
+            usage: { prompt_tokens: 10, completion_tokens: 2 },
+          }),
+      });
+      const provider = createProvider({
+        provider: 'local',
+        model: 'llava',
+        baseURL: 'http://localhost:11434/v1/',
+      });
+
+      const result = await provider.complete({ messages, temperature: 0 });
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost:11434/v1/chat/completions',
+        expect.objectContaining({ method: 'POST' })
+      );
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body)).toEqual({
+        model: 'llava',
+        messages,
+        temperature: 0,
+      });
+      expect(result).toEqual({
+        content: '{"success":false}',
+        model: 'llava',
+        usage: { promptTokens: 10, completionTokens: 2 },
+      });
+    });
+
+    it('remonte les erreurs HTTP du serveur', async () => {
+      global.fetch.mockResolvedValue({
+        ok: false,
+        status: 503,
+        text: () => Promise.resolve('model loading'),
+      });
+      const provider = createProvider({
+        provider: 'local',
+        model: 'llava',
+        baseURL: 'http://localhost:11434/v1',
+      });
+
+      await expect(provider.complete({ messages })).rejects.toThrow(
+        'Fournisseur local en erreur (503) : model loading'
+      );
+    });
+
+    it('vérifie la disponibilité du serveur via /models', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 502 });
+      const provider = createProvider({
+        provider: 'local',
+        model: 'llava',
+        baseURL: 'http://localhost:11434/v1',
+        apiKey: 'secret',
+      });
+
+      await expect(provider.ping()).rejects.toThrow(
+        'Fournisseur local en erreur (502)'
+      );
+      expect(global.fetch).toHaveBeenCalledWith(
+        'http://localhost:11434/v1/models',
+        expect.objectContaining({
+          headers: { Authorization: 'Bearer secret' },
+        })
+      );
+    });
+  });
+
+  describe('stub', () => {
+    it('renvoie une réponse déterministe par tâche sans appel réseau', async () => {
+      const provider = createProvider({ provider: 'stub', model: 'stub' });
+
+      const result = await provider.complete({ task: 'data', messages });
+
+      expect(JSON.parse(result.content)).toEqual({ flagged: [] });
+      expect(result.usage.promptTokens).toBeGreaterThan(0);
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('rend un verdict conforme pour chaque image imposée par le schéma', async () => {
+      const provider = createProvider({ provider: 'stub' });
+
+      const result = await provider.complete({
+        task: 'post',
+        messages,
+        schema: buildPostVerdictSchema(['avant.jpg', 'arriere.jpg'], {
+          threshold: 80,
+          categories: ['spam'],
+        }),
+      });
+
+      const verdict = JSON.parse(result.content);
+      expect(verdict.success).toBe(true);
+      expect(verdict.images.map((image) => image.name)).toEqual([
+        'avant.jpg',
+        'arriere.jpg',
+      ]);
+    });
+
+    it('accepte des réponses configurées ou calculées', async () => {
+      const provider = createProvider({
+        provider: 'stub',
+        replies: {
+          data: 'texte brut',
+          post: (request) => ({ success: false, task: request.task }),
+        },
+      });
+
+      expect(
+        (await provider.complete({ task: 'data', messages })).content
+      ).toBe('texte brut');
+      expect(
+        JSON.parse(
+          (await provider.complete({ task: 'post', messages })).content
+        )
+      ).toEqual({ success: false, task: 'post' });
+    });
+
+    it('rejette une tâche sans réponse configurée', async () => {
+      const provider = createProvider({ provider: 'stub' });
+
+      await expect(
+        provider.complete({ task: 'inconnue', messages })
+      ).rejects.toThrow('Aucune réponse stub pour la tâche "inconnue"');
+    });
+  });
+});
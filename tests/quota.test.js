@@ -0,0 +1,319 @@
+const createMemoryQuotaStore = require('../services/quota/memory.store');
+const {
+  setQuotaStore,
+  getQuotaStatus,
+  checkQuota,
+  reserveQuota,
+  releaseQuota,
+  recordQuotaUsage,
+  setUserQuota,
+  startQuotaAccounting,
+} = require('../services/quota');
+const { EVENTS, recordEvent } = require('../services/telemetry');
+const { cleanupFiles } = require('../services/post-validation');
+const enforceQuota = require('../middlewares/quota');
+const quotaController = require('../controllers/quota.controller');
+const quotaConfig = require('../config/quota');
+
+jest.mock('../config/logger');
+jest.mock('../services/post-validation', () => ({ cleanupFiles: jest.fn() }));
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+describe('Quotas par utilisateur', () => {
+  let now, res, defaults;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = Date.parse('2025-01-31T22:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    setQuotaStore(createMemoryQuotaStore());
+    defaults = structuredClone(quotaConfig.limits);
+    quotaConfig.limits.daily = { validations: 3, images: 10, tokens: 1000 };
+    quotaConfig.limits.monthly = { validations: 5, images: 0, tokens: 0 };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterEach(() => {
+    quotaConfig.limits = defaults;
+    jest.restoreAllMocks();
+  });
+
+  describe('checkQuota', () => {
+    it('accepte une requête dans les quotas', async () => {
+      await recordQuotaUsage('u1', { validations: 2, images: 6 });
+
+      expect(await checkQuota('u1', { validations: 1, images: 4 })).toBeNull();
+    });
+
+    it('refuse une requête qui dépasserait le quota journalier', async () => {
+      await recordQuotaUsage('u1', { validations: 1, images: 8 });
+
+      expect(await checkQuota('u1', { validations: 1, images: 3 })).toEqual({
+        period: 'daily',
+        metric: 'images',
+        limit: 10,
+        used: 8,
+        resetAt: '2025-02-01T00:00:00.000Z',
+      });
+    });
+
+    it('refuse une fois le quota de tokens atteint', async () => {
+      await recordQuotaUsage('u1', { tokens: 1000 });
+
+      expect(await checkQuota('u1', { validations: 1 })).toMatchObject({
+        metric: 'tokens',
+        used: 1000,
+      });
+    });
+
+    it('réinitialise les compteurs à chaque période', async () => {
+      await recordQuotaUsage('u1', { validations: 3 });
+      expect(await checkQuota('u1', { validations: 1 })).toMatchObject({
+        period: 'daily',
+      });
+
+      // Le lendemain, le quota journalier est réinitialisé
+      now = Date.parse('2025-02-01T08:00:00Z');
+      expect(await checkQuota('u1', { validations: 1 })).toBeNull();
+    });
+
+    it('applique le quota mensuel', async () => {
+      await recordQuotaUsage('u1', { validations: 2 });
+      now = Date.parse('2025-01-30T10:00:00Z');
+      await recordQuotaUsage('u1', { validations: 3 });
+      now = Date.parse('2025-01-31T22:00:00Z');
+
+      expect(await checkQuota('u1', { validations: 1 })).toEqual({
+        period: 'monthly',
+        metric: 'validations',
+        limit: 5,
+        used: 5,
+        resetAt: '2025-02-01T00:00:00.000Z',
+      });
+    });
+
+    it('applique les quotas personnalisés', async () => {
+      await recordQuotaUsage('u1', { validations: 3 });
+      await setUserQuota('u1', { daily: { validations: 10 } });
+
+      expect(await checkQuota('u1', { validations: 1 })).toBeNull();
+    });
+  });
+
+  describe('reserveQuota', () => {
+    it('réserve la consommation annoncée', async () => {
+      const { exceeded, reservation } = await reserveQuota('u1', {
+        validations: 1,
+        images: 4,
+      });
+
+      expect(exceeded).toBeNull();
+      const { usage } = await getQuotaStatus('u1');
+      expect(usage.daily).toMatchObject({ validations: 1, images: 4 });
+      expect(usage.monthly).toMatchObject({ validations: 1, images: 4 });
+
+      await releaseQuota(reservation);
+      expect((await getQuotaStatus('u1')).usage.daily).toMatchObject({
+        validations: 0,
+        images: 0,
+      });
+    });
+
+    it("annule la réservation d'une requête refusée", async () => {
+      await recordQuotaUsage('u1', { images: 8 });
+
+      const { exceeded, reservation } = await reserveQuota('u1', {
+        validations: 1,
+        images: 3,
+      });
+
+      expect(reservation).toBeNull();
+      expect(exceeded).toEqual({
+        period: 'daily',
+        metric: 'images',
+        limit: 10,
+        used: 8,
+        resetAt: '2025-02-01T00:00:00.000Z',
+      });
+      const { usage } = await getQuotaStatus('u1');
+      expect(usage.daily).toMatchObject({ validations: 0, images: 8 });
+      expect(usage.monthly).toMatchObject({ validations: 0, images: 8 });
+    });
+
+    it('ne laisse pas des requêtes concurrentes dépasser le quota', async () => {
+      const results = await Promise.all(
+        Array.from({ length: 5 }, () => reserveQuota('u1', { validations: 1 }))
+      );
+
+      expect(results.filter(({ exceeded }) => !exceeded)).toHaveLength(3);
+      expect((await getQuotaStatus('u1')).usage.daily.validations).toBe(3);
+    });
+  });
+
+  describe('setUserQuota', () => {
+    it('rétablit le quota par défaut avec null', async () => {
+      await setUserQuota('u1', { daily: { validations: 10, images: 50 } });
+      await setUserQuota('u1', { daily: { validations: null } });
+
+      const status = await getQuotaStatus('u1');
+      expect(status.overrides).toEqual({ daily: { images: 50 } });
+      expect(status.limits.daily).toEqual({
+        validations: 3,
+        images: 50,
+        tokens: 1000,
+      });
+    });
+  });
+
+  describe('startQuotaAccounting', () => {
+    it('décompte les tokens des événements', async () => {
+      const stop = startQuotaAccounting();
+      recordEvent(EVENTS.VALIDATION, {
+        endpoint: 'validatePost',
+        outcome: 'rejected',
+        images: 4,
+        userId: 'u1',
+      });
+      recordEvent(EVENTS.VALIDATION, {
+        endpoint: 'validatePost',
+        outcome: 'error',
+        images: 4,
+        userId: 'u1',
+      });
+      recordEvent(EVENTS.USAGE, {
+        userId: 'u1',
+        promptTokens: 300,
+        completionTokens: 20,
+      });
+      recordEvent(EVENTS.USAGE, { promptTokens: 999, completionTokens: 0 });
+      stop();
+      await new Promise((resolve) => setImmediate(resolve));
+
+      // Validations et images sont réservées par enforceQuota
+      const { usage } = await getQuotaStatus('u1');
+      expect(usage.daily).toEqual({
+        validations: 0,
+        images: 0,
+        tokens: 320,
+        resetAt: '2025-02-01T00:00:00.000Z',
+      });
+      expect(usage.monthly).toMatchObject({ validations: 0, tokens: 320 });
+    });
+  });
+
+  describe('enforceQuota', () => {
+    const files = [{ path: '/tmp/a.jpg' }, { path: '/tmp/b.jpg' }];
+
+    it('laisse passer une requête dans les quotas en réservant sa consommation', async () => {
+      const next = jest.fn();
+      const req = { user: { id: 'u1' }, files };
+      await enforceQuota(req, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.quotaReservation).toEqual({
+        userId: 'u1',
+        amounts: { validations: 1, images: 2 },
+        reservedAt: now,
+      });
+    });
+
+    it('refuse les requêtes concurrentes au-delà du quota', async () => {
+      const next = jest.fn();
+      await Promise.all(
+        Array.from({ length: 4 }, () =>
+          enforceQuota({ user: { id: 'u1' }, files }, res, next)
+        )
+      );
+
+      expect(next).toHaveBeenCalledTimes(3);
+      expect(res.status).toHaveBeenCalledTimes(1);
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
+    it('répond 429 avec la date de réinitialisation au-delà du quota', async () => {
+      await recordQuotaUsage('u1', { validations: 3 });
+      const next = jest.fn();
+
+      await enforceQuota({ user: { id: 'u1' }, files }, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(cleanupFiles).toHaveBeenCalledWith(files);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '7200');
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          success: false,
+          code: 'QUOTA_EXCEEDED',
+          resetAt: '2025-02-01T00:00:00.000Z',
+          retryAfter: 7200,
+          quota: expect.objectContaining({
+            period: 'daily',
+            metric: 'validations',
+          }),
+        })
+      );
+    });
+
+    it('laisse passer la requête si le stockage est indisponible', async () => {
+      setQuotaStore({
+        get: jest.fn().mockRejectedValue(new Error('Redis indisponible')),
+        getLimits: jest.fn().mockRejectedValue(new Error('Redis indisponible')),
+      });
+      const next = jest.fn();
+
+      await enforceQuota({ user: { id: 'u1' }, files }, res, next);
+
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('quotaController', () => {
+    it('renvoie les quotas et la consommation', async () => {
+      await recordQuotaUsage('u1', { images: 2 });
+
+      await quotaController.getQuota({ params: { userId: 'u1' } }, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0]).toMatchObject({
+        success: true,
+        userId: 'u1',
+        usage: { daily: { images: 2 } },
+      });
+    });
+
+    it("relève le quota d'un utilisateur", async () => {
+      await quotaController.updateQuota(
+        {
+          params: { userId: 'u1' },
+          body: { monthly: { images: 5000 } },
+          user: { id: 'admin-1', role: 'admin' },
+        },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json.mock.calls[0][0].limits.monthly.images).toBe(5000);
+    });
+
+    it.each([
+      [{}],
+      [{ daily: { images: -1 } }],
+      [{ daily: { requests: 10 } }],
+      [{ weekly: { images: 10 } }],
+    ])('rejette des quotas invalides (%o)', async (body) => {
+      await quotaController.updateQuota(
+        { params: { userId: 'u1' }, body },
+        res
+      );
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'INVALID_QUOTA' })
+      );
+    });
+  });
+});
@@ -0,0 +1,170 @@
+const createMemoryRateLimitStore = require('../services/rate-limit/memory.store');
+const { setRateLimitStore } = require('../services/rate-limit');
+const { rateLimit, byUser, byIp } = require('../middlewares/rate-limit');
+const logger = require('../config/logger');
+
+jest.mock('../config/logger');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+describe('Limitation des requêtes', () => {
+  let now;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Stockage en mémoire', () => {
+    const rule = { limit: 2, windowMs: 60 * 1000 };
+
+    it('refuse au-delà de la limite dans la fenêtre', async () => {
+      const store = createMemoryRateLimitStore();
+
+      expect(await store.consume('k', rule)).toEqual({
+        allowed: true,
+        remaining: 1,
+        resetAt: now + 60 * 1000,
+      });
+      now += 10 * 1000;
+      expect((await store.consume('k', rule)).remaining).toBe(0);
+      now += 10 * 1000;
+      expect(await store.consume('k', rule)).toEqual({
+        allowed: false,
+        remaining: 0,
+        resetAt: now - 20 * 1000 + 60 * 1000,
+      });
+    });
+
+    it('libère une place quand la plus ancienne requête sort de la fenêtre', async () => {
+      const store = createMemoryRateLimitStore();
+      await store.consume('k', rule);
+      now += 30 * 1000;
+      await store.consume('k', rule);
+
+      now += 31 * 1000;
+      expect((await store.consume('k', rule)).allowed).toBe(true);
+      expect((await store.consume('k', rule)).allowed).toBe(false);
+    });
+
+    it('compte chaque clé séparément', async () => {
+      const store = createMemoryRateLimitStore();
+      await store.consume('a', rule);
+      await store.consume('a', rule);
+
+      expect((await store.consume('a', rule)).allowed).toBe(false);
+      expect((await store.consume('b', rule)).allowed).toBe(true);
+    });
+
+    it('remet une clé à zéro', async () => {
+      const store = createMemoryRateLimitStore();
+      await store.consume('k', rule);
+      await store.consume('k', rule);
+      await store.reset('k');
+
+      expect((await store.consume('k', rule)).allowed).toBe(true);
+    });
+  });
+
+  describe('Middleware', () => {
+    let res, next;
+
+    const call = (middleware, req) => middleware(req, res, next);
+
+    beforeEach(() => {
+      setRateLimitStore(createMemoryRateLimitStore());
+      res = {
+        set: jest.fn().mockReturnThis(),
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis(),
+      };
+      next = jest.fn();
+    });
+
+    it('renseigne les headers RateLimit-* et laisse passer', async () => {
+      const limiter = rateLimit({ name: 'test', limit: 3, windowMs: 60000 });
+      await call(limiter, { ip: '10.0.0.1' });
+
+      expect(next).toHaveBeenCalled();
+      expect(res.set).toHaveBeenCalledWith({
+        'RateLimit-Limit': '3',
+        'RateLimit-Remaining': '2',
+        'RateLimit-Reset': '60',
+      });
+    });
+
+    it('répond 429 avec Retry-After au-delà de la limite', async () => {
+      const limiter = rateLimit({ name: 'test', limit: 1, windowMs: 60000 });
+      await call(limiter, { ip: '10.0.0.1' });
+      now += 15 * 1000;
+      await call(limiter, { ip: '10.0.0.1' });
+
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(res.set).toHaveBeenCalledWith('Retry-After', '45');
+      expect(res.status).toHaveBeenCalledWith(429);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Trop de requêtes, réessayez dans 45 secondes.',
+        code: 'RATE_LIMITED',
+        retryAfter: 45,
+      });
+    });
+
+    it("limite par utilisateur quelle que soit l'adresse IP", async () => {
+      const limiter = rateLimit({
+        name: 'test',
+        limit: 1,
+        windowMs: 60000,
+        key: byUser,
+      });
+      await call(limiter, { ip: '10.0.0.1', user: { id: 'u1' } });
+      await call(limiter, { ip: '10.0.0.2', user: { id: 'u1' } });
+      await call(limiter, { ip: '10.0.0.2', user: { id: 'u2' } });
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledTimes(1);
+    });
+
+    it('limite par adresse IP', async () => {
+      const limiter = rateLimit({
+        name: 'test',
+        limit: 1,
+        windowMs: 60000,
+        key: byIp,
+      });
+      await call(limiter, { ip: '10.0.0.1' });
+      await call(limiter, { ip: '10.0.0.2' });
+      await call(limiter, { ip: '10.0.0.1' });
+
+      expect(next).toHaveBeenCalledTimes(2);
+      expect(res.status).toHaveBeenCalledWith(429);
+    });
+
+    it('sépare les compteurs de deux règles', async () => {
+      const post = rateLimit({ name: 'post', limit: 1, windowMs: 60000 });
+      const data = rateLimit({ name: 'data', limit: 1, windowMs: 60000 });
+      await call(post, { ip: '10.0.0.1' });
+      await call(data, { ip: '10.0.0.1' });
+
+      expect(next).toHaveBeenCalledTimes(2);
+    });
+
+    it('laisse passer si le stockage est indisponible', async () => {
+      setRateLimitStore({
+        consume: jest.fn().mockRejectedValue(new Error('Redis indisponible')),
+      });
+      const limiter = rateLimit({ name: 'test', limit: 1, windowMs: 60000 });
+      await call(limiter, { ip: '10.0.0.1' });
+
+      expect(next).toHaveBeenCalled();
+      expect(logger.error).toHaveBeenCalledWith(
+        'Erreur du stockage de limitation:',
+        expect.any(Error)
+      );
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const express = require('express');
+const { getRoles, requireRole } = require('../middlewares/require-role');
+const { audit } = require('../services/audit');
+const { setTokenVerifier } = require('../services/auth');
+const validateRouter = require('../routes/validate.route');
+const statusRouter = require('../routes/status.route');
+const metricsRouter = require('../routes/metrics.route');
+const policyRouter = require('../routes/policy.route');
+
+jest.mock('../services/audit');
+jest.mock('../config/logger');
+jest.mock('../config/cloudinary');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+describe("Contrôle d'accès par rôle", () => {
+  let res, next;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+    next = jest.fn();
+  });
+
+  describe('getRoles', () => {
+    it('réunit les rôles et les scopes du token', () => {
+      expect(
+        getRoles({ role: 'user', roles: ['ops'], scope: 'metrics admin' })
+      ).toEqual(['user', 'ops', 'metrics', 'admin']);
+      expect(getRoles({ scp: ['ops'] })).toEqual(['ops']);
+      expect(getRoles(undefined)).toEqual([]);
+    });
+  });
+
+  describe('requireRole', () => {
+    const guard = requireRole('admin', 'ops');
+
+    it.each([
+      [{ role: 'admin' }],
+      [{ roles: ['user', 'ops'] }],
+      [{ scope: 'read ops' }],
+    ])('autorise un rôle attendu (%o)', (user) => {
+      guard({ user }, res, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(audit).not.toHaveBeenCalled();
+    });
+
+    it("refuse les autres utilisateurs et consigne l'accès refusé", () => {
+      guard(
+        {
+          user: { id: 'u1', role: 'user' },
+          method: 'GET',
+          originalUrl: '/api/metrics/errors',
+          ip: '10.0.0.1',
+        },
+        res,
+        next
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith({
+        success: false,
+        error: 'Accès réservé aux rôles : admin, ops.',
+      });
+      expect(audit).toHaveBeenCalledWith('access.denied', {
+        userId: 'u1',
+        roles: ['user'],
+        required: ['admin', 'ops'],
+        method: 'GET',
+        path: '/api/metrics/errors',
+        ip: '10.0.0.1',
+      });
+    });
+  });
+
+  describe('routes réservées', () => {
+    let server, baseUrl;
+
+    // Payload du token selon sa valeur
+    const users = {
+      user: { id: 'u1', role: 'user', isEmailVerified: true },
+      admin: { id: 'a1', role: 'admin', isEmailVerified: true },
+      unverified: { id: 'o1', role: 'ops', isEmailVerified: false },
+    };
+
+    const send = async (method, url, token) => {
+      const response = await fetch(`${baseUrl}${url}`, {
+        method,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      return { status: response.status, body: await response.json() };
+    };
+
+    beforeAll(
+      () =>
+        new Promise((resolve) => {
+          setTokenVerifier(async (token) => users[token]);
+          const app = express();
+          app.use('/api/validate', validateRouter);
+          app.use('/api/status', statusRouter);
+          app.use('/api/metrics', metricsRouter);
+          app.use('/api/policy', policyRouter);
+          server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve();
+          });
+        })
+    );
+
+    afterAll(() => {
+      setTokenVerifier();
+      return new Promise((resolve) => server.close(resolve));
+    });
+
+    it('réserve le vidage du cache des verdicts aux rôles admin et ops', async () => {
+      expect(await send('DELETE', '/api/validate/cache', 'user')).toMatchObject(
+        { status: 403 }
+      );
+      expect(audit).toHaveBeenCalledWith(
+        'access.denied',
+        expect.objectContaining({ userId: 'u1', path: '/api/validate/cache' })
+      );
+
+      expect(await send('DELETE', '/api/validate/cache', 'admin')).toEqual({
+        status: 200,
+        body: { success: true, cleared: 0 },
+      });
+    });
+
+    it("réserve l'état des dépendances aux rôles admin et ops", async () => {
+      expect(await send('GET', '/api/status', 'user')).toMatchObject({
+        status: 403,
+      });
+
+      const { status, body } = await send('GET', '/api/status', 'admin');
+      expect(status).toBe(200);
+      expect(body).toHaveProperty('targets');
+    });
+
+    it.each(['/api/status', '/api/metrics', '/api/policy'])(
+      'exige une adresse email validée sur %s',
+      async (url) => {
+        expect(await send('GET', url, 'unverified')).toEqual({
+          status: 403,
+          body: expect.objectContaining({ code: 'EMAIL_NOT_VERIFIED' }),
+        });
+      }
+    );
+  });
+});
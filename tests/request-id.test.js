@@ -0,0 +1,65 @@
+const requestId = require('../middlewares/request-id');
+const {
+  getRequestId,
+  requestIdHeader,
+} = require('../services/request-context');
+
+describe('Identifiant de corrélation des requêtes', () => {
+  let res;
+
+  const buildReq = (headers = {}) => ({
+    get: (name) => headers[name.toLowerCase()],
+  });
+
+  // Exécute le middleware et renvoie l'identifiant vu par le middleware suivant
+  const run = (req) => {
+    let seen;
+    requestId(req, res, () => {
+      seen = getRequestId();
+    });
+    return seen;
+  };
+
+  beforeEach(() => {
+    res = { set: jest.fn() };
+  });
+
+  it("génère un identifiant lorsque l'appelant n'en fournit pas", () => {
+    const req = buildReq();
+    const seen = run(req);
+
+    expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(seen).toBe(req.id);
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', req.id);
+  });
+
+  it("reprend l'identifiant fourni par l'appelant", () => {
+    const req = buildReq({ 'x-request-id': 'gateway-123' });
+
+    expect(run(req)).toBe('gateway-123');
+    expect(res.set).toHaveBeenCalledWith('X-Request-Id', 'gateway-123');
+  });
+
+  it.each([['avec espace'], ['a'.repeat(129)], ['<script>']])(
+    'remplace un identifiant invalide (%s)',
+    (incoming) => {
+      const req = buildReq({ 'x-request-id': incoming });
+
+      expect(run(req)).not.toBe(incoming);
+      expect(req.id).toMatch(/^[0-9a-f-]{36}$/);
+    }
+  );
+
+  it('propage le contexte aux traitements asynchrones', async () => {
+    let seen;
+    requestId(buildReq({ 'x-request-id': 'req-1' }), res, () => {
+      setTimeout(() => {
+        seen = requestIdHeader();
+      }, 0);
+    });
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    expect(seen).toEqual({ 'X-Request-Id': 'req-1' });
+    expect(requestIdHeader()).toEqual({});
+  });
+});
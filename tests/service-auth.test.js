@@ -0,0 +1,178 @@
+const createMemoryNonceStore = require('../services/service-auth/memory.store');
+const {
+  setNonceStore,
+  signRequest,
+  verifyServiceRequest,
+} = require('../services/service-auth');
+const requireService = require('../middlewares/service-auth');
+const { byService } = require('../middlewares/rate-limit');
+const { audit } = require('../services/audit');
+const {
+  runWithRequestId,
+  getServiceId,
+} = require('../services/request-context');
+const serviceAuthConfig = require('../config/service-auth');
+
+jest.mock('../config/logger');
+jest.mock('../services/audit');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+describe('Authentification des microservices', () => {
+  const path = '/api/validate/validateData';
+  const body = Buffer.from('{"field1":"Bonjour","field2":2}');
+  let now, res;
+
+  // Requête signée par le service posts, modifiable avant ou après signature
+  const signedRequest = ({
+    serviceId = 'posts',
+    secret = 'secret-posts',
+    timestamp = String(Math.floor(now / 1000)),
+    nonce = 'b5e4f1c2-8a1d-4e0f-9c3b-2d7a6e5f4c3b',
+  } = {}) => {
+    const headers = {
+      'x-service-id': serviceId,
+      'x-timestamp': timestamp,
+      'x-nonce': nonce,
+      'x-signature': signRequest({
+        secret,
+        timestamp,
+        nonce,
+        method: 'POST',
+        path,
+        body,
+      }),
+    };
+    return {
+      headers,
+      get: (name) => headers[name.toLowerCase()],
+      method: 'POST',
+      path,
+      originalUrl: path,
+      rawBody: body,
+      ip: '10.0.0.1',
+    };
+  };
+
+  const rejection = (promise) =>
+    promise.then(
+      () => {
+        throw new Error('La requête aurait dû être refusée');
+      },
+      (err) => err.code
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = Date.parse('2025-01-01T10:00:00Z');
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    jest.replaceProperty(serviceAuthConfig, 'credentials', {
+      posts: { secret: 'secret-posts', scopes: ['validate:data'] },
+      stats: { secret: 'secret-stats', scopes: [] },
+    });
+    setNonceStore(createMemoryNonceStore());
+    res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verifyServiceRequest', () => {
+    it('authentifie une requête correctement signée', async () => {
+      await expect(verifyServiceRequest(signedRequest())).resolves.toEqual({
+        id: 'posts',
+        scopes: ['validate:data'],
+      });
+    });
+
+    it.each([
+      ['SERVICE_AUTH_MISSING', { nonce: 'court' }],
+      ['SERVICE_UNKNOWN', { serviceId: 'inconnu' }],
+      ['SERVICE_UNKNOWN', { serviceId: 'constructor' }],
+      ['SIGNATURE_INVALID', { secret: 'autre' }],
+      ['SIGNATURE_EXPIRED', { timestamp: '1735725000' }],
+    ])('refuse la requête avec le code %s', async (code, options) => {
+      await expect(
+        rejection(verifyServiceRequest(signedRequest(options)))
+      ).resolves.toBe(code);
+    });
+
+    it('refuse un body modifié après signature', async () => {
+      const req = signedRequest();
+      req.rawBody = Buffer.from('{"field1":"Autre","field2":2}');
+
+      await expect(rejection(verifyServiceRequest(req))).resolves.toBe(
+        'SIGNATURE_INVALID'
+      );
+    });
+
+    it('refuse une requête rejouée', async () => {
+      await verifyServiceRequest(signedRequest());
+
+      await expect(
+        rejection(verifyServiceRequest(signedRequest()))
+      ).resolves.toBe('NONCE_REPLAYED');
+      // Un autre nonce est accepté
+      await expect(
+        verifyServiceRequest(signedRequest({ nonce: 'a1b2c3d4e5f6a7b8c9d0' }))
+      ).resolves.toMatchObject({ id: 'posts' });
+    });
+  });
+
+  describe('requireService', () => {
+    const run = (req, next) =>
+      runWithRequestId('req-1', () =>
+        requireService('validate:data')(req, res, next)
+      );
+
+    it('associe le service appelant à la requête et aux logs', async () => {
+      const req = signedRequest();
+      let serviceId;
+      const next = jest.fn(() => {
+        serviceId = getServiceId();
+      });
+
+      await run(req, next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.service).toEqual({ id: 'posts', scopes: ['validate:data'] });
+      expect(serviceId).toBe('posts');
+      expect(byService(req)).toBe('service:posts');
+    });
+
+    it('répond 401 avec le code de refus', async () => {
+      const next = jest.fn();
+
+      await run(signedRequest({ secret: 'autre' }), next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'SIGNATURE_INVALID' })
+      );
+    });
+
+    it("refuse un service sans le scope requis et consigne l'accès", async () => {
+      const next = jest.fn();
+
+      await run(
+        signedRequest({ serviceId: 'stats', secret: 'secret-stats' }),
+        next
+      );
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'SCOPE_FORBIDDEN' })
+      );
+      expect(audit).toHaveBeenCalledWith(
+        'access.denied',
+        expect.objectContaining({
+          serviceId: 'stats',
+          required: ['validate:data'],
+          path,
+        })
+      );
+    });
+  });
+});
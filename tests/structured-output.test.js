@@ -0,0 +1,109 @@
+const { completeStructured } = require('../services/structured-output');
+const ModelOutputError = require('../errors/model-output.error');
+
+jest.mock('../config/logger');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+describe('completeStructured', () => {
+  const schema = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['success'],
+    properties: { success: { type: 'boolean' } },
+  };
+  const messages = [{ role: 'user', content: 'Valide ce contenu' }];
+  let provider;
+
+  const reply = (content) => ({ content, usage: {} });
+
+  beforeEach(() => {
+    provider = { complete: jest.fn() };
+  });
+
+  it('renvoie la réponse conforme dès le premier appel', async () => {
+    provider.complete.mockResolvedValue(reply('{"success": false}'));
+
+    const result = await completeStructured({
+      provider,
+      schema,
+      messages,
+      task: 'data',
+      maxTokens: 50,
+    });
+
+    expect(result.data).toEqual({ success: false });
+    expect(result.attempts).toBe(1);
+    expect(provider.complete).toHaveBeenCalledWith({
+      task: 'data',
+      maxTokens: 50,
+      schema,
+      messages,
+    });
+  });
+
+  it('relance le modèle avec les erreurs de validation', async () => {
+    provider.complete
+      .mockResolvedValueOnce(reply('{"success": "oui"}'))
+      .mockResolvedValueOnce(reply('{"success": true}'));
+
+    const result = await completeStructured({ provider, schema, messages });
+
+    expect(result).toMatchObject({ data: { success: true }, attempts: 2 });
+    const retry = provider.complete.mock.calls[1][0].messages;
+    expect(retry).toHaveLength(3);
+    expect(retry[1]).toEqual({
+      role: 'assistant',
+      content: '{"success": "oui"}',
+    });
+    expect(retry[2].content).toContain('/success must be boolean');
+    // La conversation d'origine n'est pas modifiée
+    expect(messages).toHaveLength(1);
+  });
+
+  it('lève une ModelOutputError après les relances autorisées', async () => {
+    provider.complete.mockResolvedValue(reply('success is not true'));
+
+    const error = await completeStructured({
+      provider,
+      schema,
+      messages,
+      maxRepairs: 1,
+    }).catch((err) => err);
+
+    expect(error).toBeInstanceOf(ModelOutputError);
+    expect(error.code).toBe('MODEL_OUTPUT_INVALID');
+    expect(error.attempts).toBe(2);
+    expect(error.raw).toBe('success is not true');
+    expect(error.errors[0]).toMatch(/^JSON invalide/);
+    expect(provider.complete).toHaveBeenCalledTimes(2);
+  });
+
+  it('refuse le JSON entouré de texte ou de blocs markdown', async () => {
+    provider.complete.mockResolvedValue(
+      reply('```json\n{"success": true}\n```')
+    );
+
+    await expect(
+      completeStructured({ provider, schema, messages, maxRepairs: 0 })
+    ).rejects.toBeInstanceOf(ModelOutputError);
+  });
+
+  it.each([
+    ['abc', 2],
+    ['-1', 0],
+    ['0', 0],
+    ['3', 3],
+    [undefined, 2],
+  ])('borne AI_REPAIR_ATTEMPTS=%s à %i relances', (value, expected) => {
+    const previous = process.env.AI_REPAIR_ATTEMPTS;
+    if (value === undefined) delete process.env.AI_REPAIR_ATTEMPTS;
+    else process.env.AI_REPAIR_ATTEMPTS = value;
+
+    jest.isolateModules(() => {
+      expect(require('../config/ai').repairAttempts).toBe(expected);
+    });
+
+    if (previous === undefined) delete process.env.AI_REPAIR_ATTEMPTS;
+    else process.env.AI_REPAIR_ATTEMPTS = previous;
+  });
+});
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const express = require('express');
+const logger = require('../config/logger');
+const requestLogger = require('../middlewares/request-logger');
+const { recordEvent, timeDependency } = require('../services/telemetry');
+const { createPrometheusRegistry } = require('../services/prometheus');
+
+jest.mock('../config/logger');
+
+describe('Télémétrie', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it('émet les événements via le logger', () => {
+    recordEvent('validation', {
+      endpoint: 'validateData',
+      outcome: 'accepted',
+    });
+
+    expect(logger.info).toHaveBeenCalledWith('telemetry', {
+      event: 'validation',
+      endpoint: 'validateData',
+      outcome: 'accepted',
+    });
+  });
+
+  it("n'interrompt pas la requête si la journalisation échoue", () => {
+    logger.info.mockImplementationOnce(() => {
+      throw new Error('disque plein');
+    });
+
+    expect(() => recordEvent('http', {})).not.toThrow();
+  });
+
+  describe('timeDependency', () => {
+    it('mesure un appel réussi', async () => {
+      const result = await timeDependency(
+        'cloudinary',
+        'upload',
+        async () => 42
+      );
+
+      expect(result).toBe(42);
+      expect(logger.info).toHaveBeenCalledWith('telemetry', {
+        event: 'dependency',
+        dependency: 'cloudinary',
+        operation: 'upload',
+        durationMs: expect.any(Number),
+        success: true,
+      });
+    });
+
+    it("mesure un appel en échec et propage l'erreur", async () => {
+      await expect(
+        timeDependency('model', 'post', async () => {
+          throw new Error('timeout');
+        })
+      ).rejects.toThrow('timeout');
+
+      expect(logger.info).toHaveBeenCalledWith(
+        'telemetry',
+        expect.objectContaining({ dependency: 'model', success: false })
+      );
+    });
+
+    it('applique le critère de succès fourni', async () => {
+      await timeDependency(
+        'bdd',
+        'createPost',
+        async () => ({ ok: false }),
+        (response) => response.ok
+      );
+
+      expect(logger.info).toHaveBeenCalledWith(
+        'telemetry',
+        expect.objectContaining({ dependency: 'bdd', success: false })
+      );
+    });
+  });
+
+  describe('requestLogger', () => {
+    let server, baseUrl;
+
+    beforeAll(
+      () =>
+        new Promise((resolve) => {
+          const app = express();
+          const router = express.Router();
+          const validate = express.Router();
+          validate.get('/jobs/:id', (req, res) => res.status(404).json({}));
+          router.use('/validate', validate);
+          app.use('/api', requestLogger, router);
+          server = app.listen(0, '127.0.0.1', () => {
+            baseUrl = `http://127.0.0.1:${server.address().port}`;
+            resolve();
+          });
+        })
+    );
+
+    afterAll(() => new Promise((resolve) => server.close(resolve)));
+
+    const httpEvent = () =>
+      logger.info.mock.calls.find(([, data]) => data.event === 'http')[1];
+
+    it('regroupe les requêtes par route', async () => {
+      await fetch(`${baseUrl}/api/validate/jobs/abc?x=1`);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(httpEvent()).toEqual({
+        event: 'http',
+        method: 'GET',
+        endpoint: '/api/validate/jobs/:id',
+        status: 404,
+        durationMs: expect.any(Number),
+      });
+    });
+
+    it('regroupe les requêtes sans route correspondante', async () => {
+      await fetch(`${baseUrl}/api/inconnu?x=1`);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(httpEvent()).toMatchObject({
+        endpoint: 'unmatched',
+        path: '/api/inconnu',
+        status: 404,
+      });
+    });
+
+    it('compte les chemins inconnus dans une seule série Prometheus', async () => {
+      const prometheus = createPrometheusRegistry({ defaultMetrics: false });
+      await fetch(`${baseUrl}/api/quotas/${crypto.randomUUID()}`);
+      await fetch(`${baseUrl}/api/${crypto.randomUUID()}.php`);
+      await new Promise((resolve) => setImmediate(resolve));
+
+      const text = await prometheus.registry.metrics();
+      prometheus.stop();
+      expect(text).toContain(
+        'http_requests_total{method="GET",route="unmatched",status="404"} 2'
+      );
+      expect(text.match(/^http_requests_total\{/gm)).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,148 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const express = require('express');
+const uploadImages = require('../middlewares/upload');
+
+jest.mock('../config/logger');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+const png = (size = 32) =>
+  Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    Buffer.alloc(size - 8),
+  ]);
+
+describe("Contraintes d'upload", () => {
+  let dir, server, baseUrl;
+
+  const options = (overrides = {}) => ({
+    dest: dir,
+    maxFiles: 3,
+    maxFileSize: 1024,
+    maxTotalSize: 2048,
+    allowedTypes: ['image/jpeg', 'image/png'],
+    ...overrides,
+  });
+
+  const start = (uploadOptions) =>
+    new Promise((resolve) => {
+      const app = express();
+      app.post('/upload', uploadImages('image', uploadOptions), (req, res) =>
+        res.json({ files: req.files.map((file) => file.originalname) })
+      );
+      server = app.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+      });
+    });
+
+  const send = async (files, field = 'image') => {
+    const form = new FormData();
+    files.forEach(({ name, type = 'image/png', content = png() }) =>
+      form.append(field, new Blob([content], { type }), name)
+    );
+    const response = await fetch(`${baseUrl}/upload`, {
+      method: 'POST',
+      body: form,
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  const remaining = () => fs.readdir(dir);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'upload-'));
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('accepte des images conformes', async () => {
+    await start(options());
+    const { status, body } = await send([{ name: 'a.png' }, { name: 'b.png' }]);
+
+    expect(status).toBe(200);
+    expect(body.files).toEqual(['a.png', 'b.png']);
+  });
+
+  it('renvoie 413 en nommant le fichier trop volumineux', async () => {
+    await start(options());
+    const { status, body } = await send([
+      { name: 'petit.png' },
+      { name: 'enorme.png', content: png(4096) },
+    ]);
+
+    expect(status).toBe(413);
+    expect(body).toEqual({
+      success: false,
+      error: expect.stringContaining('enorme.png'),
+      code: 'FILE_TOO_LARGE',
+      file: 'enorme.png',
+      limit: 1024,
+    });
+    expect(await remaining()).toEqual([]);
+  });
+
+  it('renvoie 413 si le nombre de fichiers est dépassé', async () => {
+    await start(options({ maxFiles: 1 }));
+    const { status, body } = await send([{ name: 'a.png' }, { name: 'b.png' }]);
+
+    expect(status).toBe(413);
+    expect(body.code).toBe('TOO_MANY_FILES');
+    expect(body.limit).toBe(1);
+    expect(await remaining()).toEqual([]);
+  });
+
+  it('renvoie 413 si la taille totale est dépassée', async () => {
+    await start(options({ maxTotalSize: 1500 }));
+    const { status, body } = await send([
+      { name: 'a.png', content: png(1000) },
+      { name: 'b.png', content: png(1000) },
+    ]);
+
+    expect(status).toBe(413);
+    expect(body.code).toBe('TOTAL_SIZE_EXCEEDED');
+    expect(await remaining()).toEqual([]);
+  });
+
+  it('refuse un type MIME non autorisé', async () => {
+    await start(options());
+    const { status, body } = await send([
+      { name: 'a.png' },
+      { name: 'doc.pdf', type: 'application/pdf' },
+    ]);
+
+    expect(status).toBe(400);
+    expect(body).toMatchObject({
+      code: 'UNSUPPORTED_FILE_TYPE',
+      file: 'doc.pdf',
+    });
+    expect(await remaining()).toEqual([]);
+  });
+
+  it('refuse un fichier dont le contenu ne correspond pas au type annoncé', async () => {
+    await start(options());
+    const { status, body } = await send([
+      { name: 'a.png' },
+      { name: 'faux.jpg', type: 'image/jpeg', content: Buffer.from('<?php') },
+    ]);
+
+    expect(status).toBe(400);
+    expect(body).toMatchObject({
+      code: 'INVALID_FILE_CONTENT',
+      file: 'faux.jpg',
+    });
+    expect(await remaining()).toEqual([]);
+  });
+
+  it('refuse un champ de fichier inattendu', async () => {
+    await start(options());
+    const { status, body } = await send([{ name: 'a.png' }], 'photo');
+
+    expect(status).toBe(400);
+    expect(body.code).toBe('UNEXPECTED_FIELD');
+  });
+});
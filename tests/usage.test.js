@@ -0,0 +1,197 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const {
+  computeCost,
+  parseUsageQuery,
+  summarizeUsage,
+} = require('../services/usage');
+const { createProvider } = require('../providers');
+const InvalidQueryError = require('../errors/invalid-query.error');
+
+jest.mock('../config/logger');
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+const pricing = {
+  currency: 'USD',
+  models: {
+    'gpt-4o': { prompt: 2.5, completion: 10 },
+    'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  },
+};
+
+const usage = (timestamp, data) =>
+  JSON.stringify({ timestamp, message: 'telemetry', event: 'usage', ...data });
+
+describe('Consommation de tokens et coût', () => {
+  describe('computeCost', () => {
+    it('calcule le coût par million de tokens', () => {
+      expect(
+        computeCost(
+          { model: 'gpt-4o', promptTokens: 1000, completionTokens: 100 },
+          pricing
+        )
+      ).toBe(0.0035);
+    });
+
+    it('utilise le tarif du préfixe le plus long pour un modèle daté', () => {
+      expect(
+        computeCost(
+          { model: 'gpt-4o-mini-2024-07-18', promptTokens: 1e6 },
+          pricing
+        )
+      ).toBe(0.15);
+      expect(
+        computeCost({ model: 'gpt-4o-2024-08-06', promptTokens: 1e6 }, pricing)
+      ).toBe(2.5);
+    });
+
+    it('renvoie null pour un modèle sans tarif', () => {
+      expect(
+        computeCost({ model: 'llama3', promptTokens: 10 }, pricing)
+      ).toBeNull();
+    });
+
+    it('ne tarife pas les appels du fournisseur stub', () => {
+      const stub = createProvider({ provider: 'stub', model: 'gpt-4o' });
+
+      expect(stub.model).toBe('stub');
+      expect(
+        computeCost({ model: stub.model, promptTokens: 10 }, pricing)
+      ).toBeNull();
+    });
+  });
+
+  describe('parseUsageQuery', () => {
+    it('regroupe par jour sur les 30 derniers jours par défaut', () => {
+      jest.spyOn(Date, 'now').mockReturnValueOnce(Date.parse('2025-02-01'));
+
+      expect(parseUsageQuery({})).toEqual({
+        from: Date.parse('2025-01-02'),
+        to: Date.parse('2025-02-01'),
+        groupBy: 'day',
+      });
+    });
+
+    it('rejette un regroupement inconnu', () => {
+      expect(() => parseUsageQuery({ groupBy: 'model' })).toThrow(
+        InvalidQueryError
+      );
+    });
+  });
+
+  describe('summarizeUsage', () => {
+    let dir;
+
+    const from = new Date(2025, 0, 1).getTime();
+    const to = new Date(2025, 0, 3).getTime();
+
+    beforeEach(async () => {
+      dir = await fs.mkdtemp(path.join(os.tmpdir(), 'usage-'));
+      await fs.writeFile(
+        path.join(dir, 'metrics.log'),
+        [
+          usage('2025-01-01 09:00:00', {
+            model: 'gpt-4o',
+            endpoint: 'validatePost',
+            userId: 'u1',
+            promptTokens: 1000,
+            completionTokens: 100,
+            cost: 0.0035,
+          }),
+          // Événement antérieur à la tarification : coût recalculé
+          usage('2025-01-01 10:00:00', {
+            model: 'gpt-4o',
+            endpoint: 'validateData',
+            serviceId: 'posts',
+            promptTokens: 2000,
+            completionTokens: 10,
+          }),
+          usage('2025-01-02 09:00:00', {
+            model: 'llama3',
+            endpoint: 'validatePost',
+            userId: 'u2',
+            promptTokens: 500,
+            completionTokens: 50,
+          }),
+          'ligne corrompue',
+          JSON.stringify({
+            timestamp: '2025-01-02 10:00:00',
+            message: 'telemetry',
+            event: 'http',
+          }),
+          usage('2025-01-05 09:00:00', {
+            model: 'gpt-4o',
+            promptTokens: 1e6,
+          }),
+        ].join('\n')
+      );
+    });
+
+    afterEach(async () => {
+      await fs.rm(dir, { recursive: true, force: true });
+    });
+
+    it("totalise les tokens et le coût sur l'intervalle", async () => {
+      const report = await summarizeUsage(
+        dir,
+        'metrics',
+        { from, to, groupBy: 'day' },
+        pricing
+      );
+
+      expect(report.currency).toBe('USD');
+      expect(report.skipped).toBe(1);
+      expect(report.total).toEqual({
+        calls: 3,
+        promptTokens: 3500,
+        completionTokens: 160,
+        totalTokens: 3660,
+        cost: 0.0086,
+        unpricedCalls: 1,
+      });
+      expect(Object.keys(report.groups)).toEqual(['2025-01-01', '2025-01-02']);
+      expect(report.groups['2025-01-01'].cost).toBe(0.0086);
+    });
+
+    it('regroupe par utilisateur', async () => {
+      const report = await summarizeUsage(
+        dir,
+        'metrics',
+        { from, to, groupBy: 'user' },
+        pricing
+      );
+
+      expect(Object.keys(report.groups)).toEqual(['u1', 'u2', 'unknown']);
+      expect(report.groups.unknown.promptTokens).toBe(2000);
+    });
+
+    it('regroupe par endpoint', async () => {
+      const report = await summarizeUsage(
+        dir,
+        'metrics',
+        { from, to, groupBy: 'endpoint' },
+        pricing
+      );
+
+      expect(report.groups.validatePost).toMatchObject({
+        calls: 2,
+        cost: 0.0035,
+        unpricedCalls: 1,
+      });
+      expect(report.groups.validateData.cost).toBe(0.0051);
+    });
+
+    it('regroupe par microservice appelant', async () => {
+      const report = await summarizeUsage(
+        dir,
+        'metrics',
+        { from, to, groupBy: 'service' },
+        pricing
+      );
+
+      expect(report.groups.posts).toMatchObject({ calls: 1, cost: 0.0051 });
+      expect(report.groups.unknown.calls).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,102 @@
+const {
+  createVerdictCache,
+  verdictCacheKey,
+  policyVersion,
+} = require('../services/verdict-cache');
+
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+
+describe('Cache des verdicts', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1_700_000_000_000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('verdictCacheKey', () => {
+    it("ne dépend pas de l'ordre des clés", () => {
+      expect(verdictCacheKey('v1', { a: 1, b: { c: [1, 2], d: 'x' } })).toBe(
+        verdictCacheKey('v1', { b: { d: 'x', c: [1, 2] }, a: 1 })
+      );
+    });
+
+    it('dépend du contenu et de la version', () => {
+      const key = verdictCacheKey('v1', { a: 1 });
+      expect(verdictCacheKey('v1', { a: 2 })).not.toBe(key);
+      expect(verdictCacheKey('v2', { a: 1 })).not.toBe(key);
+      expect(verdictCacheKey('v1', { a: [1, 2] })).not.toBe(
+        verdictCacheKey('v1', { a: [2, 1] })
+      );
+    });
+
+    it('change de version avec les instructions', () => {
+      expect(policyVersion('prompt A', 'gpt-4o')).not.toBe(
+        policyVersion('prompt B', 'gpt-4o')
+      );
+      expect(policyVersion('prompt A', 'gpt-4o')).toMatch(/^[0-9a-f]{12}$/);
+    });
+  });
+
+  it('expire les verdicts après leur durée de validité', async () => {
+    const cache = createVerdictCache({ ttl: 1000 });
+    await cache.set('k', { success: true });
+
+    now += 999;
+    expect(await cache.get('k')).toEqual({ success: true });
+    now += 1;
+    expect(await cache.get('k')).toBeNull();
+  });
+
+  it('évince le verdict le moins récemment utilisé', async () => {
+    const cache = createVerdictCache({ maxEntries: 2 });
+    await cache.set('a', { success: true });
+    await cache.set('b', { success: true });
+    await cache.get('a');
+    await cache.set('c', { success: false });
+
+    expect(await cache.get('a')).not.toBeNull();
+    expect(await cache.get('b')).toBeNull();
+    expect(await cache.size()).toBe(2);
+  });
+
+  it('est désactivé avec une durée de validité nulle', async () => {
+    const cache = createVerdictCache({ ttl: 0 });
+    await cache.set('k', { success: true });
+
+    expect(await cache.get('k')).toBeNull();
+  });
+
+  it('renvoie le nombre de verdicts supprimés', async () => {
+    const cache = createVerdictCache();
+    await cache.set('a', { success: true });
+    await cache.set('b', { success: true });
+
+    expect(await cache.clear()).toBe(2);
+    expect(await cache.size()).toBe(0);
+  });
+
+  it.each([
+    ['abc', 86400000],
+    ['', 86400000],
+    ['-1', 0],
+    ['0', 0],
+    ['60000', 60000],
+    [undefined, 86400000],
+  ])('lit VERDICT_CACHE_TTL_MS=%p comme %i ms', (value, expected) => {
+    const previous = process.env.VERDICT_CACHE_TTL_MS;
+    if (value === undefined) delete process.env.VERDICT_CACHE_TTL_MS;
+    else process.env.VERDICT_CACHE_TTL_MS = value;
+
+    jest.isolateModules(() => {
+      expect(require('../config/verdict-cache').ttl).toBe(expected);
+    });
+
+    if (previous === undefined) delete process.env.VERDICT_CACHE_TTL_MS;
+    else process.env.VERDICT_CACHE_TTL_MS = previous;
+  });
+});
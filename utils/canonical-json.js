@@ -0,0 +1,22 @@
+/**
+ * Sérialise une valeur en JSON canonique : clés d'objets triées à tous les
+ * niveaux, afin que deux bodies équivalents produisent la même chaîne
+ *
+ * @param {*} value - Valeur à sérialiser
+ * @returns {string} JSON canonique
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map((item) => canonicalJson(item ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const entries = Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+module.exports = canonicalJson;
@@ -0,0 +1,19 @@
+/**
+ * Distance de Hamming entre deux empreintes hexadécimales de même longueur
+ * (nombre de bits différents)
+ *
+ * @param {string} a - Première empreinte (hexadécimal)
+ * @param {string} b - Seconde empreinte (hexadécimal)
+ * @returns {number} Nombre de bits différents
+ */
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+};
+
+module.exports = hammingDistance;
@@ -0,0 +1,22 @@
+/**
+ * Liste les chemins des valeurs terminales (chaîne, nombre, booléen, null)
+ * d'une valeur JSON, au format des chemins de services/injection-detector.js :
+ * "bio", "profil.bio", "tags[1]"
+ *
+ * @param {*} value - Valeur à parcourir
+ * @param {string} [path] - Chemin de la valeur
+ * @returns {Array<string>} Chemins, dans l'ordre du document
+ */
+const jsonPaths = (value, path = '') => {
+  if (Array.isArray(value)) {
+    return value.flatMap((item, i) => jsonPaths(item, `${path}[${i}]`));
+  }
+  if (value && typeof value === 'object') {
+    return Object.entries(value).flatMap(([key, item]) =>
+      jsonPaths(item, path ? `${path}.${key}` : key)
+    );
+  }
+  return [path];
+};
+
+module.exports = jsonPaths;
@@ -0,0 +1,13 @@
+/**
+ * Extrait l'identifiant d'un utilisateur depuis le payload JWT décodé
+ * Les services SpotR émettent l'identifiant sous id, _id ou sub selon leur version.
+ *
+ * @param {Object} [user] - Payload décodé placé dans req.user par emailVerified
+ * @returns {string|undefined} Identifiant de l'utilisateur
+ */
+const getUserId = (user) => {
+  const id = user?.id ?? user?._id ?? user?.sub;
+  return id === undefined ? undefined : String(id);
+};
+
+module.exports = getUserId;
@@ -0,0 +1,23 @@
+/**
+ * Exécute une opération asynchrone en la rejetant si elle ne répond pas
+ * dans le délai imparti
+ *
+ * @param {Function} operation - Opération asynchrone
+ * @param {number} timeout - Délai maximal en millisecondes
+ * @returns {Promise<*>} Résultat de l'opération
+ * @throws {Error} Si le délai est dépassé ou si l'opération échoue
+ */
+const withTimeout = (operation, timeout) => {
+  let timer;
+  return Promise.race([
+    Promise.resolve().then(operation),
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Pas de réponse après ${timeout} ms`)),
+        timeout
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+};
+
+module.exports = withTimeout;